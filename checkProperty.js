@@ -11,8 +11,8 @@ async function checkProperty() {
     const property = await Property.findById('6889797c7f0cb6ef08412f44');
     console.log('Property Data:', JSON.stringify(property, null, 2));
     
-    if (property && property.address && property.address.coordinates) {
-      console.log('\nCurrent Coordinates:', property.address.coordinates);
+    if (property && property.location && property.location.coordinates) {
+      console.log('\nCurrent Coordinates:', property.location.coordinates);
     } else {
       console.log('\nNo valid coordinates found');
     }
@@ -10,6 +10,7 @@ import useNavigationGuard from './hooks/useNavigationGuard';
 import Home from './pages/Home';
 import Search from './pages/Search';
 import PropertyDetails from './pages/PropertyDetails';
+import BuildingDetails from './pages/BuildingDetails';
 import Login from './pages/Login';
 import Register from './pages/Register';
 import Dashboard from './pages/Dashboard';
@@ -95,6 +96,7 @@ function AppContent() {
           <Route path="/" element={<Home />} />
           <Route path="/search" element={<Search />} />
           <Route path="/property/:id" element={<PropertyDetails />} />
+          <Route path="/building/:id" element={<BuildingDetails />} />
           <Route path="/login" element={<Login />} />
           <Route path="/register" element={<Register />} />
           <Route path="/onboarding" element={
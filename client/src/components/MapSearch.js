@@ -0,0 +1,246 @@
+import React, { useState, useRef, useCallback, useEffect } from 'react';
+import { Box, Button, CircularProgress, Typography } from '@mui/material';
+import { Draw as DrawIcon, Clear as ClearIcon, Check as CheckIcon } from '@mui/icons-material';
+import { GoogleMap, LoadScript, Marker, InfoWindow, Polygon, Polyline } from '@react-google-maps/api';
+import { useNavigate } from 'react-router-dom';
+import api from '../utils/axiosConfig';
+
+// Same libraries as PropertyLocationMap, so the script is not reloaded
+const LIBRARIES = ['places'];
+
+const containerStyle = {
+  width: '100%',
+  height: '600px',
+  borderRadius: '8px',
+  overflow: 'hidden'
+};
+
+const defaultCenter = { lat: 39.8283, lng: -98.5795 };
+
+const areaStyle = {
+  strokeColor: '#1976d2',
+  strokeWeight: 2,
+  fillColor: '#1976d2',
+  fillOpacity: 0.1,
+  clickable: false
+};
+
+const formatRent = (rent) => (rent >= 1000 ? `$${(rent / 1000).toFixed(1)}k` : `$${rent}`);
+
+// Round marker sized by how many listings it stands for
+const clusterIcon = (count) => ({
+  path: window.google.maps.SymbolPath.CIRCLE,
+  scale: Math.min(14 + Math.log10(count) * 8, 36),
+  fillColor: '#1976d2',
+  fillOpacity: 0.85,
+  strokeColor: '#ffffff',
+  strokeWeight: 2
+});
+
+/**
+ * Map view of the search: loads the listings in the visible area (or a drawn
+ * area) from /search/map. Zoomed out, nearby listings arrive as clusters.
+ */
+const MapSearch = ({ filterParams }) => {
+  const navigate = useNavigate();
+  const mapRef = useRef(null);
+  const requestRef = useRef(0);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [drawing, setDrawing] = useState(false);
+  const [draftPoints, setDraftPoints] = useState([]);
+  const [area, setArea] = useState(null);
+
+  const fetchListings = useCallback(async () => {
+    const map = mapRef.current;
+    const bounds = map && map.getBounds();
+    if (!bounds) return;
+
+    const ne = bounds.getNorthEast();
+    const sw = bounds.getSouthWest();
+    const params = new URLSearchParams(filterParams);
+    params.set('bbox', [sw.lng(), sw.lat(), ne.lng(), ne.lat()].map(value => value.toFixed(5)).join(','));
+    params.set('zoom', Math.round(map.getZoom()));
+    if (area) {
+      params.set('polygon', area.map(point => `${point.lng.toFixed(5)},${point.lat.toFixed(5)}`).join(';'));
+    }
+
+    // Only the latest request updates the map while panning quickly
+    const requestId = requestRef.current + 1;
+    requestRef.current = requestId;
+    setLoading(true);
+    try {
+      const response = await api.get(`/search/map?${params.toString()}`);
+      if (requestRef.current === requestId) {
+        setResult(response.data.data);
+      }
+    } catch (error) {
+      console.error('Map search failed:', error);
+    } finally {
+      if (requestRef.current === requestId) {
+        setLoading(false);
+      }
+    }
+  }, [filterParams, area]);
+
+  useEffect(() => {
+    fetchListings();
+  }, [fetchListings]);
+
+  const handleMapClick = (e) => {
+    if (!drawing) return;
+    setDraftPoints(prev => [...prev, { lat: e.latLng.lat(), lng: e.latLng.lng() }]);
+  };
+
+  const startDrawing = () => {
+    setSelected(null);
+    setDraftPoints([]);
+    setDrawing(true);
+  };
+
+  const finishDrawing = () => {
+    setDrawing(false);
+    setArea(draftPoints);
+    setDraftPoints([]);
+  };
+
+  const clearArea = () => {
+    setDrawing(false);
+    setDraftPoints([]);
+    setArea(null);
+  };
+
+  const zoomToCluster = (cluster) => {
+    const [west, south, east, north] = cluster.bounds;
+    mapRef.current.fitBounds({ west, south, east, north });
+  };
+
+  if (!process.env.REACT_APP_GOOGLE_MAPS_API_KEY) {
+    return (
+      <Box sx={{ p: 3, textAlign: 'center', bgcolor: '#f5f5f5', borderRadius: 1 }}>
+        <Typography color="text.secondary">
+          Map search needs a Google Maps API key in client/.env as REACT_APP_GOOGLE_MAPS_API_KEY.
+        </Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+        {drawing ? (
+          <>
+            <Button
+              variant="contained"
+              startIcon={<CheckIcon />}
+              onClick={finishDrawing}
+              disabled={draftPoints.length < 3}
+            >
+              Search this area
+            </Button>
+            <Button onClick={clearArea}>Cancel</Button>
+            <Typography variant="body2" color="text.secondary">
+              Click on the map to outline the area
+            </Typography>
+          </>
+        ) : (
+          <Button variant="outlined" startIcon={<DrawIcon />} onClick={startDrawing}>
+            Draw area
+          </Button>
+        )}
+        {area && !drawing && (
+          <Button startIcon={<ClearIcon />} onClick={clearArea}>
+            Clear area
+          </Button>
+        )}
+        <Box sx={{ flexGrow: 1 }} />
+        {loading && <CircularProgress size={20} />}
+        {result && (
+          <Typography variant="body2" color="text.secondary">
+            {result.total} {result.total === 1 ? 'listing' : 'listings'} {area ? 'in the drawn area' : 'in view'}
+            {result.truncated && ` (showing ${result.markers.length}, zoom in to see all)`}
+          </Typography>
+        )}
+      </Box>
+
+      <LoadScript
+        googleMapsApiKey={process.env.REACT_APP_GOOGLE_MAPS_API_KEY}
+        libraries={LIBRARIES}
+        loadingElement={
+          <Box sx={{ height: 600, display: 'flex', alignItems: 'center', justifyContent: 'center', backgroundColor: '#f5f5f5', borderRadius: 1 }}>
+            <CircularProgress />
+          </Box>
+        }
+      >
+        <GoogleMap
+          mapContainerStyle={containerStyle}
+          center={defaultCenter}
+          zoom={4}
+          onLoad={(map) => { mapRef.current = map; }}
+          onIdle={fetchListings}
+          onClick={handleMapClick}
+          options={{
+            streetViewControl: false,
+            mapTypeControl: false,
+            fullscreenControl: false,
+            clickableIcons: false,
+            draggableCursor: drawing ? 'crosshair' : undefined
+          }}
+        >
+          {area && <Polygon paths={area} options={areaStyle} />}
+          {drawing && draftPoints.length > 0 && (
+            <Polyline path={draftPoints} options={{ ...areaStyle, strokeOpacity: 0.8 }} />
+          )}
+
+          {result?.clusters.map(cluster => (
+            <Marker
+              key={`${cluster.lng},${cluster.lat}`}
+              position={{ lat: cluster.lat, lng: cluster.lng }}
+              icon={clusterIcon(cluster.count)}
+              label={{ text: String(cluster.count), color: '#ffffff', fontWeight: 'bold' }}
+              title={`${cluster.count} listings, ${formatRent(cluster.minRent)} - ${formatRent(cluster.maxRent)}`}
+              onClick={() => !drawing && zoomToCluster(cluster)}
+            />
+          ))}
+
+          {result?.markers.map(marker => (
+            <Marker
+              key={marker._id}
+              position={{ lat: marker.lat, lng: marker.lng }}
+              label={marker.rent ? { text: formatRent(marker.rent), fontSize: '11px', fontWeight: 'bold' } : undefined}
+              onClick={() => !drawing && setSelected(marker)}
+            />
+          ))}
+
+          {selected && (
+            <InfoWindow
+              position={{ lat: selected.lat, lng: selected.lng }}
+              onCloseClick={() => setSelected(null)}
+            >
+              <Box sx={{ width: 200, cursor: 'pointer' }} onClick={() => navigate(`/property/${selected._id}`)}>
+                {selected.thumbnail && (
+                  <img
+                    src={selected.thumbnail}
+                    alt={selected.title}
+                    style={{ width: '100%', height: 110, objectFit: 'cover', display: 'block', borderRadius: 4 }}
+                  />
+                )}
+                <Typography variant="subtitle2" sx={{ mt: 1 }} noWrap>
+                  {selected.title}
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                  {selected.rent ? `$${selected.rent}/mo` : 'Price on request'}
+                  {selected.bedrooms !== undefined && ` · ${selected.bedrooms === 0 ? 'Studio' : `${selected.bedrooms} bd`}`}
+                  {selected.bathrooms !== undefined && ` · ${selected.bathrooms} ba`}
+                </Typography>
+              </Box>
+            </InfoWindow>
+          )}
+        </GoogleMap>
+      </LoadScript>
+    </Box>
+  );
+};
+
+export default MapSearch;
@@ -0,0 +1,232 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormControl,
+  IconButton,
+  InputLabel,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemIcon,
+  ListItemText,
+  MenuItem,
+  Select,
+  TextField,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import {
+  Delete as DeleteIcon,
+  Description as DocumentIcon,
+  Lock as LockIcon,
+  SquareFoot as FloorPlanIcon,
+  UploadFile as UploadIcon
+} from '@mui/icons-material';
+import { useSnackbar } from 'notistack';
+import api from '../utils/axiosConfig';
+import { getUploadErrorMessage } from '../utils/uploadErrors';
+
+const ATTACHMENT_TYPES = {
+  floor_plan: 'Floor plan',
+  building_rules: 'Building rules',
+  disclosure: 'Disclosure',
+  brochure: 'Brochure'
+};
+
+const EMPTY_FORM = { type: 'floor_plan', title: '', visibility: 'public', file: null };
+
+const formatSize = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+};
+
+const PropertyAttachments = ({ propertyId, isOwner }) => {
+  const { enqueueSnackbar } = useSnackbar();
+  const [attachments, setAttachments] = useState([]);
+  const [restrictedCount, setRestrictedCount] = useState(0);
+  const [uploadOpen, setUploadOpen] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  const fetchAttachments = useCallback(async () => {
+    try {
+      const response = await api.get(`/properties/${propertyId}/attachments`);
+      setAttachments(response.data.data || []);
+      setRestrictedCount(response.data.restrictedCount || 0);
+    } catch (error) {
+      console.error('Error fetching attachments:', error);
+    }
+  }, [propertyId]);
+
+  useEffect(() => {
+    fetchAttachments();
+  }, [fetchAttachments]);
+
+  // Links are signed and short-lived, so one is requested per click
+  const handleOpen = async (attachment) => {
+    try {
+      const response = await api.get(`/properties/${propertyId}/attachments/${attachment._id}/url`);
+      window.open(response.data.url, '_blank', 'noopener');
+    } catch (error) {
+      enqueueSnackbar(error.response?.data?.message || 'Failed to open the document', { variant: 'error' });
+    }
+  };
+
+  const handleUpload = async () => {
+    if (!form.file) return;
+
+    const formData = new FormData();
+    formData.append('type', form.type);
+    formData.append('title', form.title);
+    formData.append('visibility', form.visibility);
+    formData.append('file', form.file);
+
+    try {
+      setUploading(true);
+      const response = await api.post(`/properties/${propertyId}/attachments`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      setAttachments(prev => [...prev, response.data.data]);
+      setUploadOpen(false);
+      setForm(EMPTY_FORM);
+    } catch (error) {
+      enqueueSnackbar(getUploadErrorMessage(error, 'Failed to upload the document. Please try again.'), { variant: 'error' });
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDelete = async (attachmentId) => {
+    try {
+      await api.delete(`/properties/${propertyId}/attachments/${attachmentId}`);
+      setAttachments(prev => prev.filter(attachment => attachment._id !== attachmentId));
+    } catch (error) {
+      enqueueSnackbar(error.response?.data?.message || 'Failed to delete the document', { variant: 'error' });
+    }
+  };
+
+  if (!isOwner && attachments.length === 0 && restrictedCount === 0) {
+    return null;
+  }
+
+  return (
+    <Box sx={{ mb: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+        <Typography variant="h6" sx={{ fontWeight: 'bold' }}>
+          Floor Plans & Documents
+        </Typography>
+        {isOwner && (
+          <Button startIcon={<UploadIcon />} onClick={() => setUploadOpen(true)}>
+            Add Document
+          </Button>
+        )}
+      </Box>
+
+      {attachments.length === 0 && isOwner && (
+        <Typography variant="body2" color="text.secondary">
+          Add floor plans, building rules, disclosures or brochures for renters.
+        </Typography>
+      )}
+
+      <List dense disablePadding>
+        {attachments.map(attachment => (
+          <ListItem
+            key={attachment._id}
+            disablePadding
+            secondaryAction={isOwner && (
+              <Tooltip title="Delete document">
+                <IconButton edge="end" onClick={() => handleDelete(attachment._id)}>
+                  <DeleteIcon />
+                </IconButton>
+              </Tooltip>
+            )}
+          >
+            <ListItemButton onClick={() => handleOpen(attachment)}>
+              <ListItemIcon>
+                {attachment.type === 'floor_plan' ? <FloorPlanIcon /> : <DocumentIcon />}
+              </ListItemIcon>
+              <ListItemText
+                primary={attachment.title}
+                secondary={`${ATTACHMENT_TYPES[attachment.type] || attachment.type} · ${(attachment.format || '').toUpperCase()} · ${formatSize(attachment.size || 0)}`}
+              />
+              {attachment.visibility === 'applicants' && (
+                <Chip icon={<LockIcon />} label="Applicants only" size="small" sx={{ ml: 1 }} />
+              )}
+            </ListItemButton>
+          </ListItem>
+        ))}
+      </List>
+
+      {restrictedCount > 0 && (
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 1, display: 'flex', alignItems: 'center', gap: 0.5 }}>
+          <LockIcon fontSize="small" />
+          {restrictedCount} more {restrictedCount === 1 ? 'document is' : 'documents are'} shared with renters who contact the landlord.
+        </Typography>
+      )}
+
+      <Dialog open={uploadOpen} onClose={() => !uploading && setUploadOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Add Document</DialogTitle>
+        <DialogContent>
+          <FormControl fullWidth margin="normal">
+            <InputLabel>Type</InputLabel>
+            <Select
+              label="Type"
+              value={form.type}
+              onChange={(e) => setForm(prev => ({ ...prev, type: e.target.value }))}
+            >
+              {Object.entries(ATTACHMENT_TYPES).map(([value, label]) => (
+                <MenuItem key={value} value={value}>{label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField
+            label="Title"
+            helperText="Defaults to the file name"
+            value={form.title}
+            onChange={(e) => setForm(prev => ({ ...prev, title: e.target.value }))}
+            inputProps={{ maxLength: 120 }}
+            fullWidth
+            margin="normal"
+          />
+          <FormControl fullWidth margin="normal">
+            <InputLabel>Visible to</InputLabel>
+            <Select
+              label="Visible to"
+              value={form.visibility}
+              onChange={(e) => setForm(prev => ({ ...prev, visibility: e.target.value }))}
+            >
+              <MenuItem value="public">Everyone</MenuItem>
+              <MenuItem value="applicants">Renters who contacted me</MenuItem>
+            </Select>
+          </FormControl>
+          <Button component="label" variant="outlined" startIcon={<UploadIcon />} sx={{ mt: 2 }}>
+            {form.file ? form.file.name : 'Choose file'}
+            <input
+              type="file"
+              hidden
+              accept={form.type === 'building_rules' || form.type === 'disclosure' ? '.pdf' : '.pdf,.jpg,.jpeg,.png,.webp'}
+              onChange={(e) => setForm(prev => ({ ...prev, file: e.target.files[0] || null }))}
+            />
+          </Button>
+          <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 1 }}>
+            PDF, or JPEG/PNG/WebP for floor plans and brochures. Up to 10 MB.
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setUploadOpen(false)} disabled={uploading}>Cancel</Button>
+          <Button onClick={handleUpload} variant="contained" disabled={!form.file || uploading}>
+            {uploading ? 'Uploading...' : 'Upload'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default PropertyAttachments;
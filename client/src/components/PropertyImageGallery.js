@@ -1,29 +1,68 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect } from 'react';
 import {
   Box,
   IconButton,
   Dialog,
+  DialogTitle,
   DialogContent,
   DialogActions,
   Button,
   Grid,
   Paper,
+  TextField,
+  Tooltip,
   Typography
 } from '@mui/material';
-import { Delete as DeleteIcon, AddPhotoAlternate as AddPhotoIcon } from '@mui/icons-material';
+import {
+  Delete as DeleteIcon,
+  AddPhotoAlternate as AddPhotoIcon,
+  Edit as EditIcon,
+  Star as StarIcon,
+  StarBorder as StarBorderIcon,
+  DragIndicator as DragIcon
+} from '@mui/icons-material';
 import { useDropzone } from 'react-dropzone';
 import { motion } from 'framer-motion';
+import { useSnackbar } from 'notistack';
 import api from '../utils/axiosConfig';
+import { getUploadErrorMessage } from '../utils/uploadErrors';
+import ResponsiveImage from './ResponsiveImage';
+
+const overlayButtonSx = {
+  backgroundColor: 'rgba(0,0,0,0.5)',
+  color: 'white',
+  '&:hover': {
+    backgroundColor: 'rgba(0,0,0,0.7)',
+  },
+};
 
 const PropertyImageGallery = ({ propertyId, images: propImages, isOwner, onUpdate }) => {
+  const { enqueueSnackbar } = useSnackbar();
   const [images, setImages] = useState(propImages || []);
   const [uploading, setUploading] = useState(false);
   const [openDialog, setOpenDialog] = useState(false);
   const [selectedImage, setSelectedImage] = useState(null);
+  const [draggedIndex, setDraggedIndex] = useState(null);
+  const [editingImage, setEditingImage] = useState(null);
+  const [imageText, setImageText] = useState({ caption: '', alt: '' });
+
+  useEffect(() => {
+    setImages(propImages || []);
+  }, [propImages]);
+
+  const applyImages = useCallback((updatedImages) => {
+    setImages(updatedImages);
+    onUpdate && onUpdate(updatedImages);
+  }, [onUpdate]);
+
+  const showError = useCallback((error, fallback) => {
+    console.error(fallback, error);
+    enqueueSnackbar(getUploadErrorMessage(error, fallback), { variant: 'error' });
+  }, [enqueueSnackbar]);
 
   const onDrop = useCallback(async (acceptedFiles) => {
     if (!acceptedFiles.length) return;
-    
+
     const formData = new FormData();
     acceptedFiles.forEach(file => {
       formData.append('images', file);
@@ -32,7 +71,7 @@ const PropertyImageGallery = ({ propertyId, images: propImages, isOwner, onUpdat
     try {
       setUploading(true);
       const response = await api.post(
-        `/api/properties/${propertyId}/images`,
+        `/property-updates/${propertyId}/images`,
         formData,
         {
           headers: {
@@ -40,17 +79,14 @@ const PropertyImageGallery = ({ propertyId, images: propImages, isOwner, onUpdat
           },
         }
       );
-      
-      const updatedImages = [...propImages, ...response.data.images];
-      setImages(updatedImages);
-      onUpdate && onUpdate(updatedImages);
+
+      applyImages(response.data.images);
     } catch (error) {
-      console.error('Error uploading images:', error);
-      throw new Error('Failed to upload images. Please try again.');
+      showError(error, 'Failed to upload images. Please try again.');
     } finally {
       setUploading(false);
     }
-  }, [propertyId, propImages, onUpdate]);
+  }, [propertyId, applyImages, showError]);
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
@@ -61,13 +97,60 @@ const PropertyImageGallery = ({ propertyId, images: propImages, isOwner, onUpdat
 
   const handleDeleteImage = async (imageId) => {
     try {
-      await api.delete(`/api/properties/${propertyId}/images/${imageId}`);
-      const updatedImages = images.filter(img => img._id !== imageId);
-      setImages(updatedImages);
-      onUpdate && onUpdate(updatedImages);
+      const response = await api.delete(`/property-updates/${propertyId}/images/${imageId}`);
+      applyImages(response.data.images);
+    } catch (error) {
+      showError(error, 'Failed to delete image. Please try again.');
+    }
+  };
+
+  const handleSetMain = async (imageId) => {
+    try {
+      const response = await api.put(`/property-updates/${propertyId}/images/${imageId}/main`);
+      applyImages(response.data.images);
+    } catch (error) {
+      showError(error, 'Failed to set the main image. Please try again.');
+    }
+  };
+
+  // Drag-and-drop ordering: the new order is shown right away and rolled
+  // back if the server rejects it
+  const handleDrop = async (targetIndex) => {
+    if (draggedIndex === null || draggedIndex === targetIndex) {
+      setDraggedIndex(null);
+      return;
+    }
+
+    const previousImages = images;
+    const reordered = [...images];
+    const [moved] = reordered.splice(draggedIndex, 1);
+    reordered.splice(targetIndex, 0, moved);
+    setDraggedIndex(null);
+    setImages(reordered);
+
+    try {
+      const response = await api.put(`/property-updates/${propertyId}/images/order`, {
+        imageIds: reordered.map(image => image._id)
+      });
+      applyImages(response.data.images);
     } catch (error) {
-      console.error('Error deleting image:', error);
-      throw new Error('Failed to delete image. Please try again.');
+      setImages(previousImages);
+      showError(error, 'Failed to reorder images. Please try again.');
+    }
+  };
+
+  const openEditDialog = (image) => {
+    setEditingImage(image);
+    setImageText({ caption: image.caption || '', alt: image.alt || '' });
+  };
+
+  const handleSaveImageText = async () => {
+    try {
+      const response = await api.patch(`/property-updates/${propertyId}/images/${editingImage._id}`, imageText);
+      applyImages(images.map(image => (image._id === editingImage._id ? response.data.image : image)));
+      setEditingImage(null);
+    } catch (error) {
+      showError(error, 'Failed to save the caption. Please try again.');
     }
   };
 
@@ -102,6 +185,12 @@ const PropertyImageGallery = ({ propertyId, images: propImages, isOwner, onUpdat
         )}
       </Box>
 
+      {isOwner && images.length > 1 && (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Drag photos to change their order.
+        </Typography>
+      )}
+
       {isDragActive && (
         <Paper
           elevation={3}
@@ -119,12 +208,30 @@ const PropertyImageGallery = ({ propertyId, images: propImages, isOwner, onUpdat
 
       <Grid container spacing={2}>
         {images.map((image, index) => (
-          <Grid item xs={12} sm={6} md={4} key={image._id || index}>
-            <Box sx={{ position: 'relative', borderRadius: 1, overflow: 'hidden' }}>
+          <Grid
+            item
+            xs={12}
+            sm={6}
+            md={4}
+            key={image._id || index}
+            draggable={isOwner}
+            onDragStart={() => setDraggedIndex(index)}
+            onDragOver={(e) => isOwner && e.preventDefault()}
+            onDrop={(e) => {
+              e.preventDefault();
+              handleDrop(index);
+            }}
+            onDragEnd={() => setDraggedIndex(null)}
+            sx={{ opacity: draggedIndex === index ? 0.4 : 1 }}
+          >
+            <Box sx={{ position: 'relative', borderRadius: 1, overflow: 'hidden', cursor: isOwner ? 'grab' : 'default' }}>
               <motion.div whileHover={{ scale: 1.02 }}>
-                <img
-                  src={image.url}
-                  alt={`Property ${index + 1}`}
+                <ResponsiveImage
+                  image={image}
+                  variant="card"
+                  sizes="(max-width: 600px) 100vw, (max-width: 900px) 50vw, 33vw"
+                  alt={image.alt || image.caption || `Property ${index + 1}`}
+                  draggable={false}
                   style={{
                     width: '100%',
                     height: 200,
@@ -136,26 +243,54 @@ const PropertyImageGallery = ({ propertyId, images: propImages, isOwner, onUpdat
                 />
               </motion.div>
               {isOwner && (
-                <IconButton
-                  onClick={(e) => {
-                    e.stopPropagation();
-                    handleDeleteImage(image._id);
-                  }}
-                  sx={{
-                    position: 'absolute',
-                    top: 8,
-                    right: 8,
-                    backgroundColor: 'rgba(0,0,0,0.5)',
-                    color: 'white',
-                    '&:hover': {
-                      backgroundColor: 'rgba(0,0,0,0.7)',
-                    },
-                  }}
-                >
-                  <DeleteIcon />
-                </IconButton>
+                <>
+                  <DragIcon sx={{ position: 'absolute', top: 12, left: 8, color: 'white', filter: 'drop-shadow(0 0 2px rgba(0,0,0,0.8))' }} />
+                  <Box sx={{ position: 'absolute', top: 8, right: 8, display: 'flex', gap: 1 }}>
+                    <Tooltip title={image.isMain ? 'Main image' : 'Make main image'}>
+                      <span>
+                        <IconButton
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            handleSetMain(image._id);
+                          }}
+                          disabled={image.isMain}
+                          sx={{ ...overlayButtonSx, '&.Mui-disabled': { color: '#ffc107', backgroundColor: 'rgba(0,0,0,0.5)' } }}
+                        >
+                          {image.isMain ? <StarIcon /> : <StarBorderIcon />}
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                    <Tooltip title="Edit caption">
+                      <IconButton
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          openEditDialog(image);
+                        }}
+                        sx={overlayButtonSx}
+                      >
+                        <EditIcon />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Delete image">
+                      <IconButton
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handleDeleteImage(image._id);
+                        }}
+                        sx={overlayButtonSx}
+                      >
+                        <DeleteIcon />
+                      </IconButton>
+                    </Tooltip>
+                  </Box>
+                </>
               )}
             </Box>
+            {image.caption && (
+              <Typography variant="body2" color="text.secondary" sx={{ mt: 0.5 }}>
+                {image.caption}
+              </Typography>
+            )}
           </Grid>
         ))}
       </Grid>
@@ -163,12 +298,19 @@ const PropertyImageGallery = ({ propertyId, images: propImages, isOwner, onUpdat
       <Dialog open={openDialog} onClose={closeImageDialog} maxWidth="md">
         <DialogContent>
           {selectedImage && (
-            <img
-              src={selectedImage.url}
-              alt="Full size"
+            <ResponsiveImage
+              image={selectedImage}
+              variant="full"
+              sizes="(max-width: 900px) 100vw, 900px"
+              alt={selectedImage.alt || selectedImage.caption || 'Full size'}
               style={{ width: '100%', height: 'auto', maxHeight: '80vh' }}
             />
           )}
+          {selectedImage?.caption && (
+            <Typography variant="body2" sx={{ mt: 1 }}>
+              {selectedImage.caption}
+            </Typography>
+          )}
         </DialogContent>
         <DialogActions>
           <Button onClick={closeImageDialog} color="primary">
@@ -176,6 +318,35 @@ const PropertyImageGallery = ({ propertyId, images: propImages, isOwner, onUpdat
           </Button>
         </DialogActions>
       </Dialog>
+
+      <Dialog open={Boolean(editingImage)} onClose={() => setEditingImage(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Edit Image Details</DialogTitle>
+        <DialogContent>
+          <TextField
+            label="Caption"
+            value={imageText.caption}
+            onChange={(e) => setImageText(prev => ({ ...prev, caption: e.target.value }))}
+            inputProps={{ maxLength: 200 }}
+            fullWidth
+            margin="normal"
+          />
+          <TextField
+            label="Alt text"
+            helperText="Describes the photo for screen readers"
+            value={imageText.alt}
+            onChange={(e) => setImageText(prev => ({ ...prev, alt: e.target.value }))}
+            inputProps={{ maxLength: 200 }}
+            fullWidth
+            margin="normal"
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditingImage(null)}>Cancel</Button>
+          <Button onClick={handleSaveImageText} variant="contained">
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 };
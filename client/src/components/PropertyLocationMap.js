@@ -150,7 +150,7 @@ const PropertyLocationMap = ({
       setOpenEdit(false);
       
       if (onLocationUpdate) {
-        onLocationUpdate(data.location || data.address?.coordinates);
+        onLocationUpdate(data.location);
       }
     } catch (error) {
       console.error('Error updating location:', error);
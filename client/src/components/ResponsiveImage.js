@@ -0,0 +1,44 @@
+import React from 'react';
+
+export const FALLBACK_IMAGE = 'https://images.unsplash.com/photo-1560518883-ce09059eeffa?ixlib=rb-4.0.3&auto=format&fit=crop&w=1000&q=80';
+
+// `srcset` for one format of an image's resized variants
+const buildSrcSet = (variants, format) => variants
+  .filter(variant => variant.format === format)
+  .sort((a, b) => a.width - b.width)
+  .map(variant => `${variant.url} ${variant.width}w`)
+  .join(', ');
+
+/**
+ * Property or building image that lets the browser pick the smallest variant
+ * for its rendered size, preferring WebP. Images uploaded before variants
+ * existed fall back to the original URL.
+ *
+ * `variant` is the size used as `src` for browsers without srcset support;
+ * `sizes` describes the rendered width, e.g. "(max-width: 600px) 100vw, 33vw".
+ */
+const ResponsiveImage = ({ image, variant = 'card', sizes = '100vw', alt, style, fallback = FALLBACK_IMAGE, ...props }) => {
+  const variants = image?.variants || [];
+
+  if (variants.length === 0) {
+    return <img src={image?.url || fallback} alt={alt} style={style} {...props} />;
+  }
+
+  const src = variants.find(item => item.name === variant && item.format === 'jpeg')?.url || image.url;
+
+  return (
+    <picture style={{ display: 'contents' }}>
+      <source type="image/webp" srcSet={buildSrcSet(variants, 'webp')} sizes={sizes} />
+      <img
+        src={src}
+        srcSet={buildSrcSet(variants, 'jpeg')}
+        sizes={sizes}
+        alt={alt}
+        style={style}
+        {...props}
+      />
+    </picture>
+  );
+};
+
+export default ResponsiveImage;
@@ -0,0 +1,89 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormControl,
+  InputLabel,
+  MenuItem,
+  Select,
+  TextField
+} from '@mui/material';
+
+export const FREQUENCY_LABELS = {
+  instant: 'As soon as they are listed',
+  daily: 'Daily digest',
+  weekly: 'Weekly digest'
+};
+
+export const CHANNEL_LABELS = {
+  in_app: 'In-app notification',
+  email: 'Email'
+};
+
+const SavedSearchDialog = ({ open, title, initialValues, saving, onClose, onSave }) => {
+  const [values, setValues] = useState({ name: '', frequency: 'instant', channel: 'in_app' });
+
+  // Start from the initial values each time the dialog opens
+  useEffect(() => {
+    if (open) {
+      setValues({ name: '', frequency: 'instant', channel: 'in_app', ...initialValues });
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open]);
+
+  return (
+    <Dialog open={open} onClose={() => !saving && onClose()} maxWidth="xs" fullWidth>
+      <DialogTitle>{title}</DialogTitle>
+      <DialogContent>
+        <TextField
+          label="Name"
+          value={values.name}
+          onChange={(e) => setValues(prev => ({ ...prev, name: e.target.value }))}
+          inputProps={{ maxLength: 100 }}
+          fullWidth
+          margin="normal"
+          autoFocus
+        />
+        <FormControl fullWidth margin="normal">
+          <InputLabel>Alert me</InputLabel>
+          <Select
+            label="Alert me"
+            value={values.frequency}
+            onChange={(e) => setValues(prev => ({ ...prev, frequency: e.target.value }))}
+          >
+            {Object.entries(FREQUENCY_LABELS).map(([value, label]) => (
+              <MenuItem key={value} value={value}>{label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <FormControl fullWidth margin="normal">
+          <InputLabel>Send by</InputLabel>
+          <Select
+            label="Send by"
+            value={values.channel}
+            onChange={(e) => setValues(prev => ({ ...prev, channel: e.target.value }))}
+          >
+            {Object.entries(CHANNEL_LABELS).map(([value, label]) => (
+              <MenuItem key={value} value={value}>{label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={() => onSave(values)}
+          disabled={saving || !values.name.trim()}
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SavedSearchDialog;
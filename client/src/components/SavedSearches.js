@@ -0,0 +1,146 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  Switch,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import {
+  Delete as DeleteIcon,
+  Edit as EditIcon
+} from '@mui/icons-material';
+import { useSnackbar } from 'notistack';
+import api from '../utils/axiosConfig';
+import SavedSearchDialog, { FREQUENCY_LABELS, CHANNEL_LABELS } from './SavedSearchDialog';
+
+const BEDROOM_LABELS = { '0': 'Studio', '4+': '4+ beds' };
+
+// Short description of what a saved search looks for
+const describeSearch = ({ query, filters = {} }) => {
+  const parts = [];
+  if (query) parts.push(`"${query}"`);
+  if (filters.city?.length) parts.push(filters.city.join(', '));
+  if (filters.propertyType?.length) parts.push(filters.propertyType.join(', '));
+  if (filters.bedrooms?.length) {
+    parts.push(filters.bedrooms.map(value => BEDROOM_LABELS[value] || `${value} bed`).join(', '));
+  }
+  if (filters.minRent || filters.maxRent) {
+    parts.push(`$${filters.minRent || 0} - ${filters.maxRent ? `$${filters.maxRent}` : 'any'}`);
+  }
+  if (filters.amenities?.length) parts.push(filters.amenities.join(', '));
+  return parts.join(' · ') || 'All listings';
+};
+
+const SavedSearches = () => {
+  const { enqueueSnackbar } = useSnackbar();
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const fetchSavedSearches = useCallback(async () => {
+    try {
+      const response = await api.get('/saved-searches');
+      setSavedSearches(response.data.data || []);
+    } catch (error) {
+      console.error('Error fetching saved searches:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSavedSearches();
+  }, [fetchSavedSearches]);
+
+  const updateSearch = async (id, changes) => {
+    const response = await api.put(`/saved-searches/${id}`, changes);
+    setSavedSearches(prev => prev.map(search => (search._id === id ? response.data.data : search)));
+  };
+
+  const handleTogglePaused = async (search) => {
+    try {
+      await updateSearch(search._id, { paused: !search.paused });
+    } catch (error) {
+      enqueueSnackbar(error.response?.data?.message || 'Failed to update the saved search', { variant: 'error' });
+    }
+  };
+
+  const handleEdit = async (values) => {
+    try {
+      setSaving(true);
+      await updateSearch(editing._id, values);
+      setEditing(null);
+    } catch (error) {
+      enqueueSnackbar(error.response?.data?.message || 'Failed to update the saved search', { variant: 'error' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await api.delete(`/saved-searches/${id}`);
+      setSavedSearches(prev => prev.filter(search => search._id !== id));
+    } catch (error) {
+      enqueueSnackbar(error.response?.data?.message || 'Failed to delete the saved search', { variant: 'error' });
+    }
+  };
+
+  if (savedSearches.length === 0) {
+    return null;
+  }
+
+  return (
+    <Box sx={{ mt: 6 }}>
+      <Typography variant="h5" sx={{ mb: 1, fontWeight: 'bold' }}>
+        Saved Searches
+      </Typography>
+      <List disablePadding>
+        {savedSearches.map(search => (
+          <ListItem
+            key={search._id}
+            divider
+            secondaryAction={
+              <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                <Tooltip title={search.paused ? 'Resume alerts' : 'Pause alerts'}>
+                  <Switch checked={!search.paused} onChange={() => handleTogglePaused(search)} />
+                </Tooltip>
+                <Tooltip title="Edit">
+                  <IconButton onClick={() => setEditing(search)}>
+                    <EditIcon />
+                  </IconButton>
+                </Tooltip>
+                <Tooltip title="Delete">
+                  <IconButton edge="end" onClick={() => handleDelete(search._id)}>
+                    <DeleteIcon />
+                  </IconButton>
+                </Tooltip>
+              </Box>
+            }
+          >
+            <ListItemText
+              primary={search.name}
+              secondary={`${describeSearch(search)} — ${search.paused
+                ? 'Paused'
+                : `${FREQUENCY_LABELS[search.frequency]} by ${CHANNEL_LABELS[search.channel].toLowerCase()}`}`}
+              sx={{ pr: 18 }}
+            />
+          </ListItem>
+        ))}
+      </List>
+
+      <SavedSearchDialog
+        open={Boolean(editing)}
+        title="Edit Saved Search"
+        initialValues={editing && { name: editing.name, frequency: editing.frequency, channel: editing.channel }}
+        saving={saving}
+        onClose={() => setEditing(null)}
+        onSave={handleEdit}
+      />
+    </Box>
+  );
+};
+
+export default SavedSearches;
@@ -0,0 +1,257 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  IconButton,
+  Paper,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import {
+  ChevronLeft as PrevIcon,
+  ChevronRight as NextIcon,
+  OpenInNew as OpenInNewIcon,
+  Place as PinIcon,
+  ThreeSixty as PanoramaIcon
+} from '@mui/icons-material';
+import api from '../utils/axiosConfig';
+import ResponsiveImage from './ResponsiveImage';
+
+const VIEW_HEIGHT = 360;
+
+// Keep an angle in [-180, 180)
+const wrapDegrees = (degrees) => ((((degrees + 180) % 360) + 360) % 360) - 180;
+
+const hotspotSx = {
+  position: 'absolute',
+  transform: 'translate(-50%, -50%)',
+  backgroundColor: 'rgba(0,0,0,0.6)',
+  color: 'white',
+  whiteSpace: 'nowrap',
+  '&:hover': {
+    backgroundColor: 'rgba(25,118,210,0.9)',
+  },
+};
+
+const sceneLabel = (scene) => (scene.room && scene.room !== scene.title ? `${scene.room} · ${scene.title}` : scene.title);
+
+/**
+ * Equirectangular panorama shown as a strip the viewer drags around. The full
+ * image height covers 180° of pitch and twice the height covers 360° of yaw.
+ */
+const PanoramaView = ({ scene, onHotspot }) => {
+  const containerRef = useRef(null);
+  const dragRef = useRef(null);
+  const [width, setWidth] = useState(0);
+  const [yaw, setYaw] = useState(scene.initialView?.yaw || 0);
+  const panoramaWidth = VIEW_HEIGHT * 2;
+
+  useEffect(() => {
+    setYaw(scene.initialView?.yaw || 0);
+  }, [scene]);
+
+  useEffect(() => {
+    const measure = () => setWidth(containerRef.current ? containerRef.current.clientWidth : 0);
+    measure();
+    window.addEventListener('resize', measure);
+    return () => window.removeEventListener('resize', measure);
+  }, []);
+
+  const handlePointerDown = (e) => {
+    dragRef.current = { x: e.clientX, yaw };
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!dragRef.current) return;
+    const dx = e.clientX - dragRef.current.x;
+    setYaw(wrapDegrees(dragRef.current.yaw - (dx / panoramaWidth) * 360));
+  };
+
+  const offset = width / 2 - ((yaw + 180) / 360) * panoramaWidth;
+
+  return (
+    <Box
+      ref={containerRef}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={() => { dragRef.current = null; }}
+      onPointerCancel={() => { dragRef.current = null; }}
+      role="img"
+      aria-label={`360° view: ${scene.title}`}
+      sx={{
+        position: 'relative',
+        height: VIEW_HEIGHT,
+        overflow: 'hidden',
+        cursor: 'grab',
+        touchAction: 'pan-y',
+        backgroundImage: `url(${scene.image.url})`,
+        backgroundSize: `${panoramaWidth}px ${VIEW_HEIGHT}px`,
+        backgroundRepeat: 'repeat-x',
+        backgroundPosition: `${offset}px 0`,
+        '&:active': { cursor: 'grabbing' },
+      }}
+    >
+      {width > 0 && scene.hotspots.map(hotspot => {
+        const left = width / 2 + (wrapDegrees(hotspot.yaw - yaw) / 360) * panoramaWidth;
+        if (left < 0 || left > width) return null;
+        return (
+          <Button
+            key={hotspot._id}
+            size="small"
+            onPointerDown={(e) => e.stopPropagation()}
+            onClick={() => onHotspot(hotspot.targetScene)}
+            sx={{ ...hotspotSx, left, top: ((90 - hotspot.pitch) / 180) * VIEW_HEIGHT }}
+          >
+            {hotspot.label || 'Go'}
+          </Button>
+        );
+      })}
+    </Box>
+  );
+};
+
+// Hotspot positions are fractions of the photo, so the box wraps it exactly
+const PhotoView = ({ scene, onHotspot }) => (
+  <Box sx={{ position: 'relative' }}>
+    <ResponsiveImage
+      image={scene.image}
+      variant="full"
+      sizes="(max-width: 900px) 100vw, 600px"
+      alt={scene.title}
+      style={{ width: '100%', height: 'auto', display: 'block' }}
+    />
+    {scene.hotspots.map(hotspot => (
+      <Button
+        key={hotspot._id}
+        size="small"
+        onClick={() => onHotspot(hotspot.targetScene)}
+        sx={{ ...hotspotSx, left: `${hotspot.x * 100}%`, top: `${hotspot.y * 100}%` }}
+      >
+        {hotspot.label || 'Go'}
+      </Button>
+    ))}
+  </Box>
+);
+
+const VirtualTourViewer = ({ propertyId }) => {
+  const [tour, setTour] = useState(null);
+  const [sceneIndex, setSceneIndex] = useState(0);
+
+  const fetchTour = useCallback(async () => {
+    try {
+      const response = await api.get(`/properties/${propertyId}/tour`);
+      setTour(response.data.data);
+      setSceneIndex(0);
+    } catch (error) {
+      console.error('Error fetching virtual tour:', error);
+    }
+  }, [propertyId]);
+
+  useEffect(() => {
+    fetchTour();
+  }, [fetchTour]);
+
+  const scenes = tour?.scenes || [];
+
+  const goToScene = (sceneId) => {
+    const index = scenes.findIndex(scene => scene._id === sceneId);
+    if (index !== -1) setSceneIndex(index);
+  };
+
+  if (!tour || (scenes.length === 0 && !tour.externalUrl)) {
+    return null;
+  }
+
+  const scene = scenes[sceneIndex];
+
+  return (
+    <Box sx={{ mb: 4 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Typography variant="h6" sx={{ fontWeight: 'bold' }}>
+          Virtual Tour
+        </Typography>
+        {tour.externalUrl && (
+          <Button
+            href={tour.externalUrl}
+            target="_blank"
+            rel="noopener noreferrer"
+            endIcon={<OpenInNewIcon />}
+          >
+            {scenes.length > 0 ? 'Full 3D tour' : 'Open virtual tour'}
+          </Button>
+        )}
+      </Box>
+
+      {scene && (
+        <Paper variant="outlined" sx={{ overflow: 'hidden' }}>
+          {scene.kind === 'panorama'
+            ? <PanoramaView scene={scene} onHotspot={goToScene} />
+            : <PhotoView scene={scene} onHotspot={goToScene} />}
+
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, p: 1 }}>
+            <IconButton onClick={() => setSceneIndex(sceneIndex - 1)} disabled={sceneIndex === 0} aria-label="Previous room">
+              <PrevIcon />
+            </IconButton>
+            <Box sx={{ flexGrow: 1, textAlign: 'center' }}>
+              <Typography variant="subtitle1">
+                {sceneLabel(scene)}
+                {scene.kind === 'panorama' && (
+                  <Tooltip title="Drag to look around">
+                    <PanoramaIcon fontSize="small" sx={{ ml: 1, verticalAlign: 'middle', color: 'text.secondary' }} />
+                  </Tooltip>
+                )}
+              </Typography>
+              <Typography variant="caption" color="text.secondary">
+                {sceneIndex + 1} of {scenes.length}
+              </Typography>
+            </Box>
+            <IconButton onClick={() => setSceneIndex(sceneIndex + 1)} disabled={sceneIndex === scenes.length - 1} aria-label="Next room">
+              <NextIcon />
+            </IconButton>
+          </Box>
+        </Paper>
+      )}
+
+      {scenes.length > 1 && (
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 2 }}>
+          {scenes.map((item, index) => (
+            <Chip
+              key={item._id}
+              label={sceneLabel(item)}
+              color={index === sceneIndex ? 'primary' : 'default'}
+              variant={index === sceneIndex ? 'filled' : 'outlined'}
+              onClick={() => setSceneIndex(index)}
+            />
+          ))}
+        </Box>
+      )}
+
+      {tour.floorPlanUrl && scenes.some(item => item.floorPlanPin) && (
+        <Box sx={{ position: 'relative', mt: 2, maxWidth: 400 }}>
+          <img src={tour.floorPlanUrl} alt="Floor plan" style={{ width: '100%', display: 'block' }} />
+          {scenes.map((item, index) => item.floorPlanPin && (
+            <Tooltip key={item._id} title={sceneLabel(item)}>
+              <IconButton
+                size="small"
+                onClick={() => setSceneIndex(index)}
+                sx={{
+                  position: 'absolute',
+                  left: `${item.floorPlanPin.x * 100}%`,
+                  top: `${item.floorPlanPin.y * 100}%`,
+                  transform: 'translate(-50%, -100%)',
+                  color: index === sceneIndex ? 'primary.main' : 'error.main',
+                }}
+              >
+                <PinIcon />
+              </IconButton>
+            </Tooltip>
+          ))}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default VirtualTourViewer;
@@ -1,5 +1,6 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import api from '../utils/axiosConfig';
+import { getUploadErrorMessage } from '../utils/uploadErrors';
 import {
   Container,
   Paper,
@@ -21,20 +22,35 @@ import {
   Card,
   CardContent,
   CircularProgress,
-  IconButton
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  List,
+  ListItem,
+  ListItemText
 } from '@mui/material';
 import {
   AttachMoney as MoneyIcon,
   Home as HomeIcon,
   Psychology as AIIcon
 } from '@mui/icons-material';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import axios from 'axios';
 
 const AddProperty = () => {
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
   const [activeStep, setActiveStep] = useState(0);
+  const [draftId, setDraftId] = useState(searchParams.get('draft'));
+  const [draftSavedAt, setDraftSavedAt] = useState(null);
+  const [savingDraft, setSavingDraft] = useState(false);
+  // Latest draft id and save, read by saves that were queued before they changed
+  const draftIdRef = useRef(draftId);
+  const draftSaveRef = useRef(Promise.resolve());
+  const [duplicates, setDuplicates] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
@@ -77,6 +93,8 @@ const AddProperty = () => {
       availableDate: '',
       leaseLength: { min: 12, max: 12, preferred: 12 }
     },
+    publishAt: '',
+    unpublishAt: '',
     images: []
   });
 
@@ -91,6 +109,75 @@ const AddProperty = () => {
     'In-unit Washer/Dryer', 'Fireplace', 'Garden', 'Rooftop Access'
   ];
 
+  useEffect(() => {
+    if (draftId) {
+      loadDraft(draftId);
+    }
+    // Only resume once, when the page is opened with ?draft=<id>
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const loadDraft = async (id) => {
+    try {
+      const response = await api.get(`/properties/drafts/${id}`);
+      const draft = response.data.data;
+
+      setPropertyData(prev => ({
+        ...prev,
+        title: draft.title || '',
+        description: draft.description || '',
+        propertyType: draft.propertyType || '',
+        address: { ...prev.address, ...draft.address },
+        specifications: { ...prev.specifications, ...draft.specifications },
+        pricing: { ...prev.pricing, ...draft.pricing },
+        amenities: draft.amenities || [],
+        availability: {
+          ...prev.availability,
+          availableDate: draft.availability?.availableDate?.slice(0, 10) || ''
+        },
+        publishAt: draft.publishAt?.slice(0, 10) || '',
+        unpublishAt: draft.unpublishAt?.slice(0, 10) || '',
+        images: []
+      }));
+      setActiveStep(draft.draftProgress?.step || 0);
+      setDraftSavedAt(draft.draftProgress?.savedAt || null);
+    } catch (error) {
+      console.error('Failed to load draft:', error);
+      draftIdRef.current = null;
+      setDraftId(null);
+      setError('Could not load your saved draft. Starting a new listing.');
+    }
+  };
+
+  const saveDraft = async (step) => {
+    // Image files are only uploaded on submit
+    const { images, ...propertyDataWithoutImages } = propertyData;
+
+    // Saves run one after another, so only the first one creates the draft
+    const save = draftSaveRef.current.then(async () => {
+      const id = draftIdRef.current;
+      try {
+        const response = id
+          ? await api.patch(`/properties/drafts/${id}`, { propertyData: propertyDataWithoutImages, step })
+          : await api.post('/properties/drafts', { propertyData: propertyDataWithoutImages, step });
+
+        draftIdRef.current = response.data.data._id;
+        setDraftId(response.data.data._id);
+        setDraftSavedAt(response.data.data.draftProgress?.savedAt || new Date().toISOString());
+      } catch (error) {
+        // Autosave failures should never block the wizard
+        console.error('Failed to autosave draft:', error);
+      }
+    });
+
+    draftSaveRef.current = save;
+    setSavingDraft(true);
+    await save;
+    if (draftSaveRef.current === save) {
+      setSavingDraft(false);
+    }
+  };
+
   const handleInputChange = (section, field, value) => {
     if (section) {
       setPropertyData(prev => ({
@@ -272,7 +359,8 @@ const AddProperty = () => {
     }));
   };
 
-  const handleNext = () => {
+  const handleNext = async () => {
+    await saveDraft(activeStep + 1);
     setActiveStep(prev => prev + 1);
   };
 
@@ -280,23 +368,31 @@ const AddProperty = () => {
     setActiveStep(prev => prev - 1);
   };
 
-  const handleSubmit = async () => {
+  const handleSubmit = async (confirmDuplicate = false) => {
     setLoading(true);
     setError('');
+    setDuplicates(null);
     
     try {
+      // Submit the draft rather than creating a second listing next to it
+      await draftSaveRef.current;
+      const currentDraftId = draftIdRef.current;
+
       const formData = new FormData();
       
       // Add property data (excluding images array)
       const { images, ...propertyDataWithoutImages } = propertyData;
       formData.append('propertyData', JSON.stringify(propertyDataWithoutImages));
+      if (confirmDuplicate) {
+        formData.append('confirmDuplicate', 'true');
+      }
       
       // Add image files
       propertyData.images.forEach((image, index) => {
         formData.append('images', image);
       });
       
-      const response = await api.post('/properties', formData, {
+      const response = await api.post(currentDraftId ? `/properties/drafts/${currentDraftId}/submit` : '/properties', formData, {
         headers: {
           'Content-Type': 'multipart/form-data'
         }
@@ -307,7 +403,12 @@ const AddProperty = () => {
         navigate('/landlord');
       }, 2000);
     } catch (error) {
-      setError(error.response?.data?.message || 'Failed to add property');
+      if (error.response?.status === 409 && error.response.data?.duplicates) {
+        // Let the landlord confirm or cancel posting a likely duplicate
+        setDuplicates(error.response.data.duplicates);
+      } else {
+        setError(getUploadErrorMessage(error, 'Failed to add property'));
+      }
     }
     setLoading(false);
   };
@@ -557,6 +658,30 @@ const AddProperty = () => {
                   InputLabelProps={{ shrink: true }}
                 />
               </Grid>
+
+              <Grid item xs={12} sm={6}>
+                <TextField
+                  fullWidth
+                  type="date"
+                  label="Publish On"
+                  value={propertyData.publishAt}
+                  onChange={(e) => handleInputChange(null, 'publishAt', e.target.value)}
+                  InputLabelProps={{ shrink: true }}
+                  helperText="Leave empty to publish right away"
+                />
+              </Grid>
+
+              <Grid item xs={12} sm={6}>
+                <TextField
+                  fullWidth
+                  type="date"
+                  label="Unpublish On"
+                  value={propertyData.unpublishAt}
+                  onChange={(e) => handleInputChange(null, 'unpublishAt', e.target.value)}
+                  InputLabelProps={{ shrink: true }}
+                  helperText="Optional date to take the listing down"
+                />
+              </Grid>
               
               <Grid item xs={12}>
                 <FormControl component="fieldset">
@@ -914,6 +1039,12 @@ const AddProperty = () => {
           Add New Property
         </Typography>
 
+        {draftSavedAt && (
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 2, textAlign: 'center' }}>
+            Draft saved {new Date(draftSavedAt).toLocaleTimeString()}
+          </Typography>
+        )}
+
         <Stepper activeStep={activeStep} sx={{ mb: 4 }}>
           {steps.map((label) => (
             <Step key={label}>
@@ -949,8 +1080,8 @@ const AddProperty = () => {
           {activeStep === steps.length - 1 ? (
             <Button
               variant="contained"
-              onClick={handleSubmit}
-              disabled={loading}
+              onClick={() => handleSubmit()}
+              disabled={loading || savingDraft}
               startIcon={<HomeIcon />}
             >
               {loading ? 'Adding Property...' : 'Add Property'}
@@ -959,12 +1090,40 @@ const AddProperty = () => {
             <Button
               variant="contained"
               onClick={handleNext}
+              disabled={savingDraft}
             >
               Next
             </Button>
           )}
         </Box>
       </Paper>
+
+      <Dialog open={Boolean(duplicates)} onClose={() => setDuplicates(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Is this listing already posted?</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+            We found listings that look very similar to this one.
+          </Typography>
+          <List dense>
+            {(duplicates || []).map(duplicate => (
+              <ListItem key={duplicate.property._id} disableGutters>
+                <ListItemText
+                  primary={`${duplicate.property.title}${duplicate.sameLandlord ? ' (your listing)' : ''}`}
+                  secondary={`${[duplicate.property.address?.street, duplicate.property.address?.city].filter(Boolean).join(', ')} · ${Math.round(duplicate.score * 100)}% match`}
+                />
+              </ListItem>
+            ))}
+          </List>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDuplicates(null)}>
+            Cancel
+          </Button>
+          <Button variant="contained" onClick={() => handleSubmit(true)} disabled={loading || savingDraft}>
+            Post Anyway
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Container>
   );
 };
@@ -0,0 +1,170 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Container,
+  Grid,
+  Typography,
+  Box,
+  Card,
+  CardContent,
+  CardMedia,
+  Chip,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import {
+  LocationOn as LocationIcon,
+  Bed as BedIcon,
+  Bathtub as BathtubIcon,
+  SquareFoot as SquareFootIcon,
+  Apartment as ApartmentIcon
+} from '@mui/icons-material';
+import { useParams, useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import api from '../utils/axiosConfig';
+
+const placeholderImage = 'https://images.unsplash.com/photo-1560518883-ce09059eeffa?ixlib=rb-4.0.3&auto=format&fit=crop&w=1000&q=80';
+
+const BuildingDetails = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [building, setBuilding] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchBuilding = async () => {
+      try {
+        const response = await api.get(`/buildings/${id}`);
+        setBuilding(response.data.data);
+      } catch (error) {
+        console.error('Failed to fetch building:', error);
+        setError(error.response?.data?.message || 'Failed to load building');
+      }
+      setLoading(false);
+    };
+
+    fetchBuilding();
+  }, [id]);
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error || !building) {
+    return (
+      <Container maxWidth="lg" sx={{ py: 4 }}>
+        <Alert severity="error">{error || 'Building not found'}</Alert>
+      </Container>
+    );
+  }
+
+  const mainImage = building.images?.find(image => image.isMain) || building.images?.[0];
+
+  return (
+    <Container maxWidth="lg" sx={{ py: 4 }}>
+      <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} transition={{ duration: 0.5 }}>
+        <Grid container spacing={4} sx={{ mb: 4 }}>
+          <Grid item xs={12} md={6}>
+            <Box
+              component="img"
+              src={mainImage?.url || placeholderImage}
+              alt={building.name}
+              sx={{ width: '100%', height: 320, objectFit: 'cover', borderRadius: 2 }}
+            />
+          </Grid>
+          <Grid item xs={12} md={6}>
+            <Typography variant="h4" sx={{ fontWeight: 'bold', mb: 2 }}>
+              {building.name}
+            </Typography>
+            <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+              <LocationIcon sx={{ mr: 1, color: 'text.secondary' }} />
+              <Typography variant="h6" color="text.secondary">
+                {building.address.street}, {building.address.city}, {building.address.state} {building.address.zipCode}
+              </Typography>
+            </Box>
+            <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+              <ApartmentIcon sx={{ mr: 1, color: 'primary.main' }} />
+              <Typography variant="body1">
+                {building.unitCount} available unit{building.unitCount === 1 ? '' : 's'}
+                {building.rentRange && ` · $${building.rentRange.min.toLocaleString()} - $${building.rentRange.max.toLocaleString()}/mo`}
+              </Typography>
+            </Box>
+            {building.description && (
+              <Typography variant="body1" sx={{ mb: 3, lineHeight: 1.6 }}>
+                {building.description}
+              </Typography>
+            )}
+            {building.amenities?.length > 0 && (
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+                {building.amenities.map((amenity) => (
+                  <Chip key={amenity} label={amenity} variant="outlined" />
+                ))}
+              </Box>
+            )}
+          </Grid>
+        </Grid>
+
+        <Typography variant="h5" sx={{ fontWeight: 'bold', mb: 3 }}>
+          Available Units
+        </Typography>
+
+        {building.units.length === 0 ? (
+          <Typography color="text.secondary">
+            There are no units available in this building right now.
+          </Typography>
+        ) : (
+          <Grid container spacing={3}>
+            {building.units.map((unit) => (
+              <Grid item xs={12} sm={6} md={4} key={unit._id}>
+                <Card
+                  sx={{ height: '100%', cursor: 'pointer' }}
+                  onClick={() => navigate(`/property/${unit._id}`)}
+                >
+                  <CardMedia
+                    component="img"
+                    height="160"
+                    image={unit.images?.[0]?.url || mainImage?.url || placeholderImage}
+                    alt={unit.title}
+                  />
+                  <CardContent>
+                    <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                      <Typography variant="h6" sx={{ fontWeight: 'bold' }}>
+                        ${unit.pricing?.rent?.toLocaleString()}/mo
+                      </Typography>
+                      {unit.unitNumber && <Chip label={`Unit ${unit.unitNumber}`} size="small" />}
+                    </Box>
+                    <Typography variant="body1" sx={{ mb: 1 }}>
+                      {unit.title}
+                    </Typography>
+                    <Box sx={{ display: 'flex', gap: 2, color: 'text.secondary' }}>
+                      <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                        <BedIcon sx={{ fontSize: 16, mr: 0.5 }} />
+                        <Typography variant="body2">{unit.specifications?.bedrooms} bed</Typography>
+                      </Box>
+                      <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                        <BathtubIcon sx={{ fontSize: 16, mr: 0.5 }} />
+                        <Typography variant="body2">{unit.specifications?.bathrooms} bath</Typography>
+                      </Box>
+                      {unit.specifications?.squareFootage && (
+                        <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                          <SquareFootIcon sx={{ fontSize: 16, mr: 0.5 }} />
+                          <Typography variant="body2">{unit.specifications.squareFootage} sq ft</Typography>
+                        </Box>
+                      )}
+                    </Box>
+                  </CardContent>
+                </Card>
+              </Grid>
+            ))}
+          </Grid>
+        )}
+      </motion.div>
+    </Container>
+  );
+};
+
+export default BuildingDetails;
@@ -31,6 +31,7 @@ import {
 import { useNavigate, useParams } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import axios from 'axios';
+import { getUploadErrorMessage } from '../utils/uploadErrors';
 
 const EditProperty = () => {
   const navigate = useNavigate();
@@ -44,6 +45,7 @@ const EditProperty = () => {
   const [generatingDescription, setGeneratingDescription] = useState(false);
   const [uploadingImages, setUploadingImages] = useState(false);
   const [imagePreview, setImagePreview] = useState([]);
+  const [removedImages, setRemovedImages] = useState([]);
 
   const [propertyData, setPropertyData] = useState({
     title: '',
@@ -80,7 +82,9 @@ const EditProperty = () => {
       leaseLength: { min: 12, max: 12, preferred: 12 }
     },
     images: [],
-    status: 'active'
+    status: 'active',
+    publishAt: '',
+    unpublishAt: ''
   });
 
   const steps = ['Basic Info', 'Property Details', 'Pricing & Policies', 'Images', 'Review & Update'];
@@ -88,7 +92,7 @@ const EditProperty = () => {
   const propertyTypes = ['apartment', 'house', 'condo', 'townhouse', 'studio'];
   const parkingOptions = ['none', 'street', 'garage', 'driveway', 'covered'];
   const furnishedOptions = ['unfurnished', 'partially-furnished', 'fully-furnished'];
-  const statusOptions = ['active', 'inactive', 'rented', 'maintenance'];
+  const statusOptions = ['active', 'pending', 'rented', 'inactive'];
   const commonAmenities = [
     'Parking', 'Gym', 'Pool', 'Laundry', 'Dishwasher', 'Air Conditioning',
     'Balcony', 'Pet Friendly', 'Furnished', 'Internet Included', 'Hardwood Floors',
@@ -101,8 +105,8 @@ const EditProperty = () => {
 
   const fetchProperty = async () => {
     try {
-      const response = await axios.get(`/properties/${id}`);
-      const property = response.data;
+      const response = await axios.get(`/properties/${id}/edit`);
+      const property = response.data.data;
       
       // Format the property data for editing
       setPropertyData({
@@ -140,13 +144,16 @@ const EditProperty = () => {
           leaseLength: { min: 12, max: 12, preferred: 12 }
         },
         images: [],
-        status: property.status || 'active'
+        status: property.status || 'active',
+        publishAt: property.publishAt?.slice(0, 10) || '',
+        unpublishAt: property.unpublishAt?.slice(0, 10) || ''
       });
 
       // Set up image previews for existing images
       if (property.images && property.images.length > 0) {
-        const existingPreviews = property.images.map((imagePath, index) => ({
-          url: `${process.env.REACT_APP_API_URL || 'http://localhost:5000'}${imagePath}`,
+        const existingPreviews = property.images.map((image, index) => ({
+          id: image._id,
+          url: `${process.env.REACT_APP_API_URL || 'http://localhost:5000'}${image.url}`,
           name: `existing-${index}`,
           isExisting: true
         }));
@@ -333,7 +340,9 @@ const EditProperty = () => {
     
     setImagePreview(prev => prev.filter((_, i) => i !== index));
     
-    if (!imageToRemove.isExisting) {
+    if (imageToRemove.isExisting) {
+      setRemovedImages(prev => [...prev, imageToRemove.id]);
+    } else {
       setPropertyData(prev => ({
         ...prev,
         images: prev.images.filter((_, i) => i !== index - imagePreview.filter((img, idx) => idx < index && img.isExisting).length)
@@ -358,6 +367,7 @@ const EditProperty = () => {
       
       const { images, ...propertyDataWithoutImages } = propertyData;
       formData.append('propertyData', JSON.stringify(propertyDataWithoutImages));
+      formData.append('removedImages', JSON.stringify(removedImages));
       
       propertyData.images.forEach((image, index) => {
         formData.append('images', image);
@@ -374,7 +384,7 @@ const EditProperty = () => {
         navigate('/my-properties');
       }, 2000);
     } catch (error) {
-      setError(error.response?.data?.message || 'Failed to update property');
+      setError(getUploadErrorMessage(error, 'Failed to update property'));
     }
     setLoading(false);
   };
@@ -487,6 +497,30 @@ const EditProperty = () => {
                   </Select>
                 </FormControl>
               </Grid>
+
+              <Grid item xs={12} sm={6}>
+                <TextField
+                  fullWidth
+                  type="date"
+                  label="Publish On"
+                  value={propertyData.publishAt}
+                  onChange={(e) => handleInputChange(null, 'publishAt', e.target.value)}
+                  InputLabelProps={{ shrink: true }}
+                  helperText="Hidden from renters until this date"
+                />
+              </Grid>
+
+              <Grid item xs={12} sm={6}>
+                <TextField
+                  fullWidth
+                  type="date"
+                  label="Unpublish On"
+                  value={propertyData.unpublishAt}
+                  onChange={(e) => handleInputChange(null, 'unpublishAt', e.target.value)}
+                  InputLabelProps={{ shrink: true }}
+                  helperText="Optional date to take the listing down"
+                />
+              </Grid>
             </Grid>
           </motion.div>
         );
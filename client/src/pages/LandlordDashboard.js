@@ -8,10 +8,15 @@ import {
   CardContent,
   Button,
   Alert,
-  CircularProgress
+  CircularProgress,
+  List,
+  ListItem,
+  ListItemText,
+  Chip
 } from '@mui/material';
 import {
   Home as HomeIcon,
+  Schedule as ScheduleIcon,
   Add as AddIcon,
   Analytics as AnalyticsIcon,
   Psychology as AIIcon
@@ -30,11 +35,46 @@ const LandlordDashboard = () => {
     totalInquiries: 0
   });
   const [loading, setLoading] = useState(true);
+  const [expiring, setExpiring] = useState([]);
+  const [renewingId, setRenewingId] = useState(null);
 
   useEffect(() => {
     fetchDashboardStats();
+    fetchExpiring();
   }, []);
 
+  const fetchExpiring = async () => {
+    try {
+      const response = await api.get('/properties/expiring');
+      setExpiring(response.data.data || []);
+    } catch (error) {
+      console.error('Failed to fetch expiring listings:', error);
+    }
+  };
+
+  const handleRenew = async (propertyId) => {
+    setRenewingId(propertyId);
+    try {
+      await api.post(`/properties/${propertyId}/renew`);
+      await fetchExpiring();
+    } catch (error) {
+      console.error('Failed to renew listing:', error);
+      alert(error.response?.data?.message || 'Failed to renew listing');
+    }
+    setRenewingId(null);
+  };
+
+  const describeExpiry = (property) => {
+    if (property.status === 'inactive') {
+      return `Expired on ${new Date(property.expiredAt).toLocaleDateString()}`;
+    }
+    const daysLeft = Math.ceil((new Date(property.expiresAt) - Date.now()) / (24 * 60 * 60 * 1000));
+    if (daysLeft <= 0) {
+      return 'Expires today';
+    }
+    return `Expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'} (${new Date(property.expiresAt).toLocaleDateString()})`;
+  };
+
   const fetchDashboardStats = async () => {
     try {
       // Fetch dashboard analytics from the new analytics endpoint
@@ -116,6 +156,48 @@ const LandlordDashboard = () => {
         </Grid>
       </Grid>
 
+      {/* Upcoming Expirations */}
+      {expiring.length > 0 && (
+        <Card sx={{ mb: 4 }}>
+          <CardContent>
+            <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
+              <ScheduleIcon sx={{ color: 'warning.main', mr: 1 }} />
+              <Typography variant="h6">Listings Expiring Soon</Typography>
+            </Box>
+            <List disablePadding>
+              {expiring.map((property) => (
+                <ListItem
+                  key={property._id}
+                  divider
+                  secondaryAction={
+                    <Button
+                      size="small"
+                      variant="outlined"
+                      onClick={() => handleRenew(property._id)}
+                      disabled={renewingId === property._id}
+                    >
+                      {property.status === 'inactive' ? 'Renew & Publish' : 'Renew'}
+                    </Button>
+                  }
+                >
+                  <ListItemText
+                    primary={
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        {property.title}
+                        {property.status === 'inactive' && (
+                          <Chip label="Expired" size="small" color="error" />
+                        )}
+                      </Box>
+                    }
+                    secondary={describeExpiry(property)}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          </CardContent>
+        </Card>
+      )}
+
       {/* Action Cards */}
       <Grid container spacing={3}>
         <Grid item xs={12} md={6}>
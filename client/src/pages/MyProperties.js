@@ -134,6 +134,8 @@ const MyProperties = () => {
       case 'pending': return 'warning';
       case 'rented': return 'info';
       case 'inactive': return 'default';
+      case 'draft': return 'secondary';
+      case 'archived': return 'default';
       default: return 'default';
     }
   };
@@ -210,7 +212,7 @@ const MyProperties = () => {
                   <CardContent>
                     <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 1 }}>
                       <Typography variant="h6" component="h3" sx={{ fontWeight: 'bold' }}>
-                        ${property.pricing.rent.toLocaleString()}/mo
+                        {property.pricing?.rent ? `$${property.pricing.rent.toLocaleString()}/mo` : 'Draft'}
                       </Typography>
                       <Box sx={{ display: 'flex', alignItems: 'center' }}>
                         <Chip
@@ -219,6 +221,15 @@ const MyProperties = () => {
                           size="small"
                           sx={{ mr: 1 }}
                         />
+                        {property.publishAt && new Date(property.publishAt) > new Date() && (
+                          <Chip
+                            label={`Goes live ${new Date(property.publishAt).toLocaleDateString()}`}
+                            color="info"
+                            variant="outlined"
+                            size="small"
+                            sx={{ mr: 1 }}
+                          />
+                        )}
                         <IconButton
                           size="small"
                           onClick={(e) => handleMenuOpen(e, property)}
@@ -235,7 +246,7 @@ const MyProperties = () => {
                     <Box sx={{ display: 'flex', alignItems: 'center', mb: 1, color: 'text.secondary' }}>
                       <LocationIcon sx={{ fontSize: 16, mr: 0.5 }} />
                       <Typography variant="body2">
-                        {property.address.city}, {property.address.state}
+                        {[property.address?.city, property.address?.state].filter(Boolean).join(', ')}
                       </Typography>
                     </Box>
                     
@@ -243,13 +254,13 @@ const MyProperties = () => {
                       <Box sx={{ display: 'flex', alignItems: 'center' }}>
                         <BedIcon sx={{ fontSize: 16, mr: 0.5, color: 'text.secondary' }} />
                         <Typography variant="body2" color="text.secondary">
-                          {property.specifications.bedrooms} bed
+                          {property.specifications?.bedrooms ?? '-'} bed
                         </Typography>
                       </Box>
                       <Box sx={{ display: 'flex', alignItems: 'center' }}>
                         <BathtubIcon sx={{ fontSize: 16, mr: 0.5, color: 'text.secondary' }} />
                         <Typography variant="body2" color="text.secondary">
-                          {property.specifications.bathrooms} bath
+                          {property.specifications?.bathrooms ?? '-'} bath
                         </Typography>
                       </Box>
                     </Box>
@@ -310,11 +321,13 @@ const MyProperties = () => {
           View Analytics
         </MenuItem>
         <MenuItem onClick={() => {
-          // Navigate to edit property page (to be implemented)
+          navigate(selectedProperty?.status === 'draft'
+            ? `/add-property?draft=${selectedProperty?._id}`
+            : `/edit-property/${selectedProperty?._id}`);
           handleMenuClose();
         }}>
           <EditIcon sx={{ mr: 1 }} />
-          Edit Property
+          {selectedProperty?.status === 'draft' ? 'Continue Draft' : 'Edit Property'}
         </MenuItem>
         <MenuItem 
           onClick={() => {
@@ -59,6 +59,8 @@ import api from '../utils/axiosConfig';
 import { useSnackbar } from 'notistack';
 import PropertyImageGallery from '../components/PropertyImageGallery';
 import PropertyLocationMap from '../components/PropertyLocationMap';
+import PropertyAttachments from '../components/PropertyAttachments';
+import VirtualTourViewer from '../components/VirtualTourViewer';
 
 const PropertyDetails = () => {
   const { id } = useParams();
@@ -190,14 +192,11 @@ const PropertyDetails = () => {
           state: '',
           postalCode: '',
           country: '',
-          coordinates: [0, 0],
           ...propertyData.address
         },
         location: propertyData.location || {
           type: 'Point',
-          coordinates: propertyData.address?.coordinates?.coordinates || 
-                     propertyData.address?.coordinates || 
-                     [0, 0]
+          coordinates: [0, 0]
         },
         specifications: {
           bedrooms: 1,
@@ -474,6 +473,8 @@ const PropertyDetails = () => {
               onUpdate={handleImagesUpdate}
             />
 
+            <VirtualTourViewer propertyId={property._id} />
+
             {/* Property Info */}
             <Box sx={{ mb: 4 }}>
               <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 2 }}>
@@ -492,6 +493,15 @@ const PropertyDetails = () => {
                 </Typography>
               </Box>
 
+              {property.building?._id && (
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+                  {property.unitNumber && <Chip label={`Unit ${property.unitNumber}`} size="small" />}
+                  <Button size="small" onClick={() => navigate(`/building/${property.building._id}`)}>
+                    More units in {property.building.name}
+                  </Button>
+                </Box>
+              )}
+
               <Box sx={{ display: 'flex', gap: 3, mb: 3 }}>
                 <Box sx={{ display: 'flex', alignItems: 'center' }}>
                   <BedIcon sx={{ mr: 1, color: 'text.secondary' }} />
@@ -532,6 +542,11 @@ const PropertyDetails = () => {
                   </Box>
                 </Box>
               )}
+
+              <PropertyAttachments
+                propertyId={property._id}
+                isOwner={isAuthenticated && property.landlord?._id === user?.id}
+              />
             </Box>
           </Grid>
 
@@ -22,6 +22,7 @@ import {
 import { useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import api from '../utils/axiosConfig';
+import SavedSearches from '../components/SavedSearches';
 
 const SavedProperties = () => {
   const navigate = useNavigate();
@@ -251,6 +252,8 @@ const SavedProperties = () => {
           ))}
         </Grid>
       )}
+
+      <SavedSearches />
     </Container>
   );
 };
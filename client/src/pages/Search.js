@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useSnackbar } from 'notistack';
 import {
   Container,
@@ -7,7 +7,6 @@ import {
   Button,
   Card,
   CardContent,
-  CardMedia,
   Typography,
   Box,
   Chip,
@@ -15,15 +14,15 @@ import {
   Pagination,
   Paper,
   Slider,
-  FormControl,
-  InputLabel,
-  Select,
-  MenuItem,
   InputAdornment,
   Drawer,
   useMediaQuery,
   useTheme,
-  CircularProgress
+  CircularProgress,
+  Switch,
+  FormControlLabel,
+  ToggleButton,
+  ToggleButtonGroup
 } from '@mui/material';
 import {
   Search as SearchIcon,
@@ -33,13 +32,74 @@ import {
   LocationOn as LocationIcon,
   Bed as BedIcon,
   Bathtub as BathtubIcon,
-  Psychology as AIIcon
+  Psychology as AIIcon,
+  Apartment as ApartmentIcon,
+  NotificationsActive as AlertIcon,
+  ViewModule as GridViewIcon,
+  Map as MapIcon
 } from '@mui/icons-material';
 import { Snackbar, Alert} from '@mui/material';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { motion } from 'framer-motion';
 import api from '../utils/axiosConfig';
+import ResponsiveImage from '../components/ResponsiveImage';
+import SavedSearchDialog from '../components/SavedSearchDialog';
+import MapSearch from '../components/MapSearch';
+
+// Matches the result grid: 1 column on phones, 2 on tablets, 3-4 on desktop
+const CARD_IMAGE_SIZES = '(max-width: 600px) 100vw, (max-width: 900px) 50vw, (max-width: 1200px) 33vw, 25vw';
+const CARD_IMAGE_STYLE = { width: '100%', height: 200, objectFit: 'cover', display: 'block' };
+
+// Top of the rent slider; at the top the range is open-ended
+const RENT_MAX = 10000;
+const BEDROOM_LABELS = { '0': 'Studio', '1': '1 bed', '2': '2 beds', '3': '3 beds', '4+': '4+ beds' };
+// Shown until the first facet counts arrive
+const DEFAULT_PROPERTY_TYPES = ['apartment', 'house', 'condo', 'townhouse', 'studio'];
+const DEFAULT_AMENITIES = [
+  'Parking', 'Gym', 'Pool', 'Laundry', 'Dishwasher', 'Air Conditioning',
+  'Balcony', 'Pet Friendly', 'Furnished', 'Internet Included'
+];
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Filters as query parameters for /properties and /search/facets
+const toQueryParams = (filters) => {
+  const params = new URLSearchParams();
+  if (filters.minRent > 0) params.set('minRent', filters.minRent);
+  if (filters.maxRent < RENT_MAX) params.set('maxRent', filters.maxRent);
+  ['bedrooms', 'propertyType', 'amenities', 'city'].forEach(key => {
+    if (filters[key].length > 0) params.set(key, filters[key].join(','));
+  });
+  return params;
+};
+
+// Filters in the format stored on saved searches
+const toSavedFilters = (filters) => ({
+  ...(filters.minRent > 0 && { minRent: filters.minRent }),
+  ...(filters.maxRent < RENT_MAX && { maxRent: filters.maxRent }),
+  bedrooms: filters.bedrooms,
+  propertyType: filters.propertyType,
+  amenities: filters.amenities,
+  city: filters.city
+});
+
+// Options for a filter with their counts. Selected values stay listed even
+// when they drop out of the counts.
+const facetOptions = (counts, fallback, selected) => {
+  if (!counts) {
+    return fallback.map(value => ({ value, count: null }));
+  }
+  const options = counts.map(({ value, count }) => ({ value, count }));
+  selected.forEach(value => {
+    if (!options.some(option => option.value === value)) {
+      options.push({ value, count: 0 });
+    }
+  });
+  return options;
+};
+
+const optionLabel = (label, count) => (count === null ? label : `${label} (${count})`);
 
 const Search = () => {
   const navigate = useNavigate();
@@ -55,6 +115,10 @@ const Search = () => {
   const [snackbarOpen, setSnackbarOpen] = useState(false);
   const [snackbarMessage, setSnackbarMessage] = useState('');
   const [filterDrawerOpen, setFilterDrawerOpen] = useState(false);
+  const [groupByBuilding, setGroupByBuilding] = useState(false);
+  const [viewMode, setViewMode] = useState('list');
+  // Filters the map shows, updated when they are applied
+  const [mapFilterParams, setMapFilterParams] = useState('');
   const [pagination, setPagination] = useState({
     current: 1,
     pages: 1,
@@ -62,41 +126,51 @@ const Search = () => {
   });
   
   const [filters, setFilters] = useState({
-    minRent: 500,
-    maxRent: 5000,
-    bedrooms: '',
-    bathrooms: '',
+    minRent: 0,
+    maxRent: RENT_MAX,
+    bedrooms: [],
     propertyType: [],
     amenities: [],
-    location: { city: '', state: '' }
+    city: []
   });
+  // Counts per filter option for the filters in the drawer
+  const [facets, setFacets] = useState(null);
+  const [facetTotal, setFacetTotal] = useState(null);
 
-  const propertyTypes = ['apartment', 'house', 'condo', 'townhouse', 'studio'];
-  const commonAmenities = [
-    'Parking', 'Gym', 'Pool', 'Laundry', 'Dishwasher', 'Air Conditioning',
-    'Balcony', 'Pet Friendly', 'Furnished', 'Internet Included'
-  ];
+  const fetchFacets = useCallback(async (currentFilters) => {
+    try {
+      const params = toQueryParams(currentFilters);
+      params.set('limit', 0);
+      const response = await api.get(`/search/facets?${params.toString()}`);
+      setFacets(response.data.facets);
+      setFacetTotal(response.data.pagination?.totalResults ?? null);
+    } catch (error) {
+      console.error('Failed to fetch filter counts:', error);
+    }
+  }, []);
 
   const fetchProperties = useCallback(async (page = 1) => {
     setLoading(true);
     try {
-      // Convert filters to a format the API expects
-      const apiFilters = {
-        ...filters,
-        page,
-        limit: 12,
-        // Handle location object if it exists
-        ...(filters.location?.city && { city: filters.location.city }),
-        ...(filters.location?.state && { state: filters.location.state })
-      };
-      
-      // Remove the original location object to avoid sending it as [object Object]
-      delete apiFilters.location;
+      const params = toQueryParams(filters);
+      params.set('page', page);
+      params.set('limit', 12);
       
-      const queryParams = new URLSearchParams(apiFilters).toString();
-      
-      console.log('Fetching properties with params:', queryParams);
-      const response = await api.get(`/properties?${queryParams}`);
+      console.log('Fetching properties with params:', params.toString());
+      let response;
+      if (groupByBuilding) {
+        // Grouped results come from the listings endpoint; the counts still
+        // describe individual listings
+        params.set('groupBy', 'building');
+        [response] = await Promise.all([
+          api.get(`/properties?${params.toString()}`),
+          fetchFacets(filters)
+        ]);
+      } else {
+        response = await api.get(`/search/facets?${params.toString()}`);
+        setFacets(response.data.facets);
+        setFacetTotal(response.data.pagination?.totalResults ?? null);
+      }
       
       console.log('API response:', response.data);
       
@@ -124,7 +198,7 @@ const Search = () => {
     } finally {
       setLoading(false);
     }
-  }, [filters]);
+  }, [filters, groupByBuilding, fetchFacets]);
 
   const handleSearch = useCallback(async (page = 1) => {
     const query = searchQuery.trim();
@@ -210,6 +284,24 @@ const Search = () => {
     // would cause an infinite loop. The linter warning can be safely ignored here.
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [pagination.current, searchParams]);
+
+  // Re-run the listing query when grouping is toggled (not on first render)
+  const groupingInitialized = useRef(false);
+  useEffect(() => {
+    if (!groupingInitialized.current) {
+      groupingInitialized.current = true;
+      return;
+    }
+    fetchProperties(1);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [groupByBuilding]);
+
+  // Refresh the counts while filters are being changed in the drawer
+  useEffect(() => {
+    if (!filterDrawerOpen) return undefined;
+    const timer = setTimeout(() => fetchFacets(filters), 300);
+    return () => clearTimeout(timer);
+  }, [filters, filterDrawerOpen, fetchFacets]);
   
   // Fetch saved properties when authentication state changes
   useEffect(() => {
@@ -260,6 +352,34 @@ const Search = () => {
 
   const [savingStates, setSavingStates] = useState({});
   const { enqueueSnackbar } = useSnackbar();
+  const [saveSearchOpen, setSaveSearchOpen] = useState(false);
+  const [savingSearch, setSavingSearch] = useState(false);
+
+  const openSaveSearch = () => {
+    if (!isAuthenticated) {
+      navigate('/login', { state: { from: window.location.pathname } });
+      enqueueSnackbar('Please log in to save searches', { variant: 'info' });
+      return;
+    }
+    setSaveSearchOpen(true);
+  };
+
+  const handleSaveSearch = async (values) => {
+    try {
+      setSavingSearch(true);
+      await api.post('/saved-searches', {
+        ...values,
+        query: searchQuery.trim() || undefined,
+        filters: toSavedFilters(filters)
+      });
+      setSaveSearchOpen(false);
+      enqueueSnackbar("Search saved. We'll let you know about new matches.", { variant: 'success' });
+    } catch (error) {
+      enqueueSnackbar(error.response?.data?.message || 'Failed to save the search', { variant: 'error' });
+    } finally {
+      setSavingSearch(false);
+    }
+  };
 
   const handleSaveProperty = async (propertyId, e) => {
     if (e) e.stopPropagation();
@@ -383,9 +503,37 @@ const Search = () => {
 
   const applyFilters = () => {
     fetchProperties(1);
+    setMapFilterParams(toQueryParams(filters).toString());
     setFilterDrawerOpen(false);
   };
 
+  const showMap = viewMode === 'map' && !searchQuery;
+
+  // Options no listing would match are disabled unless already selected
+  const FacetChip = ({ category, value, label, count }) => {
+    const selected = filters[category].includes(value);
+    return (
+      <Chip
+        label={optionLabel(label, count)}
+        onClick={() => toggleArrayFilter(category, value)}
+        color={selected ? 'primary' : 'default'}
+        variant={selected ? 'filled' : 'outlined'}
+        disabled={count === 0 && !selected}
+        size="small"
+      />
+    );
+  };
+
+  const rentHistogram = facets?.rent && {
+    buckets: facets.rent,
+    highest: Math.max(1, ...facets.rent.map(bucket => bucket.count))
+  };
+
+  const inRentRange = (bucket) => (
+    (bucket.max === null || bucket.max > filters.minRent) &&
+    (filters.maxRent >= RENT_MAX || bucket.min < filters.maxRent)
+  );
+
   const FilterContent = () => (
     <Box sx={{ p: 3, width: isMobile ? '100vw' : 350 }}>
       <Typography variant="h6" sx={{ mb: 3, fontWeight: 'bold' }}>
@@ -395,8 +543,24 @@ const Search = () => {
       {/* Price Range */}
       <Box sx={{ mb: 3 }}>
         <Typography gutterBottom>
-          Price Range: ${filters.minRent} - ${filters.maxRent}
+          Price Range: ${filters.minRent} - ${filters.maxRent}{filters.maxRent >= RENT_MAX ? '+' : ''}
         </Typography>
+        {rentHistogram && (
+          <Box sx={{ display: 'flex', alignItems: 'flex-end', gap: '2px', height: 48, px: 1 }}>
+            {rentHistogram.buckets.map(bucket => (
+              <Box
+                key={bucket.min}
+                title={`$${bucket.min}${bucket.max === null ? '+' : ` - $${bucket.max}`}: ${bucket.count}`}
+                sx={{
+                  flex: 1,
+                  height: `${Math.max((bucket.count / rentHistogram.highest) * 100, bucket.count > 0 ? 4 : 0)}%`,
+                  bgcolor: inRentRange(bucket) ? 'primary.light' : 'action.disabledBackground',
+                  borderRadius: '2px 2px 0 0'
+                }}
+              />
+            ))}
+          </Box>
+        )}
         <Slider
           value={[filters.minRent, filters.maxRent]}
           onChange={(e, newValue) => {
@@ -407,59 +571,50 @@ const Search = () => {
             }));
           }}
           valueLabelDisplay="auto"
-          min={500}
-          max={8000}
+          min={0}
+          max={RENT_MAX}
           step={100}
         />
       </Box>
 
       {/* Bedrooms */}
-      <FormControl fullWidth sx={{ mb: 3 }}>
-        <InputLabel>Bedrooms</InputLabel>
-        <Select
-          value={filters.bedrooms}
-          onChange={(e) => setFilters(prev => ({ ...prev, bedrooms: e.target.value }))}
-          label="Bedrooms"
-        >
-          <MenuItem value="">Any</MenuItem>
-          <MenuItem value={0}>Studio</MenuItem>
-          <MenuItem value={1}>1+</MenuItem>
-          <MenuItem value={2}>2+</MenuItem>
-          <MenuItem value={3}>3+</MenuItem>
-          <MenuItem value={4}>4+</MenuItem>
-        </Select>
-      </FormControl>
+      <Box sx={{ mb: 3 }}>
+        <Typography variant="subtitle1" gutterBottom>Bedrooms</Typography>
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+          {facetOptions(facets?.bedrooms, Object.keys(BEDROOM_LABELS), filters.bedrooms).map(({ value, count }) => (
+            <FacetChip key={value} category="bedrooms" value={value} label={BEDROOM_LABELS[value] || value} count={count} />
+          ))}
+        </Box>
+      </Box>
 
       {/* Property Types */}
       <Box sx={{ mb: 3 }}>
         <Typography variant="subtitle1" gutterBottom>Property Type</Typography>
         <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
-          {propertyTypes.map(type => (
-            <Chip
-              key={type}
-              label={type.charAt(0).toUpperCase() + type.slice(1)}
-              onClick={() => toggleArrayFilter('propertyType', type)}
-              color={filters.propertyType.includes(type) ? 'primary' : 'default'}
-              variant={filters.propertyType.includes(type) ? 'filled' : 'outlined'}
-              size="small"
-            />
+          {facetOptions(facets?.propertyType, DEFAULT_PROPERTY_TYPES, filters.propertyType).map(({ value, count }) => (
+            <FacetChip key={value} category="propertyType" value={value} label={capitalize(value)} count={count} />
           ))}
         </Box>
       </Box>
 
+      {/* Cities */}
+      {facets?.city?.length > 0 && (
+        <Box sx={{ mb: 3 }}>
+          <Typography variant="subtitle1" gutterBottom>City</Typography>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+            {facetOptions(facets.city, [], filters.city).map(({ value, count }) => (
+              <FacetChip key={value} category="city" value={value} label={value} count={count} />
+            ))}
+          </Box>
+        </Box>
+      )}
+
       {/* Amenities */}
       <Box sx={{ mb: 3 }}>
         <Typography variant="subtitle1" gutterBottom>Amenities</Typography>
         <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
-          {commonAmenities.map(amenity => (
-            <Chip
-              key={amenity}
-              label={amenity}
-              onClick={() => toggleArrayFilter('amenities', amenity)}
-              color={filters.amenities.includes(amenity) ? 'primary' : 'default'}
-              variant={filters.amenities.includes(amenity) ? 'filled' : 'outlined'}
-              size="small"
-            />
+          {facetOptions(facets?.amenities, DEFAULT_AMENITIES, filters.amenities).map(({ value, count }) => (
+            <FacetChip key={value} category="amenities" value={value} label={value} count={count} />
           ))}
         </Box>
       </Box>
@@ -470,11 +625,54 @@ const Search = () => {
         onClick={applyFilters}
         sx={{ mt: 2 }}
       >
-        Apply Filters
+        {facetTotal === null ? 'Apply Filters' : `Show ${facetTotal} ${facetTotal === 1 ? 'property' : 'properties'}`}
       </Button>
     </Box>
   );
 
+  const BuildingCard = ({ group }) => (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.3 }}
+    >
+      <Card
+        sx={{ height: '100%', cursor: 'pointer' }}
+        onClick={() => navigate(`/building/${group.building._id}`)}
+      >
+        <ResponsiveImage
+          image={group.building.images?.[0]}
+          sizes={CARD_IMAGE_SIZES}
+          alt={group.building.name}
+          style={CARD_IMAGE_STYLE}
+        />
+        <CardContent>
+          <Typography variant="h6" component="h3" sx={{ fontWeight: 'bold', mb: 1 }}>
+            {group.rentRange
+              ? `$${group.rentRange.min.toLocaleString()} - $${group.rentRange.max.toLocaleString()}/mo`
+              : 'Contact for pricing'}
+          </Typography>
+          <Typography variant="body1" sx={{ mb: 1, fontWeight: 'medium' }}>
+            {group.building.name}
+          </Typography>
+          <Box sx={{ display: 'flex', alignItems: 'center', mb: 1, color: 'text.secondary' }}>
+            <LocationIcon sx={{ fontSize: 16, mr: 0.5 }} />
+            <Typography variant="body2">
+              {group.building.address.city}, {group.building.address.state}
+            </Typography>
+          </Box>
+          <Box sx={{ display: 'flex', alignItems: 'center', color: 'text.secondary' }}>
+            <ApartmentIcon sx={{ fontSize: 16, mr: 0.5 }} />
+            <Typography variant="body2">
+              {group.unitCount} unit{group.unitCount === 1 ? '' : 's'}
+              {group.bedrooms.length > 0 && ` · ${group.bedrooms.join(', ')} bed`}
+            </Typography>
+          </Box>
+        </CardContent>
+      </Card>
+    </motion.div>
+  );
+
   const PropertyCard = ({ property }) => {
     const isSaved = savedProperties.has(property._id);
     
@@ -496,11 +694,11 @@ const Search = () => {
           }}
           onClick={() => navigate(`/property/${property._id}`)}
         >
-          <CardMedia
-            component="img"
-            height="200"
-            image={property.images?.[0]?.url || 'https://images.unsplash.com/photo-1560518883-ce09059eeffa?ixlib=rb-4.0.3&auto=format&fit=crop&w=1000&q=80'}
+          <ResponsiveImage
+            image={property.images?.[0]}
+            sizes={CARD_IMAGE_SIZES}
             alt={property.title}
+            style={CARD_IMAGE_STYLE}
           />
           <CardContent>
             <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 1 }}>
@@ -588,6 +786,13 @@ const Search = () => {
           >
             Filters
           </Button>
+          <Button
+            variant="outlined"
+            startIcon={<AlertIcon />}
+            onClick={openSaveSearch}
+          >
+            Save Search
+          </Button>
         </Box>
       </Paper>
 
@@ -596,12 +801,44 @@ const Search = () => {
         <Typography variant="h5" sx={{ fontWeight: 'bold' }}>
           {searchQuery ? `Search Results for "${searchQuery}"` : 'Available Properties'}
         </Typography>
-        <Typography color="text.secondary">
-          {pagination.total} properties found
-        </Typography>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+          {!searchQuery && (
+            <ToggleButtonGroup
+              size="small"
+              exclusive
+              value={viewMode}
+              onChange={(e, value) => value && setViewMode(value)}
+            >
+              <ToggleButton value="list" aria-label="List view">
+                <GridViewIcon fontSize="small" />
+              </ToggleButton>
+              <ToggleButton value="map" aria-label="Map view">
+                <MapIcon fontSize="small" />
+              </ToggleButton>
+            </ToggleButtonGroup>
+          )}
+          {!searchQuery && !showMap && (
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={groupByBuilding}
+                  onChange={(e) => setGroupByBuilding(e.target.checked)}
+                />
+              }
+              label="Group by building"
+            />
+          )}
+          {!showMap && (
+            <Typography color="text.secondary">
+              {pagination.total} {groupByBuilding && !searchQuery ? 'results' : 'properties'} found
+            </Typography>
+          )}
+        </Box>
       </Box>
 
-      {loading ? (
+      {showMap ? (
+        <MapSearch filterParams={mapFilterParams} />
+      ) : loading ? (
         <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
           <CircularProgress />
         </Box>
@@ -610,7 +847,9 @@ const Search = () => {
           <Grid container spacing={3}>
             {properties.map((property) => (
               <Grid item xs={12} sm={6} md={4} lg={3} key={property._id}>
-                <PropertyCard property={property} />
+                {property.type === 'building'
+                  ? <BuildingCard group={property} />
+                  : <PropertyCard property={property} />}
               </Grid>
             ))}
           </Grid>
@@ -653,6 +892,15 @@ const Search = () => {
       >
         <FilterContent />
       </Drawer>
+
+      <SavedSearchDialog
+        open={saveSearchOpen}
+        title="Save Search"
+        initialValues={{ name: searchQuery.trim() || filters.city.join(', ') || 'My search' }}
+        saving={savingSearch}
+        onClose={() => setSaveSearchOpen(false)}
+        onSave={handleSaveSearch}
+      />
       
       {/* Snackbar for feedback */}
       <Snackbar
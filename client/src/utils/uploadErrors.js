@@ -0,0 +1,13 @@
+// Message for a failed request, listing each rejected image from the
+// server's `fileErrors` ({ file, code, message }) when there are any
+export const getUploadErrorMessage = (error, fallback) => {
+  const data = error.response?.data;
+
+  if (data?.fileErrors?.length) {
+    return data.fileErrors
+      .map(item => (item.file ? `${item.file}: ${item.message}` : item.message))
+      .join(' · ');
+  }
+
+  return data?.message || data?.msg || fallback;
+};
@@ -0,0 +1,17 @@
+// Rules for listing attachments (floor plans, building rules, disclosures,
+// brochures). Enforced by services/attachments.js.
+
+module.exports = {
+  // Attachment types and the formats each accepts, by detected content
+  types: {
+    floor_plan: ['pdf', 'jpeg', 'png', 'webp'],
+    building_rules: ['pdf'],
+    disclosure: ['pdf'],
+    brochure: ['pdf', 'jpeg', 'png', 'webp']
+  },
+  // 'applicants' files are only shown to renters who contacted the landlord
+  // about the listing
+  visibilities: ['public', 'applicants'],
+  maxFileSize: (Number(process.env.ATTACHMENT_MAX_FILE_SIZE_MB) || 10) * 1024 * 1024,
+  maxPerProperty: Number(process.env.ATTACHMENT_MAX_PER_PROPERTY) || 20
+};
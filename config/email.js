@@ -0,0 +1,14 @@
+// Outgoing email settings, see services/mailer.js
+
+module.exports = {
+  // 'log' prints messages to the server log, 'http' posts them to an email API
+  driver: process.env.EMAIL_DRIVER || 'log',
+  from: process.env.EMAIL_FROM || 'StaySphere <no-reply@staysphere.app>',
+  http: {
+    // Endpoint accepting { from, to, subject, text } as JSON
+    url: process.env.EMAIL_API_URL,
+    apiKey: process.env.EMAIL_API_KEY
+  },
+  // Base URL of the web app, used for links in emails
+  appUrl: (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '')
+};
@@ -0,0 +1,15 @@
+// Rules for listing and building photos, overridable through environment
+// variables. Enforced by services/imageValidation.js.
+
+module.exports = {
+  // Formats we accept, by detected content (not by file name)
+  formats: ['jpeg', 'png', 'gif', 'webp'],
+  maxFileSize: 5 * 1024 * 1024, // 5MB per file
+  maxFiles: 10,
+  // Smallest photo that still looks acceptable on the listing page
+  minWidth: Number(process.env.IMAGE_MIN_WIDTH) || 640,
+  minHeight: Number(process.env.IMAGE_MIN_HEIGHT) || 480,
+  // Width / height; keeps out banners and screenshots of long pages
+  minAspectRatio: Number(process.env.IMAGE_MIN_ASPECT_RATIO) || 0.5,
+  maxAspectRatio: Number(process.env.IMAGE_MAX_ASPECT_RATIO) || 3
+};
@@ -0,0 +1,23 @@
+const multer = require('multer');
+
+// Spreadsheets are parsed straight from memory, they are never stored
+const storage = multer.memoryStorage();
+
+const fileFilter = (req, file, cb) => {
+  // Accept CSV and Excel workbooks only
+  if (!file.originalname.toLowerCase().match(/\.(csv|xlsx|xls)$/)) {
+    return cb(new Error('Only CSV and Excel (.xlsx, .xls) files are allowed!'), false);
+  }
+  cb(null, true);
+};
+
+const importUpload = multer({
+  storage: storage,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB limit
+    files: 1
+  }
+});
+
+module.exports = importUpload;
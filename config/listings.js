@@ -0,0 +1,21 @@
+// Listing lifetime settings, overridable through environment variables
+
+const parseDays = (value, fallback) => {
+  if (!value) return fallback;
+  const days = String(value)
+    .split(',')
+    .map(day => Number(day.trim()))
+    .filter(day => Number.isFinite(day) && day > 0);
+  return days.length > 0 ? days : fallback;
+};
+
+module.exports = {
+  // How long a listing stays active before it has to be renewed
+  lifetimeDays: Number(process.env.LISTING_LIFETIME_DAYS) || 60,
+  // Days before expiry at which landlords get a reminder
+  reminderDays: parseDays(process.env.LISTING_REMINDER_DAYS, [7, 1]).sort((a, b) => a - b),
+  // How often the expiration job runs
+  expirationCheckMinutes: Number(process.env.LISTING_EXPIRATION_CHECK_MINUTES) || 60,
+  // How often scheduled publish/unpublish times are applied
+  scheduleCheckMinutes: Number(process.env.LISTING_SCHEDULE_CHECK_MINUTES) || 5
+};
@@ -0,0 +1,10 @@
+// Saved search alert settings, overridable through environment variables
+
+module.exports = {
+  // How often saved searches are checked against newly activated listings
+  checkMinutes: Number(process.env.SAVED_SEARCH_CHECK_MINUTES) || 15,
+  // Saved searches a user may keep
+  maxPerUser: Number(process.env.SAVED_SEARCH_MAX_PER_USER) || 20,
+  // Listings named in one alert or digest; the rest are only counted
+  maxListedMatches: Number(process.env.SAVED_SEARCH_MAX_LISTED_MATCHES) || 10
+};
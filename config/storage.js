@@ -0,0 +1,34 @@
+// Upload storage settings, see services/storage
+const path = require('path');
+
+module.exports = {
+  // 'local' keeps files in uploads/, 's3' uses an S3-compatible bucket
+  driver: process.env.STORAGE_DRIVER || 'local',
+  // Secret for signed URLs served by the local driver
+  signingSecret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET,
+  // Default lifetime of signed URLs
+  signedUrlSeconds: Number(process.env.STORAGE_SIGNED_URL_SECONDS) || 15 * 60,
+  // Unreferenced files younger than this are never deleted, so uploads whose
+  // document is still being saved survive
+  orphanGraceHours: Number(process.env.UPLOAD_ORPHAN_GRACE_HOURS) || 24,
+  // How often orphaned files are cleaned up in the background; 0 disables it
+  orphanCheckHours: Number(process.env.UPLOAD_ORPHAN_CHECK_HOURS) || 0,
+  local: {
+    root: path.join(__dirname, '..', 'uploads'),
+    baseUrl: '/uploads'
+  },
+  s3: {
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    // Set for MinIO and other S3-compatible services, e.g. http://localhost:9000
+    endpoint: process.env.S3_ENDPOINT,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    // MinIO-style services serve buckets as a path instead of a subdomain
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+      ? process.env.S3_FORCE_PATH_STYLE === 'true'
+      : Boolean(process.env.S3_ENDPOINT),
+    // Public base URL of the bucket or a CDN in front of it
+    publicUrl: process.env.S3_PUBLIC_URL
+  }
+};
@@ -1,37 +1,38 @@
 const multer = require('multer');
+const os = require('os');
 const path = require('path');
 const fs = require('fs');
+const imageRules = require('./imageRules');
+
+// Multer only stages files here; services/imageProcessing.js processes them
+// and hands them to the configured storage driver (see config/storage.js)
+const UPLOAD_TMP_DIR = path.join(os.tmpdir(), 'staysphere-uploads');
 
-// Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const uploadDir = 'uploads/';
-    // Create uploads directory if it doesn't exist
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
+    // Create the staging directory if it doesn't exist
+    if (!fs.existsSync(UPLOAD_TMP_DIR)) {
+      fs.mkdirSync(UPLOAD_TMP_DIR, { recursive: true });
     }
-    cb(null, uploadDir);
+    cb(null, UPLOAD_TMP_DIR);
   },
   filename: (req, file, cb) => {
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, `${uniqueSuffix}-${file.originalname}`);
+    // The file name becomes the storage key, so keep it URL friendly
+    const safeName = path.basename(file.originalname).replace(/[^\w.-]+/g, '-');
+    cb(null, `${uniqueSuffix}-${safeName}`);
   }
 });
 
-const fileFilter = (req, file, cb) => {
-  // Accept images only
-  if (!file.originalname.match(/\.(jpg|jpeg|png|gif)$/)) {
-    return cb(new Error('Only image files are allowed!'), false);
-  }
-  cb(null, true);
-};
-
+// File types are checked by content afterwards, see middleware/imageUpload.js
 const upload = multer({ 
   storage: storage,
-  fileFilter: fileFilter,
   limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit per file
+    fileSize: imageRules.maxFileSize
   }
 });
 
 module.exports = upload;
+module.exports.UPLOAD_TMP_DIR = UPLOAD_TMP_DIR;
+// Shared with uploads that have their own limits, e.g. attachments
+module.exports.diskStorage = storage;
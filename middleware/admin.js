@@ -0,0 +1,20 @@
+const User = require('../models/User');
+
+// Must run after the auth middleware, which sets req.user from the token.
+// The role is read from the user record rather than the token, so a token
+// issued before a role change does not keep admin access.
+const admin = async (req, res, next) => {
+  try {
+    const user = req.user && await User.findById(req.user.userId).select('role').lean();
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({ message: 'Admin access required' });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Admin check error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = admin;
@@ -0,0 +1,80 @@
+const multer = require('multer');
+const { diskStorage } = require('../config/upload');
+const attachmentRules = require('../config/attachments');
+const { validateAttachmentFile } = require('../services/attachments');
+const { removeFiles } = require('../utils/uploadFiles');
+
+const upload = multer({
+  storage: diskStorage,
+  limits: {
+    fileSize: attachmentRules.maxFileSize,
+    files: 1
+  }
+});
+
+const MULTER_MESSAGES = {
+  LIMIT_FILE_SIZE: `Attachments must be ${attachmentRules.maxFileSize / (1024 * 1024)}MB or smaller`,
+  LIMIT_FILE_COUNT: 'Upload one attachment at a time',
+  LIMIT_UNEXPECTED_FILE: 'Upload one attachment at a time'
+};
+
+const rejectUpload = (res, fileErrors) => res.status(400).json({
+  success: false,
+  message: fileErrors[0].message,
+  fileErrors
+});
+
+/**
+ * Accept one attachment in `file` and check it against the rules of the
+ * attachment type sent in `type`. Sets `req.attachmentFormat` to the detected
+ * format; on failure the staged file is removed and the request ends with 400
+ * and `fileErrors: [{ file, code, message }]`.
+ * @returns {Function} Express middleware
+ */
+const attachmentUpload = () => {
+  const receive = upload.single('file');
+
+  return (req, res, next) => {
+    receive(req, res, async (uploadError) => {
+      if (uploadError) {
+        if (uploadError instanceof multer.MulterError) {
+          return rejectUpload(res, [{
+            file: null,
+            code: uploadError.code.toLowerCase(),
+            message: MULTER_MESSAGES[uploadError.code] || uploadError.message
+          }]);
+        }
+        return next(uploadError);
+      }
+
+      if (!req.file) {
+        return rejectUpload(res, [{ file: null, code: 'missing_file', message: 'Choose a file to upload' }]);
+      }
+
+      const { type } = req.body;
+      if (!attachmentRules.types[type]) {
+        await removeFiles([req.file.path]);
+        return rejectUpload(res, [{
+          file: req.file.originalname,
+          code: 'invalid_type',
+          message: `Attachment type must be one of: ${Object.keys(attachmentRules.types).join(', ')}`
+        }]);
+      }
+
+      try {
+        const { format, errors } = await validateAttachmentFile(req.file, type);
+        if (errors.length > 0) {
+          await removeFiles([req.file.path]);
+          return rejectUpload(res, errors.map(error => ({ file: req.file.originalname, ...error })));
+        }
+        req.attachmentFormat = format;
+        next();
+      } catch (error) {
+        await removeFiles([req.file.path]);
+        next(error);
+      }
+    });
+  };
+};
+
+module.exports = attachmentUpload;
@@ -0,0 +1,59 @@
+const multer = require('multer');
+const upload = require('../config/upload');
+const imageRules = require('../config/imageRules');
+const { validateImageFiles } = require('../services/imageValidation');
+const { removeFiles } = require('../utils/uploadFiles');
+
+const MULTER_MESSAGES = {
+  LIMIT_FILE_SIZE: `Each image must be ${imageRules.maxFileSize / (1024 * 1024)}MB or smaller`,
+  LIMIT_FILE_COUNT: `Upload at most ${imageRules.maxFiles} images at a time`,
+  LIMIT_UNEXPECTED_FILE: `Upload at most ${imageRules.maxFiles} images at a time`
+};
+
+const rejectUpload = (res, fileErrors) => res.status(400).json({
+  success: false,
+  message: fileErrors.length === 1 ? fileErrors[0].message : 'Some images were rejected',
+  fileErrors
+});
+
+/**
+ * Accept up to `maxCount` images in `field` and validate their content.
+ * If any file fails, every staged file is removed and the request ends with
+ * 400 and `fileErrors: [{ file, code, message }]`, so nothing is half-saved.
+ * @param {string} [field='images'] - Multipart field name
+ * @param {number} [maxCount] - Most files per request
+ * @returns {Function} Express middleware
+ */
+const imageUpload = (field = 'images', maxCount = imageRules.maxFiles) => {
+  const receive = upload.array(field, maxCount);
+
+  return (req, res, next) => {
+    receive(req, res, async (uploadError) => {
+      if (uploadError) {
+        // Multer removes the files it already wrote
+        if (uploadError instanceof multer.MulterError) {
+          return rejectUpload(res, [{
+            file: null,
+            code: uploadError.code.toLowerCase(),
+            message: MULTER_MESSAGES[uploadError.code] || uploadError.message
+          }]);
+        }
+        return next(uploadError);
+      }
+
+      try {
+        const fileErrors = await validateImageFiles(req.files);
+        if (fileErrors.length > 0) {
+          await removeFiles((req.files || []).map(file => file.path));
+          return rejectUpload(res, fileErrors);
+        }
+        next();
+      } catch (error) {
+        await removeFiles((req.files || []).map(file => file.path));
+        next(error);
+      }
+    });
+  };
+};
+
+module.exports = imageUpload;
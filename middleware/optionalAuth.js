@@ -0,0 +1,19 @@
+const jwt = require('jsonwebtoken');
+
+// Like auth, but lets anonymous visitors through: req.user is set only when
+// a valid token is sent, so routes can show more to signed-in users
+const optionalAuth = (req, res, next) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+
+  if (token) {
+    try {
+      req.user = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      req.user = undefined;
+    }
+  }
+
+  next();
+};
+
+module.exports = optionalAuth;
@@ -0,0 +1,153 @@
+/**
+ * Property documents were written under two `images` shapes (`{ url, path,
+ * isMain, uploadedAt }` and `{ url, caption, isMain }`, plus a stray
+ * `isPrimary` from the create route) and stored coordinates both in
+ * `location` and `address.coordinates`.
+ *
+ * up:   one image shape `{ _id, url, path, caption, isMain, uploadedAt }` with
+ *       exactly one main image, and `location` as the only coordinates
+ * down: copies `location` back into `address.coordinates` and drops the
+ *       image fields the old shape did not have
+ */
+
+const mongoose = require('mongoose');
+
+const BATCH_SIZE = 500;
+const ADDRESS_COORDINATES_INDEX = 'address.coordinates.coordinates_2dsphere';
+
+const isUsableCoordinates = (coordinates) => {
+  return Array.isArray(coordinates) &&
+    coordinates.length === 2 &&
+    coordinates.every(value => typeof value === 'number' && !Number.isNaN(value)) &&
+    coordinates[0] >= -180 && coordinates[0] <= 180 &&
+    coordinates[1] >= -90 && coordinates[1] <= 90 &&
+    !(coordinates[0] === 0 && coordinates[1] === 0);
+};
+
+const normalizeImages = (images, createdAt) => {
+  const normalized = images
+    .filter(image => image && image.url)
+    .map(image => {
+      const result = {
+        _id: image._id || new mongoose.Types.ObjectId(),
+        url: image.url,
+        isMain: Boolean(image.isMain || image.isPrimary),
+        uploadedAt: image.uploadedAt || createdAt || new Date()
+      };
+      const path = image.path || (image.url.startsWith('/uploads/') ? image.url.slice(1) : undefined);
+      if (path) result.path = path;
+      if (image.caption) result.caption = image.caption;
+      return result;
+    });
+
+  // Exactly one main image
+  const mainIndex = Math.max(0, normalized.findIndex(image => image.isMain));
+  normalized.forEach((image, index) => {
+    image.isMain = index === mainIndex;
+  });
+
+  return normalized;
+};
+
+// Compare image lists regardless of key order
+const sameImages = (a, b) => {
+  const canonical = images => JSON.stringify(images.map(image => Object.keys(image).sort().map(key => [key, image[key]])));
+  return canonical(a) === canonical(b);
+};
+
+const runInBatches = async (context, collection, cursor, buildUpdate) => {
+  let operations = [];
+  let total = 0;
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    const batch = operations;
+    operations = [];
+    total += batch.length;
+    await context.write(`update ${batch.length} properties`, () => collection.bulkWrite(batch, { ordered: false }));
+  };
+
+  for await (const doc of cursor) {
+    const update = buildUpdate(doc);
+    if (update) {
+      operations.push({ updateOne: { filter: { _id: doc._id }, update } });
+    }
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  return total;
+};
+
+module.exports = {
+  description: 'Consolidate duplicate Property image shapes and coordinate fields',
+
+  up: async (context) => {
+    const properties = context.db.collection('properties');
+    let imagesChanged = 0;
+    let locationsCopied = 0;
+
+    const cursor = properties.find({}, { projection: { images: 1, location: 1, address: 1, createdAt: 1 } });
+    const total = await runInBatches(context, properties, cursor, (doc) => {
+      const $set = {};
+      const $unset = {};
+
+      if (Array.isArray(doc.images) && doc.images.length > 0) {
+        const images = normalizeImages(doc.images, doc.createdAt);
+        if (!sameImages(images, doc.images)) {
+          $set.images = images;
+          imagesChanged += 1;
+        }
+      }
+
+      const addressCoordinates = doc.address && doc.address.coordinates && doc.address.coordinates.coordinates;
+      if (!isUsableCoordinates(doc.location && doc.location.coordinates) && isUsableCoordinates(addressCoordinates)) {
+        $set.location = { type: 'Point', coordinates: addressCoordinates };
+        locationsCopied += 1;
+      }
+      if (doc.address && doc.address.coordinates !== undefined) {
+        $unset['address.coordinates'] = '';
+      }
+
+      const update = {};
+      if (Object.keys($set).length > 0) update.$set = $set;
+      if (Object.keys($unset).length > 0) update.$unset = $unset;
+      return Object.keys(update).length > 0 ? update : null;
+    });
+
+    context.log(`${total} properties affected: ${imagesChanged} image lists normalized, ${locationsCopied} locations taken from address.coordinates`);
+
+    // indexes() fails when the collection does not exist yet
+    const indexes = await properties.indexes().catch(() => []);
+    if (indexes.some(index => index.name === ADDRESS_COORDINATES_INDEX)) {
+      await context.write(`drop index ${ADDRESS_COORDINATES_INDEX}`, () => properties.dropIndex(ADDRESS_COORDINATES_INDEX));
+    }
+  },
+
+  down: async (context) => {
+    const properties = context.db.collection('properties');
+
+    const cursor = properties.find({ address: { $exists: true } }, { projection: { location: 1 } });
+    const total = await runInBatches(context, properties, cursor, (doc) => ({
+      $set: {
+        'address.coordinates': {
+          type: 'Point',
+          coordinates: doc.location && Array.isArray(doc.location.coordinates) ? doc.location.coordinates : [0, 0]
+        }
+      }
+    }));
+    context.log(`${total} properties got address.coordinates back`);
+
+    await context.write('remove path and uploadedAt from property images', () => properties.updateMany(
+      { 'images.0': { $exists: true } },
+      { $unset: { 'images.$[].path': '', 'images.$[].uploadedAt': '' } }
+    ));
+
+    await context.write(`create index ${ADDRESS_COORDINATES_INDEX}`, () => properties.createIndex(
+      { 'address.coordinates.coordinates': '2dsphere' },
+      { name: ADDRESS_COORDINATES_INDEX }
+    ));
+  }
+};
@@ -0,0 +1,69 @@
+/**
+ * Images uploaded before uploads were sanitized still carry EXIF (GPS
+ * position, device info), XMP and IPTC data, and `/uploads` serves them
+ * publicly.
+ *
+ * up:   rewrites every original in uploads/ that has metadata, rotated
+ *       upright and without the metadata
+ * down: nothing; stripped metadata cannot be restored
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { UPLOADS_ROOT } = require('../utils/uploadFiles');
+const { sanitizeImage, needsSanitizing } = require('../services/imageProcessing');
+
+const IMAGE_FILE = /\.(jpe?g|png|gif|webp)$/i;
+
+// Variants are written by sharp without metadata, see services/imageProcessing.js
+const VARIANT_FILE = /-(thumbnail|card|full)\.(jpg|webp)$/;
+
+const listImages = async (dir) => {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+  const files = [];
+
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listImages(entryPath));
+    } else if (IMAGE_FILE.test(entry.name) && !VARIANT_FILE.test(entry.name)) {
+      files.push(entryPath);
+    }
+  }
+
+  return files;
+};
+
+module.exports = {
+  description: 'Strip EXIF, XMP and IPTC metadata from existing uploads',
+
+  up: async (context) => {
+    const files = await listImages(UPLOADS_ROOT);
+    let sanitized = 0;
+    let unreadable = 0;
+
+    for (const filePath of files) {
+      const relativePath = path.relative(UPLOADS_ROOT, filePath);
+      let metadata;
+      try {
+        metadata = await sharp(filePath).metadata();
+      } catch (error) {
+        context.log(`skipping unreadable file ${relativePath}: ${error.message}`);
+        unreadable += 1;
+        continue;
+      }
+
+      if (!needsSanitizing(metadata)) continue;
+
+      await context.write(`strip metadata from ${relativePath}`, () => sanitizeImage(filePath));
+      sanitized += 1;
+    }
+
+    context.log(`${files.length} uploads checked: ${sanitized} ${context.dryRun ? 'to sanitize' : 'sanitized'}, ${unreadable} unreadable`);
+  },
+
+  down: async (context) => {
+    context.log('Stripped metadata cannot be restored, nothing to do');
+  }
+};
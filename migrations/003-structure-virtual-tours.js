@@ -0,0 +1,48 @@
+/**
+ * `virtualTour` used to be a free text field, in practice a link to a tour
+ * hosted elsewhere. It is now an object with scenes, see
+ * models/schemas/virtualTour.js.
+ *
+ * up:   moves a non-empty string to `virtualTour.externalUrl` and drops empty
+ *       strings
+ * down: turns tours back into their external link; tours with scenes are
+ *       left alone, their scenes have no string form
+ */
+
+module.exports = {
+  description: 'Move the virtualTour string into the structured tour object',
+
+  up: async (context) => {
+    const properties = context.db.collection('properties');
+
+    await context.write('move virtualTour links to virtualTour.externalUrl', () => properties.updateMany(
+      { virtualTour: { $type: 'string', $ne: '' } },
+      [{ $set: { virtualTour: { scenes: [], externalUrl: { $trim: { input: '$virtualTour' } } } } }]
+    ));
+
+    await context.write('remove empty virtualTour strings', () => properties.updateMany(
+      { virtualTour: '' },
+      { $unset: { virtualTour: '' } }
+    ));
+  },
+
+  down: async (context) => {
+    const properties = context.db.collection('properties');
+    const withoutScenes = { virtualTour: { $type: 'object' }, 'virtualTour.scenes.0': { $exists: false } };
+
+    await context.write('turn tours without scenes back into their link', () => properties.updateMany(
+      { ...withoutScenes, 'virtualTour.externalUrl': { $type: 'string' } },
+      [{ $set: { virtualTour: '$virtualTour.externalUrl' } }]
+    ));
+
+    await context.write('remove empty tours', () => properties.updateMany(
+      { ...withoutScenes, 'virtualTour.externalUrl': { $exists: false } },
+      { $unset: { virtualTour: '' } }
+    ));
+
+    const remaining = await properties.countDocuments({ 'virtualTour.scenes.0': { $exists: true } });
+    if (remaining > 0) {
+      context.log(`${remaining} tours with scenes kept as they are`);
+    }
+  }
+};
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const attachmentRules = require('../config/attachments');
+
+// Documents attached to a listing. Files are kept in storage under `key` and
+// only ever handed out through signed URLs, see services/attachments.js.
+const attachmentSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.keys(attachmentRules.types),
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 120
+  },
+  visibility: {
+    type: String,
+    enum: attachmentRules.visibilities,
+    default: 'public'
+  },
+  // Storage key; never sent to clients
+  key: {
+    type: String,
+    required: true
+  },
+  fileName: String,
+  format: String,
+  contentType: String,
+  size: Number,
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+attachmentSchema.index({ property: 1, createdAt: 1 });
+attachmentSchema.index({ key: 1 });
+
+attachmentSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.key;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const imageVariantSchema = require('./schemas/imageVariant');
+
+// Shared data for multi-unit buildings. Units are Property documents with a
+// `building` reference; address, location, amenities and policies are copied
+// onto them (see services/buildingInheritance.js) so search keeps working
+// on Property alone.
+const buildingSchema = new mongoose.Schema({
+  landlord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  address: {
+    street: {
+      type: String,
+      required: true
+    },
+    city: {
+      type: String,
+      required: true
+    },
+    state: {
+      type: String,
+      required: true
+    },
+    zipCode: {
+      type: String,
+      required: true
+    },
+    neighborhood: String
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number],
+      required: true,
+      validate: {
+        validator: function(v) {
+          return v.length === 2 &&
+                 v[0] >= -180 && v[0] <= 180 &&
+                 v[1] >= -90 && v[1] <= 90;
+        },
+        message: props => `${props.value} is not a valid coordinate pair [longitude, latitude]`
+      }
+    }
+  },
+  amenities: [String],
+  policies: {
+    smokingAllowed: {
+      type: Boolean,
+      default: false
+    },
+    petsAllowed: {
+      type: Boolean,
+      default: false
+    },
+    maxOccupants: Number,
+    minimumLeaseMonths: {
+      type: Number,
+      default: 12
+    },
+    incomeRequirement: Number
+  },
+  images: [{
+    url: String,
+    caption: String,
+    isMain: {
+      type: Boolean,
+      default: false
+    },
+    variants: [imageVariantSchema]
+  }]
+}, {
+  timestamps: true
+});
+
+buildingSchema.index({ location: '2dsphere' });
+buildingSchema.index({ landlord: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Building', buildingSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// One document per applied migration, see services/migrationRunner.js
+const migrationSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  description: String,
+  appliedAt: {
+    type: Date,
+    default: Date.now
+  },
+  durationMs: Number
+});
+
+module.exports = mongoose.model('Migration', migrationSchema);
@@ -1,13 +1,26 @@
 const mongoose = require('mongoose');
+const { STATUSES, startListingTerm } = require('../services/propertyLifecycle');
+const { diffDocument, recordRevision } = require('../services/propertyRevisions');
+const { normalizeAddress } = require('../utils/address');
+const { applyBuildingData, needsBuildingData } = require('../services/buildingInheritance');
+const imageVariantSchema = require('./schemas/imageVariant');
+const virtualTourSchema = require('./schemas/virtualTour');
 
+// Shape settled by migrations/001-consolidate-images-and-coordinates.js
 const imageSchema = new mongoose.Schema({
   url: {
     type: String,
     required: true
   },
-  path: {
+  // Legacy relative path for files in uploads/; files are located by URL
+  // through services/storage now
+  path: String,
+  caption: String,
+  // Alt text for screen readers, falls back to the caption
+  alt: {
     type: String,
-    required: true
+    trim: true,
+    maxlength: 200
   },
   isMain: {
     type: Boolean,
@@ -16,38 +29,85 @@ const imageSchema = new mongoose.Schema({
   uploadedAt: {
     type: Date,
     default: Date.now
+  },
+  // Resized copies for srcset; empty until the image has been processed
+  variants: [imageVariantSchema],
+  // Perceptual hash used to spot the same photo on other listings, see
+  // services/photoMatching.js. hashBands is empty for featureless photos.
+  perceptualHash: String,
+  hashBands: {
+    type: [String],
+    default: undefined
   }
 });
 
+// Drafts are saved step by step from the listing wizard, so listing fields
+// only become required once the property leaves the draft status
+const requiredUnlessDraft = function() {
+  return this.status !== 'draft';
+};
+
+const statusHistorySchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: [...STATUSES, null],
+    default: null
+  },
+  to: {
+    type: String,
+    enum: STATUSES,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: String,
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const propertySchema = new mongoose.Schema({
   title: {
     type: String,
-    required: true,
+    required: requiredUnlessDraft,
     trim: true
   },
   description: {
     type: String,
-    required: true
+    required: requiredUnlessDraft
   },
   landlord: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Set for units of a multi-unit building; shared data comes from the building
+  building: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Building',
+    index: true
+  },
+  unitNumber: {
+    type: String,
+    trim: true
+  },
   propertyType: {
     type: String,
     enum: ['apartment', 'house', 'condo', 'townhouse', 'studio', 'loft'],
-    required: true
+    required: requiredUnlessDraft
   },
   specifications: {
     bedrooms: {
       type: Number,
-      required: true,
+      required: requiredUnlessDraft,
       min: 0
     },
     bathrooms: {
       type: Number,
-      required: true,
+      required: requiredUnlessDraft,
       min: 0
     },
     squareFootage: Number,
@@ -74,7 +134,7 @@ const propertySchema = new mongoose.Schema({
   pricing: {
     rent: {
       type: Number,
-      required: true
+      required: requiredUnlessDraft
     },
     deposit: Number,
     applicationFee: Number,
@@ -106,7 +166,7 @@ const propertySchema = new mongoose.Schema({
   // Property images
   images: [imageSchema],
   
-  // GeoJSON location
+  // GeoJSON location, the only place coordinates are stored
   location: {
     type: {
       type: String,
@@ -115,7 +175,7 @@ const propertySchema = new mongoose.Schema({
     },
     coordinates: {
       type: [Number],
-      required: true,
+      required: requiredUnlessDraft,
       validate: {
         validator: function(v) {
           return v.length === 2 && 
@@ -138,66 +198,31 @@ const propertySchema = new mongoose.Schema({
   address: {
     street: {
       type: String,
-      required: true
+      required: requiredUnlessDraft
     },
     city: {
       type: String,
-      required: true
+      required: requiredUnlessDraft
     },
     state: {
       type: String,
-      required: true
+      required: requiredUnlessDraft
     },
     zipCode: {
       type: String,
-      required: true
+      required: requiredUnlessDraft
     },
-    neighborhood: String,
-    coordinates: {
-      type: {
-        type: String,
-        enum: ['Point'],
-        default: 'Point'
-      },
-      coordinates: {
-        type: [Number],
-        default: [0, 0],
-        validate: {
-          validator: function(v) {
-            return Array.isArray(v) && v.length === 2 && 
-                   typeof v[0] === 'number' && 
-                   typeof v[1] === 'number' &&
-                   v[0] >= -180 && v[0] <= 180 &&
-                   v[1] >= -90 && v[1] <= 90;
-          },
-          message: props => `${props.value} is not a valid coordinate pair [longitude, latitude]`
-        },
-        index: '2dsphere'
-      }
-    }
+    neighborhood: String
   },
   availability: {
     availableDate: Date,
-    status: {
-      type: String,
-      enum: ['active', 'pending', 'rented', 'inactive'],
-      default: 'active'
-    },
     showingSchedule: {
       weekdays: String,
       weekends: String,
       notes: String
     }
   },
-  images: [{
-    url: String,
-    caption: String,
-    isMain: {
-      type: Boolean,
-      default: false
-    }
-  }],
-  virtualTour: String,
+  virtualTour: virtualTourSchema,
   marketData: {
     cityAverage: Number,
     marketTrend: Number,
@@ -217,11 +242,43 @@ const propertySchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Canonical listing status, see services/propertyLifecycle.js for transitions
   status: {
     type: String,
-    enum: ['active', 'pending', 'rented', 'inactive'],
+    enum: STATUSES,
     default: 'active'
   },
+  statusHistory: [statusHistorySchema],
+  // Active listings expire and must be renewed, see config/listings.js
+  expiresAt: {
+    type: Date,
+    index: true
+  },
+  // Set when the expiration job deactivated the listing
+  expiredAt: Date,
+  // When the listing last went live for renters; saved search alerts pick up
+  // listings activated since their last check
+  activatedAt: {
+    type: Date,
+    index: true
+  },
+  // Reminder thresholds (days before expiry) already sent for the current term
+  expirationRemindersSent: [Number],
+  // Scheduled go-live; the listing stays hidden from renters until then
+  publishAt: {
+    type: Date,
+    index: true
+  },
+  // Scheduled take-down, applied by services/listingScheduler.js
+  unpublishAt: {
+    type: Date,
+    index: true
+  },
+  // Listing wizard progress, only meaningful while the status is 'draft'
+  draftProgress: {
+    step: { type: Number, min: 0 },
+    savedAt: { type: Date }
+  },
   messages: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Message'
@@ -229,6 +286,49 @@ const propertySchema = new mongoose.Schema({
   lastMessageAt: {
     type: Date
   },
+  // Normalized street/city/zip used to spot duplicate listings
+  addressKey: {
+    type: String,
+    index: true
+  },
+  // Likely duplicates the landlord was warned about and chose to post anyway
+  duplicateCheck: {
+    candidates: [{
+      _id: false,
+      property: { type: mongoose.Schema.Types.ObjectId, ref: 'Property' },
+      score: Number
+    }],
+    confirmedAt: Date
+  },
+  // Photos matching another landlord's listing. Flagged and rejected
+  // listings are hidden from renters until an admin clears them.
+  photoReview: {
+    status: {
+      type: String,
+      enum: ['flagged', 'cleared', 'rejected']
+    },
+    matches: [{
+      _id: false,
+      image: mongoose.Schema.Types.ObjectId,
+      property: { type: mongoose.Schema.Types.ObjectId, ref: 'Property' },
+      landlord: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      matchedImage: mongoose.Schema.Types.ObjectId,
+      distance: Number
+    }],
+    flaggedAt: Date,
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: Date,
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    }
+  },
+  // Set when the landlord moves the listing to the trash
+  deletedAt: {
+    type: Date,
+    default: null
+  },
   analytics: {
     views: { type: Number, default: 0 },
     saves: { type: Number, default: 0 },
@@ -257,8 +357,105 @@ const propertySchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Index for geospatial queries
-propertySchema.index({ 'address.coordinates.coordinates': '2dsphere' });
+// Units pick up the shared address, location, amenities and policies of
+// their building. Runs before the hook below so addressKey sees the result.
+propertySchema.pre('validate', async function() {
+  if (!this.building || this.$locals.buildingApplied || !needsBuildingData(this)) {
+    return;
+  }
+
+  const building = await mongoose.model('Building').findById(this.building);
+  if (!building || String(building.landlord) !== String(this.landlord)) {
+    this.invalidate('building', 'Building not found', this.building);
+    return;
+  }
+
+  applyBuildingData(this, building);
+});
+
+propertySchema.pre('validate', function(next) {
+  this.$locals.buildingApplied = false;
+  this.addressKey = normalizeAddress(this.address, this.unitNumber);
+
+  if (this.publishAt && this.unpublishAt && this.unpublishAt <= this.publishAt) {
+    this.invalidate('unpublishAt', 'Unpublish date must be after the publish date', this.unpublishAt);
+  }
+
+  // Listings created straight into 'active' (create, import) start a term too,
+  // from their scheduled go-live if they have one
+  if (this.status === 'active' && !this.expiresAt) {
+    const now = new Date();
+    const goLive = this.publishAt > now ? this.publishAt : now;
+    startListingTerm(this, goLive);
+    this.activatedAt = goLive;
+  }
+  next();
+});
+
+// Record the initial status of new listings
+propertySchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      from: null,
+      to: this.status,
+      changedBy: this.landlord,
+      reason: 'Listing created'
+    });
+  }
+  next();
+});
+
+// Revision history: keep the stored state of loaded documents so that
+// every save can be diffed against it
+propertySchema.post('init', function() {
+  this.$locals.original = this.toObject({ depopulate: true });
+});
+
+propertySchema.pre('save', function(next) {
+  if (this.isNew) {
+    this.$locals.pendingRevision = { action: this.$locals.revisionAction || 'create', changes: [] };
+  } else {
+    const changes = diffDocument(this, this.$locals.original || {});
+    this.$locals.pendingRevision = changes.length > 0
+      ? { action: this.$locals.revisionAction || 'update', changes }
+      : null;
+  }
+  next();
+});
+
+propertySchema.post('save', async function(doc) {
+  const pending = doc.$locals.pendingRevision;
+  doc.$locals.pendingRevision = null;
+  doc.$locals.original = doc.toObject({ depopulate: true });
+
+  if (pending) {
+    await recordRevision({
+      ...pending,
+      property: doc._id,
+      actor: doc.$locals.actor,
+      revertedTo: doc.$locals.revertedTo
+    });
+  }
+});
+
+propertySchema.post('insertMany', async function(docs) {
+  await Promise.all(docs.map(doc => recordRevision({
+    action: 'import',
+    changes: [],
+    property: doc._id,
+    actor: doc.landlord
+  })));
+});
+
+/**
+ * Attribute the next save of this document to a user in the revision history
+ * @param {string} userId - ID of the user making the change
+ * @returns {this} The document, for chaining
+ */
+propertySchema.methods.recordedBy = function(userId) {
+  this.$locals.actor = userId;
+  return this;
+};
 
 // Text index for search
 propertySchema.index({
@@ -273,5 +470,8 @@ propertySchema.index({
 propertySchema.index({ 'pricing.rent': 1, 'specifications.bedrooms': 1 });
 propertySchema.index({ 'address.city': 1, 'address.state': 1 });
 propertySchema.index({ propertyType: 1, status: 1 });
+propertySchema.index({ landlord: 1, deletedAt: 1, createdAt: -1 });
+propertySchema.index({ 'images.hashBands': 1 });
+propertySchema.index({ 'photoReview.status': 1 }, { sparse: true });
 
 module.exports = mongoose.model('Property', propertySchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const changeSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: true
+  },
+  oldValue: mongoose.Schema.Types.Mixed,
+  newValue: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const propertyRevisionSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  // User who made the change, empty for system jobs
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'import', 'revert'],
+    default: 'update'
+  },
+  changes: [changeSchema],
+  // Set on 'revert' revisions
+  revertedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PropertyRevision'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+propertyRevisionSchema.index({ property: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PropertyRevision', propertyRevisionSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const FREQUENCIES = ['instant', 'daily', 'weekly'];
+const CHANNELS = ['in_app', 'email'];
+
+// Search page filters, in the parameter format of services/propertySearch.js
+const filtersSchema = new mongoose.Schema({
+  minRent: { type: Number, min: 0 },
+  maxRent: { type: Number, min: 0 },
+  bedrooms: [String],
+  bathrooms: { type: Number, min: 0 },
+  propertyType: [String],
+  amenities: [String],
+  city: [String],
+  state: [String],
+  location: { type: String, trim: true, maxlength: 100 }
+}, { _id: false });
+
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Free-text query, matched like the natural language search
+  query: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  filters: {
+    type: filtersSchema,
+    default: () => ({})
+  },
+  frequency: {
+    type: String,
+    enum: FREQUENCIES,
+    default: 'instant'
+  },
+  channel: {
+    type: String,
+    enum: CHANNELS,
+    default: 'in_app'
+  },
+  paused: {
+    type: Boolean,
+    default: false
+  },
+  // Listings activated after this time have not been evaluated yet
+  lastCheckedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Matches waiting for the next daily or weekly digest
+  pendingMatches: [{
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Property'
+    },
+    matchedAt: {
+      type: Date,
+      default: Date.now
+    },
+    _id: false
+  }],
+  nextDigestAt: Date,
+  lastNotifiedAt: Date,
+  // Listings this search has matched so far
+  matchCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ paused: 1, lastCheckedAt: 1 });
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
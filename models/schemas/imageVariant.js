@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// One resized copy of an uploaded image, see services/imageProcessing.js
+const imageVariantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    enum: ['thumbnail', 'card', 'full'],
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['jpeg', 'webp'],
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  width: Number,
+  height: Number
+}, { _id: false });
+
+module.exports = imageVariantSchema;
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const imageVariantSchema = require('./imageVariant');
+
+// Position on a scene: yaw/pitch in degrees on panoramas, x/y as fractions of
+// the width/height (0-1, from the top left) on regular photos
+const positionFields = {
+  yaw: { type: Number, min: -180, max: 180 },
+  pitch: { type: Number, min: -90, max: 90 },
+  x: { type: Number, min: 0, max: 1 },
+  y: { type: Number, min: 0, max: 1 }
+};
+
+// Link from one scene to another, e.g. the kitchen door in the hallway
+const hotspotSchema = new mongoose.Schema({
+  targetScene: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 80
+  },
+  ...positionFields
+});
+
+const sceneSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 80
+  },
+  // Free text so landlords can name rooms their own way ('Primary bedroom')
+  room: {
+    type: String,
+    trim: true,
+    maxlength: 60
+  },
+  // 'panorama' images are equirectangular 360° photos
+  kind: {
+    type: String,
+    enum: ['panorama', 'photo'],
+    default: 'photo'
+  },
+  image: {
+    url: {
+      type: String,
+      required: true
+    },
+    variants: [imageVariantSchema]
+  },
+  // Where the viewer looks first, panoramas only
+  initialView: {
+    yaw: { type: Number, min: -180, max: 180 },
+    pitch: { type: Number, min: -90, max: 90 }
+  },
+  hotspots: [hotspotSchema],
+  // Where the scene was taken on the tour's floor plan, as fractions (0-1)
+  floorPlanPin: {
+    x: { type: Number, min: 0, max: 1 },
+    y: { type: Number, min: 0, max: 1 }
+  }
+});
+
+// Ordered walkthrough of a listing, see services/virtualTours.js
+const virtualTourSchema = new mongoose.Schema({
+  scenes: [sceneSchema],
+  // Floor plan image the scenes are pinned on; a public floor_plan attachment
+  floorPlan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attachment'
+  },
+  // Tour hosted elsewhere (Matterport, YouTube...), the old string field
+  externalUrl: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, { _id: false });
+
+module.exports = virtualTourSchema;
@@ -5,6 +5,7 @@ const User = require('../models/User');
 const Property = require('../models/Property');
 const { calculateRentPrice, getMarketTrends } = require('../services/marketDataService');
 const propertyGenerator = require('../services/propertyGenerator');
+const { visibleNowFilter } = require('../services/listingScheduler');
 
 const router = express.Router();
 
@@ -241,13 +242,13 @@ router.get('/cost-analysis/:propertyId', auth, async (req, res) => {
       const propertyTitle = property.title || 'Untitled Property';
       
       // Check if property has valid coordinates
-      const hasCoords = property.address?.coordinates?.coordinates !== undefined;
-      const coordsArray = Array.isArray(property.address?.coordinates?.coordinates);
-      const hasValidLength = coordsArray && property.address.coordinates.coordinates.length === 2;
+      const hasCoords = property.location?.coordinates !== undefined;
+      const coordsArray = Array.isArray(property.location?.coordinates);
+      const hasValidLength = coordsArray && property.location.coordinates.length === 2;
       const hasValidNumbers = hasValidLength && 
-                            !isNaN(property.address.coordinates.coordinates[0]) && 
-                            !isNaN(property.address.coordinates.coordinates[1]);
-      const hasValidType = property.address?.coordinates?.type === 'Point';
+                            !isNaN(property.location.coordinates[0]) && 
+                            !isNaN(property.location.coordinates[1]);
+      const hasValidType = property.location?.type === 'Point';
       
       if (hasCoords && coordsArray && hasValidLength && hasValidNumbers && hasValidType) {
         // All validations passed, save the analysis
@@ -619,7 +620,7 @@ async function parseNaturalLanguageQuery(query) {
 }
 
 function buildMongoQuery(filters) {
-  const query = { status: 'active' };
+  const query = { status: 'active', ...visibleNowFilter() };
   
   if (filters.maxRent) {
     query['pricing.rent'] = { $lte: filters.maxRent };
@@ -0,0 +1,172 @@
+const express = require('express');
+const Property = require('../models/Property');
+const Attachment = require('../models/Attachment');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const attachmentUpload = require('../middleware/attachmentUpload');
+const attachmentRules = require('../config/attachments');
+const {
+  storeAttachment,
+  removeAttachmentFiles,
+  canViewRestricted,
+  getAttachmentUrl
+} = require('../services/attachments');
+const { removeFiles } = require('../utils/uploadFiles');
+const { updateWithRevisions } = require('../services/propertyRevisions');
+const { isOwner, findViewableProperty } = require('../utils/propertyAccess');
+
+// Mounted at /api/properties/:id/attachments
+const router = express.Router({ mergeParams: true });
+
+// Get the attachments of a listing. Applicants-only files are listed for the
+// landlord and renters who contacted them; others only see how many there are.
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const property = await findViewableProperty(req, res);
+    if (!property) return;
+
+    const attachments = await Attachment.find({ property: property._id }).sort({ createdAt: 1 });
+    const canViewAll = await canViewRestricted(property, req.user);
+    const visible = canViewAll ? attachments : attachments.filter(attachment => attachment.visibility === 'public');
+
+    res.json({
+      success: true,
+      data: visible,
+      restrictedCount: attachments.length - visible.length
+    });
+  } catch (error) {
+    console.error('Error fetching attachments:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ success: false, message: 'Invalid property ID' });
+    }
+    res.status(500).json({ success: false, message: 'Failed to fetch attachments' });
+  }
+});
+
+// Get a short-lived download link for an attachment
+router.get('/:attachmentId/url', optionalAuth, async (req, res) => {
+  try {
+    const property = await findViewableProperty(req, res);
+    if (!property) return;
+
+    const attachment = await Attachment.findOne({ _id: req.params.attachmentId, property: property._id });
+    if (!attachment) {
+      return res.status(404).json({ success: false, message: 'Attachment not found' });
+    }
+
+    if (attachment.visibility !== 'public' && !await canViewRestricted(property, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This document is only available to renters who contacted the landlord'
+      });
+    }
+
+    res.json({ success: true, url: await getAttachmentUrl(attachment) });
+  } catch (error) {
+    console.error('Error creating attachment link:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ success: false, message: 'Invalid attachment ID' });
+    }
+    res.status(500).json({ success: false, message: 'Failed to create download link' });
+  }
+});
+
+// Upload an attachment (multipart: file, type, title, visibility)
+router.post('/', auth, attachmentUpload(), async (req, res) => {
+  let stored = null;
+
+  try {
+    const property = await Property.findOne({ _id: req.params.id, deletedAt: null }).select('landlord');
+
+    if (!property) {
+      await removeFiles([req.file.path]);
+      return res.status(404).json({ success: false, message: 'Property not found' });
+    }
+
+    if (!isOwner(property, req.user)) {
+      await removeFiles([req.file.path]);
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const count = await Attachment.countDocuments({ property: property._id });
+    if (count >= attachmentRules.maxPerProperty) {
+      await removeFiles([req.file.path]);
+      return res.status(400).json({
+        success: false,
+        message: `A listing can have at most ${attachmentRules.maxPerProperty} attachments`
+      });
+    }
+
+    const { type, visibility } = req.body;
+    const title = req.body.title || req.file.originalname;
+
+    stored = await storeAttachment(req.file, req.attachmentFormat, property._id);
+
+    const attachment = new Attachment({
+      ...stored,
+      property: property._id,
+      type,
+      title,
+      visibility: visibility || undefined,
+      fileName: req.file.originalname,
+      uploadedBy: req.user.userId
+    });
+    await attachment.save();
+
+    res.status(201).json({ success: true, message: 'Attachment uploaded', data: attachment });
+  } catch (error) {
+    console.error('Error uploading attachment:', error);
+    await removeFiles([req.file.path]);
+    if (stored) {
+      await removeAttachmentFiles([stored]);
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message, errors: error.errors });
+    }
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ success: false, message: 'Invalid property ID' });
+    }
+    res.status(500).json({ success: false, message: 'Failed to upload attachment' });
+  }
+});
+
+// Delete an attachment
+router.delete('/:attachmentId', auth, async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id).select('landlord');
+
+    if (!property) {
+      return res.status(404).json({ success: false, message: 'Property not found' });
+    }
+
+    if (!isOwner(property, req.user)) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const attachment = await Attachment.findOneAndDelete({ _id: req.params.attachmentId, property: property._id });
+    if (!attachment) {
+      return res.status(404).json({ success: false, message: 'Attachment not found' });
+    }
+
+    // A tour drawn on this floor plan keeps its scenes but loses the pins
+    await updateWithRevisions(
+      { _id: property._id, 'virtualTour.floorPlan': attachment._id },
+      { $unset: { 'virtualTour.floorPlan': 1, 'virtualTour.scenes.$[].floorPlanPin': 1 } },
+      { actor: req.user.userId }
+    );
+
+    // The document is gone first, so a failed delete only leaves an orphan
+    // for the upload reconciliation to clean up
+    await removeAttachmentFiles([attachment]);
+
+    res.json({ success: true, message: 'Attachment deleted' });
+  } catch (error) {
+    console.error('Error deleting attachment:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ success: false, message: 'Invalid ID' });
+    }
+    res.status(500).json({ success: false, message: 'Failed to delete attachment' });
+  }
+});
+
+module.exports = router;
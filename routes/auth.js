@@ -5,11 +5,18 @@ const auth = require('../middleware/auth');
 
 const router = express.Router();
 
+// Roles a user can pick when registering; admins are only made by hand
+const REGISTRATION_ROLES = ['renter', 'landlord'];
+
 // Register user
 router.post('/register', async (req, res) => {
   try {
     const { name, email, password, role } = req.body;
 
+    if (role !== undefined && !REGISTRATION_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${REGISTRATION_ROLES.join(', ')}` });
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
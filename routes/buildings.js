@@ -0,0 +1,442 @@
+const express = require('express');
+const Building = require('../models/Building');
+const Property = require('../models/Property');
+const auth = require('../middleware/auth');
+const imageUpload = require('../middleware/imageUpload');
+const { flattenUpdates, clearBlankFields, parseList } = require('../utils/propertyPayload');
+const { removeFiles, removeImageFiles } = require('../utils/uploadFiles');
+const { normalizeAddress } = require('../utils/address');
+const { applyBuildingData, summarizeUnits } = require('../services/buildingInheritance');
+const { visibleNowFilter } = require('../services/listingScheduler');
+const { updateWithRevisions } = require('../services/propertyRevisions');
+const { processUploadedImages } = require('../services/imageProcessing');
+
+const router = express.Router();
+
+// Building fields landlords may write
+const EDITABLE_FIELDS = ['name', 'description', 'address', 'location', 'amenities', 'policies'];
+
+// Fields of a unit shown on the building page
+const UNIT_FIELDS = 'title unitNumber propertyType specifications pricing images availability status';
+
+/**
+ * Read the building payload: multipart requests send it as a JSON string in
+ * `buildingData`, JSON requests as the body itself. Unknown fields are dropped.
+ */
+const parseBuildingPayload = (req) => {
+  const body = req.body || {};
+  const payload = typeof body.buildingData === 'string'
+    ? JSON.parse(body.buildingData || '{}')
+    : (body.buildingData || body);
+
+  return clearBlankFields(Object.fromEntries(
+    Object.entries(payload).filter(([field]) => EDITABLE_FIELDS.includes(field))
+  ));
+};
+
+/**
+ * Save a unit. Drafts may be incomplete, so they are saved without
+ * validation; that also skips the Property pre('validate') hooks, so their
+ * addressKey is set here. Callers apply the building data themselves.
+ * @param {import('mongoose').Document} unit - Property document
+ * @param {string} actor - User ID making the change
+ */
+const saveUnit = async (unit, actor) => {
+  unit.$locals.buildingApplied = true;
+  unit.recordedBy(actor);
+
+  if (unit.status === 'draft') {
+    unit.addressKey = normalizeAddress(unit.address, unit.unitNumber);
+    await unit.save({ validateBeforeSave: false });
+  } else {
+    await unit.save();
+  }
+};
+
+/**
+ * Load a building's units with its shared data applied, ready to validate
+ * and save
+ * @param {import('mongoose').Document} building - Building with its edits applied
+ * @param {string[]} previousAmenities - Building amenities before the update
+ * @returns {Promise<import('mongoose').Document[]>} Unsaved units
+ */
+const loadSyncedUnits = async (building, previousAmenities) => {
+  const units = await Property.find({ building: building._id, deletedAt: null });
+
+  units.forEach(unit => {
+    applyBuildingData(unit, building, previousAmenities);
+    unit.$locals.buildingApplied = true;
+  });
+
+  return units;
+};
+
+/**
+ * Validate units that already have the building data applied. Drafts are
+ * skipped because they are saved without validation.
+ * @param {import('mongoose').Document[]} units - Property documents
+ * @returns {Promise<Array<{ property: string, error: string }>>} Invalid units
+ */
+const findInvalidUnits = async (units) => {
+  const invalidUnits = [];
+
+  for (const unit of units) {
+    if (unit.status === 'draft') continue;
+    try {
+      await unit.validate();
+    } catch (validationError) {
+      if (validationError.name !== 'ValidationError') {
+        throw validationError;
+      }
+      invalidUnits.push({ property: unit._id, error: validationError.message });
+    }
+  }
+
+  return invalidUnits;
+};
+
+// Get the logged-in landlord's buildings with unit counts
+router.get('/my-buildings', auth, async (req, res) => {
+  try {
+    const buildings = await Building.find({ landlord: req.user.userId })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const counts = await Property.aggregate([
+      { $match: { building: { $in: buildings.map(building => building._id) }, deletedAt: null } },
+      { $group: { _id: '$building', units: { $sum: 1 }, active: { $sum: { $cond: [{ $eq: ['$status', 'active'] }, 1, 0] } } } }
+    ]);
+    const countsById = new Map(counts.map(count => [String(count._id), count]));
+
+    res.json({
+      success: true,
+      data: buildings.map(building => ({
+        ...building,
+        unitCount: countsById.get(String(building._id))?.units || 0,
+        activeUnitCount: countsById.get(String(building._id))?.active || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching buildings:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch your buildings' });
+  }
+});
+
+// Get a building with its available units (public)
+router.get('/:id', async (req, res) => {
+  try {
+    const building = await Building.findById(req.params.id)
+      .populate('landlord', 'name email profile.phone')
+      .lean();
+
+    if (!building) {
+      return res.status(404).json({ success: false, message: 'Building not found' });
+    }
+
+    const units = await Property.find({
+      building: building._id,
+      deletedAt: null,
+      status: 'active',
+      ...visibleNowFilter()
+    })
+    .select(UNIT_FIELDS)
+    .sort({ 'pricing.rent': 1 })
+    .lean();
+
+    res.json({
+      success: true,
+      data: {
+        ...building,
+        units,
+        ...summarizeUnits(units)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching building:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ success: false, message: 'Invalid building ID' });
+    }
+    res.status(500).json({ success: false, message: 'Failed to fetch building' });
+  }
+});
+
+// Create a building (JSON, or multipart with `buildingData` and images)
+router.post('/', auth, imageUpload('images'), async (req, res) => {
+  let newImages = [];
+
+  try {
+    let payload;
+    try {
+      payload = parseBuildingPayload(req);
+    } catch (parseError) {
+      await removeFiles((req.files || []).map(file => file.path));
+      return res.status(400).json({ success: false, message: 'Invalid building data', error: parseError.message });
+    }
+
+    newImages = await processUploadedImages(req.files);
+    const building = new Building({
+      ...payload,
+      landlord: req.user.userId,
+      images: newImages
+    });
+    if (building.images.length > 0) {
+      building.images[0].isMain = true;
+    }
+
+    try {
+      await building.save();
+    } catch (validationError) {
+      await removeImageFiles(newImages);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid building data',
+        error: validationError.message,
+        errors: validationError.errors
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Building created successfully',
+      data: building
+    });
+  } catch (error) {
+    console.error('Error creating building:', error);
+    await removeFiles((req.files || []).map(file => file.path));
+    await removeImageFiles(newImages);
+    res.status(500).json({ success: false, message: 'Failed to create building' });
+  }
+});
+
+// Update a building; shared fields are pushed to all of its units
+router.put('/:id', auth, imageUpload('images'), async (req, res) => {
+  const uploadedFiles = req.files || [];
+  let newImages = [];
+  let buildingSaved = false;
+
+  try {
+    let payload;
+    try {
+      payload = parseBuildingPayload(req);
+    } catch (parseError) {
+      await removeFiles(uploadedFiles.map(file => file.path));
+      return res.status(400).json({ success: false, message: 'Invalid building data', error: parseError.message });
+    }
+
+    const building = await Building.findById(req.params.id);
+
+    if (!building) {
+      await removeFiles(uploadedFiles.map(file => file.path));
+      return res.status(404).json({ success: false, message: 'Building not found' });
+    }
+
+    if (building.landlord.toString() !== req.user.userId) {
+      await removeFiles(uploadedFiles.map(file => file.path));
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const previousAmenities = [...(building.amenities || [])];
+
+    // Arrays (amenities, coordinates) are replaced, nested objects merged
+    Object.entries(flattenUpdates(payload)).forEach(([path, value]) => {
+      building.set(path, value);
+    });
+
+    const removedIds = parseList(req.body.removedImages);
+    const removedImages = building.images.filter(image => removedIds.includes(String(image._id)) || removedIds.includes(image.url));
+    building.images = building.images.filter(image => !removedImages.includes(image));
+    newImages = await processUploadedImages(uploadedFiles);
+    building.images.push(...newImages);
+    if (building.images.length > 0 && !building.images.some(image => image.isMain)) {
+      building.images[0].isMain = true;
+    }
+
+    try {
+      await building.validate();
+    } catch (validationError) {
+      if (validationError.name !== 'ValidationError') {
+        throw validationError;
+      }
+      await removeImageFiles(newImages);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid building data',
+        error: validationError.message,
+        errors: validationError.errors
+      });
+    }
+
+    // Check every unit before saving anything, so one invalid unit leaves the
+    // building and all of its units unchanged
+    const units = await loadSyncedUnits(building, previousAmenities);
+    const invalidUnits = await findInvalidUnits(units);
+    if (invalidUnits.length > 0) {
+      await removeImageFiles(newImages);
+      return res.status(400).json({ success: false, message: 'Invalid unit data, the building was not updated', errors: invalidUnits });
+    }
+
+    await building.save();
+    // The saved building references the new images from here on
+    buildingSaved = true;
+    await removeImageFiles(removedImages);
+
+    for (const unit of units) {
+      await saveUnit(unit, req.user.userId);
+    }
+
+    res.json({
+      success: true,
+      message: 'Building updated successfully',
+      data: building,
+      unitsUpdated: units.length
+    });
+  } catch (error) {
+    console.error('Error updating building:', error);
+    if (!buildingSaved) {
+      await removeFiles(uploadedFiles.map(file => file.path));
+      await removeImageFiles(newImages);
+    }
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ success: false, message: 'Invalid building ID' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: 'Invalid unit data', error: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Failed to update building' });
+  }
+});
+
+// Attach existing listings as units: { units: [{ property, unitNumber }] }
+router.post('/:id/units', auth, async (req, res) => {
+  try {
+    const units = Array.isArray(req.body.units) ? req.body.units : [];
+    if (units.length === 0 || units.some(unit => !unit.property)) {
+      return res.status(400).json({ success: false, message: 'Provide units as [{ property, unitNumber }]' });
+    }
+
+    const building = await Building.findById(req.params.id);
+
+    if (!building) {
+      return res.status(404).json({ success: false, message: 'Building not found' });
+    }
+
+    if (building.landlord.toString() !== req.user.userId) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const properties = await Property.find({
+      _id: { $in: units.map(unit => unit.property) },
+      landlord: req.user.userId,
+      deletedAt: null
+    });
+
+    if (properties.length !== units.length) {
+      return res.status(404).json({ success: false, message: 'One or more properties were not found' });
+    }
+
+    // Check every unit before saving any, so one invalid unit attaches none
+    for (const property of properties) {
+      const unit = units.find(item => String(item.property) === String(property._id));
+      property.building = building._id;
+      property.unitNumber = unit.unitNumber;
+      applyBuildingData(property, building);
+      property.$locals.buildingApplied = true;
+    }
+
+    const invalidUnits = await findInvalidUnits(properties);
+    if (invalidUnits.length > 0) {
+      return res.status(400).json({ success: false, message: 'Invalid unit data, no units were added', errors: invalidUnits });
+    }
+
+    for (const property of properties) {
+      await saveUnit(property, req.user.userId);
+    }
+
+    res.json({
+      success: true,
+      message: `${properties.length} unit(s) added to ${building.name}`,
+      data: properties.map(property => ({ _id: property._id, unitNumber: property.unitNumber }))
+    });
+  } catch (error) {
+    console.error('Error adding building units:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: 'Invalid unit data', error: error.message });
+    }
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ success: false, message: 'Invalid ID' });
+    }
+    res.status(500).json({ success: false, message: 'Failed to add units' });
+  }
+});
+
+// Detach a unit; it keeps the data it inherited as its own
+router.delete('/:id/units/:propertyId', auth, async (req, res) => {
+  try {
+    const property = await Property.findOne({ _id: req.params.propertyId, building: req.params.id });
+
+    if (!property) {
+      return res.status(404).json({ success: false, message: 'Unit not found in this building' });
+    }
+
+    if (property.landlord.toString() !== req.user.userId) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    property.building = undefined;
+    property.unitNumber = undefined;
+    await saveUnit(property, req.user.userId);
+
+    res.json({ success: true, message: 'Unit removed from building' });
+  } catch (error) {
+    console.error('Error removing building unit:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: 'Invalid unit data', error: error.message });
+    }
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ success: false, message: 'Invalid ID' });
+    }
+    res.status(500).json({ success: false, message: 'Failed to remove unit' });
+  }
+});
+
+// Delete a building; only allowed once it has no units left
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const building = await Building.findById(req.params.id);
+
+    if (!building) {
+      return res.status(404).json({ success: false, message: 'Building not found' });
+    }
+
+    if (building.landlord.toString() !== req.user.userId) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const unitCount = await Property.countDocuments({ building: building._id, deletedAt: null });
+    if (unitCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Remove or delete the building's ${unitCount} unit(s) first`
+      });
+    }
+
+    // Trashed units keep the data they inherited
+    await updateWithRevisions(
+      { building: building._id },
+      { $unset: { building: 1, unitNumber: 1 } },
+      { actor: req.user.userId }
+    );
+    await building.deleteOne();
+    await removeImageFiles(building.images);
+
+    res.json({ success: true, message: 'Building deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting building:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ success: false, message: 'Invalid building ID' });
+    }
+    res.status(500).json({ success: false, message: 'Failed to delete building' });
+  }
+});
+
+module.exports = router;
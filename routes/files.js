@@ -0,0 +1,28 @@
+const express = require('express');
+const { getStorage } = require('../services/storage');
+
+const router = express.Router();
+
+// Serve a file through a signed URL of the local storage driver
+// (S3-compatible drivers sign URLs against the bucket instead)
+router.get('/*', (req, res) => {
+  const storage = getStorage();
+
+  if (typeof storage.resolveSignedUrl !== 'function') {
+    return res.status(404).json({ success: false, message: 'File not found' });
+  }
+
+  const filePath = storage.resolveSignedUrl(req.params[0], req.query.expires, req.query.signature);
+  if (!filePath) {
+    return res.status(403).json({ success: false, message: 'This link is invalid or has expired' });
+  }
+
+  res.set('Cache-Control', 'private, no-store');
+  res.sendFile(filePath, (error) => {
+    if (error && !res.headersSent) {
+      res.status(error.statusCode === 404 ? 404 : 500).json({ success: false, message: 'File not found' });
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const Notification = require('../models/Notification');
+const auth = require('../middleware/auth');
+const router = express.Router();
+
+// Get notifications for the current user
+router.get('/', auth, async (req, res) => {
+  try {
+    const query = { user: req.user.userId };
+    if (req.query.unread === 'true') {
+      query.read = false;
+    }
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .populate('property', 'title address status')
+        .sort({ createdAt: -1 })
+        .limit(50),
+      Notification.countDocuments({ user: req.user.userId, read: false })
+    ]);
+
+    res.json({ success: true, data: notifications, unreadCount });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch notifications' });
+  }
+});
+
+// Mark all notifications as read
+router.put('/read-all', auth, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.userId, read: false },
+      { read: true }
+    );
+
+    res.json({ success: true, updated: result.modifiedCount });
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    res.status(500).json({ success: false, message: 'Failed to update notifications' });
+  }
+});
+
+// Mark a notification as read
+router.put('/:id/read', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.userId },
+      { read: true },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({ success: false, message: 'Notification not found' });
+    }
+
+    res.json({ success: true, data: notification });
+  } catch (error) {
+    console.error('Error updating notification:', error);
+    res.status(500).json({ success: false, message: 'Failed to update notification' });
+  }
+});
+
+module.exports = router;
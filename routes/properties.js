@@ -3,8 +3,44 @@ const mongoose = require('mongoose');
 const Property = require('../models/Property');
 const User = require('../models/User');
 const Message = require('../models/Message');
+const PropertyRevision = require('../models/PropertyRevision');
+const Building = require('../models/Building');
+const Attachment = require('../models/Attachment');
 const auth = require('../middleware/auth');
-const upload = require('../config/upload');
+const imageUpload = require('../middleware/imageUpload');
+const admin = require('../middleware/admin');
+const importUpload = require('../config/importUpload');
+const {
+  MANAGED_FIELDS,
+  parsePropertyPayload,
+  findProtectedFields,
+  findKeysUnder,
+  flattenUpdates,
+  clearBlankFields,
+  parseList
+} = require('../utils/propertyPayload');
+const { removeFiles, removeImageFiles } = require('../utils/uploadFiles');
+const {
+  STATUSES,
+  CREATE_STATUSES,
+  ACTIONS,
+  canTransition,
+  getAllowedTransitions,
+  applyStatusChange
+} = require('../services/propertyLifecycle');
+const propertyImport = require('../services/propertyImport');
+const propertyExport = require('../services/propertyExport');
+const { buildRevertUpdates } = require('../services/propertyRevisions');
+const duplicateDetection = require('../services/duplicateDetection');
+const photoMatching = require('../services/photoMatching');
+const { processUploadedImages } = require('../services/imageProcessing');
+const { removeAttachmentFiles } = require('../services/attachments');
+const { tourImages } = require('../services/virtualTours');
+const { renewListing } = require('../services/listingExpiration');
+const { visibleNowFilter } = require('../services/listingScheduler');
+const { summarizeUnits } = require('../services/buildingInheritance');
+const { buildSearchQuery, parseSort } = require('../services/propertySearch');
+const { decodeCursor, cursorFilter, paginateResults } = require('../utils/cursorPagination');
 
 const router = express.Router();
 
@@ -56,7 +92,7 @@ router.get('/my-properties', auth, async (req, res) => {
   try {
     const properties = await Property.find({ 
       landlord: req.user.userId,
-      status: { $ne: 'deleted' } // Don't return deleted properties
+      deletedAt: null // Trashed properties are listed under /trash
     })
     .sort({ createdAt: -1 })
     .populate('landlord', 'name email profile.phone profile.verified')
@@ -75,153 +111,1379 @@ router.get('/my-properties', auth, async (req, res) => {
   }
 });
 
+// Wait until a response can take more data, or is closed or fails (a client
+// that disconnects while the buffer is full never emits 'drain')
+const waitForDrain = (res) => new Promise(resolve => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    res.off('error', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+  res.on('error', done);
+});
+
+// Export the logged-in landlord's properties (?format=csv|json|reso-json|reso-xml&fields=&status=)
+router.get('/export', auth, async (req, res) => {
+  const format = (req.query.format || 'csv').toLowerCase();
+
+  if (!propertyExport.FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: `Format must be one of: ${propertyExport.FORMATS.join(', ')}`
+    });
+  }
+
+  const { fields, unknown } = propertyExport.resolveFields(format, parseList(req.query.fields));
+  if (unknown.length > 0 || fields.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: unknown.length > 0 ? `Unknown fields: ${unknown.join(', ')}` : 'No fields selected'
+    });
+  }
+
+  const statuses = parseList(req.query.status);
+  const invalidStatuses = statuses.filter(status => !STATUSES.includes(status));
+  if (invalidStatuses.length > 0) {
+    return res.status(400).json({ success: false, message: `Unknown status: ${invalidStatuses.join(', ')}` });
+  }
+
+  // Same scope as /my-properties
+  const query = {
+    landlord: req.user.userId,
+    deletedAt: null
+  };
+  if (statuses.length > 0) {
+    query.status = { $in: statuses };
+  }
+
+  const serializer = propertyExport.createSerializer(format, fields);
+  const cursor = Property.find(query).sort({ createdAt: -1 }).lean().cursor({ batchSize: 100 });
+
+  // Stop reading from the database if the client goes away
+  let aborted = false;
+  res.on('close', () => {
+    aborted = true;
+  });
+
+  try {
+    const filename = `properties-${new Date().toISOString().slice(0, 10)}.${serializer.extension}`;
+    res.set('Content-Type', serializer.contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.write(serializer.start());
+
+    let count = 0;
+    for await (const property of cursor) {
+      if (aborted) break;
+
+      // Respect backpressure so large portfolios are never buffered in memory
+      if (!res.write(serializer.record(property, count))) {
+        await waitForDrain(res);
+      }
+      count += 1;
+    }
+
+    if (!aborted) {
+      res.end(serializer.end(count));
+    }
+  } catch (error) {
+    console.error('Error exporting properties:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ success: false, message: 'Failed to export properties' });
+    }
+    // Headers are gone, the truncated download is the only signal left
+    res.end();
+  } finally {
+    await cursor.close();
+  }
+});
+
+// Admin report of likely duplicate listings across different landlords
+router.get('/admin/duplicates', auth, admin, async (req, res) => {
+  try {
+    const threshold = req.query.threshold ? Number(req.query.threshold) : undefined;
+    const limit = req.query.limit ? Number(req.query.limit) : undefined;
+
+    const pairs = await duplicateDetection.findCrossLandlordDuplicates({ threshold, limit });
+
+    res.json({ success: true, data: pairs, count: pairs.length });
+  } catch (error) {
+    console.error('Error building duplicate report:', error);
+    res.status(500).json({ success: false, message: 'Failed to build duplicate report' });
+  }
+});
+
+// Admin review queue: listings whose photos match another landlord's listing
+router.get('/admin/photo-matches', auth, admin, async (req, res) => {
+  try {
+    const status = req.query.status || 'flagged';
+    if (!photoMatching.REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${photoMatching.REVIEW_STATUSES.join(', ')}`
+      });
+    }
+    const limit = req.query.limit ? Number(req.query.limit) : undefined;
+
+    const listings = await photoMatching.findFlaggedListings({ status, limit });
+
+    res.json({ success: true, data: listings, count: listings.length });
+  } catch (error) {
+    console.error('Error building photo match report:', error);
+    res.status(500).json({ success: false, message: 'Failed to build photo match report' });
+  }
+});
+
+// Record the admin decision on a flagged listing: cleared listings go live,
+// rejected ones stay hidden
+router.put('/admin/photo-matches/:id', auth, admin, async (req, res) => {
+  try {
+    const { decision, note } = req.body;
+    if (!['cleared', 'rejected'].includes(decision)) {
+      return res.status(400).json({ success: false, message: "Decision must be 'cleared' or 'rejected'" });
+    }
+
+    const property = await Property.findOne({ _id: req.params.id, deletedAt: null });
+    if (!property || !property.photoReview || !property.photoReview.status) {
+      return res.status(404).json({ success: false, message: 'No photo review found for this listing' });
+    }
+
+    property.photoReview.status = decision;
+    property.photoReview.reviewedBy = req.user.userId;
+    property.photoReview.reviewedAt = new Date();
+    property.photoReview.note = note;
+    // Held listings reach renters only now, so saved searches see them as new
+    if (decision === 'cleared' && property.status === 'active') {
+      property.activatedAt = new Date();
+    }
+    await property.save();
+
+    res.json({ success: true, data: property.photoReview });
+  } catch (error) {
+    console.error('Error reviewing photo matches:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ success: false, message: 'Invalid property ID' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Failed to save photo review' });
+  }
+});
+
+// Get the logged-in landlord's trashed properties
+router.get('/trash', auth, async (req, res) => {
+  try {
+    const properties = await Property.find({
+      landlord: req.user.userId,
+      deletedAt: { $ne: null }
+    })
+    .sort({ deletedAt: -1 })
+    .lean();
+
+    res.json({
+      success: true,
+      data: properties
+    });
+  } catch (error) {
+    console.error('Error fetching trashed properties:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch trashed properties'
+    });
+  }
+});
+
+// Get the logged-in landlord's listings that expire soon or expired recently
+router.get('/expiring', auth, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 14, 1), 90);
+    const now = new Date();
+
+    const properties = await Property.find({
+      landlord: req.user.userId,
+      deletedAt: null,
+      $or: [
+        { status: { $in: ['active', 'pending'] }, expiresAt: { $lte: new Date(now.getTime() + days * 24 * 60 * 60 * 1000) } },
+        { status: 'inactive', expiredAt: { $gte: new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000) } }
+      ]
+    })
+    .select('title status address pricing.rent images expiresAt expiredAt')
+    .sort({ expiresAt: 1 })
+    .lean();
+
+    res.json({
+      success: true,
+      data: properties
+    });
+  } catch (error) {
+    console.error('Error fetching expiring properties:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch expiring properties'
+    });
+  }
+});
+
+// Download a CSV template with the supported import columns
+router.get('/import/template', auth, (req, res) => {
+  res.set('Content-Type', 'text/csv');
+  res.set('Content-Disposition', 'attachment; filename="property-import-template.csv"');
+  res.send(propertyImport.getTemplate());
+});
+
+// Bulk import properties from a CSV/Excel file (?mode=dry-run|commit)
+router.post('/import', auth, (req, res) => {
+  importUpload.single('file')(req, res, async (uploadError) => {
+    if (uploadError) {
+      return res.status(400).json({ success: false, message: uploadError.message });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'Please upload a CSV or Excel file in the "file" field' });
+    }
+
+    const mode = req.query.mode || req.body.mode || 'dry-run';
+    if (!['dry-run', 'commit'].includes(mode)) {
+      return res.status(400).json({ success: false, message: "Mode must be 'dry-run' or 'commit'" });
+    }
+
+    try {
+      let sheetRows;
+      try {
+        sheetRows = propertyImport.readSheetRows(req.file.buffer);
+      } catch (parseError) {
+        return res.status(400).json({ success: false, message: parseError.message });
+      }
+
+      const result = await propertyImport.buildImport(sheetRows, req.user.userId);
+      const { rows, summary } = result;
+
+      await propertyImport.flagDuplicateRows(result.validRows, summary);
+
+      if (mode === 'dry-run') {
+        return res.json({ success: true, mode, summary, rows });
+      }
+
+      // Commit is all-or-nothing so a partial import never has to be cleaned up
+      if (summary.invalid > 0) {
+        return res.status(422).json({
+          success: false,
+          mode,
+          message: `${summary.invalid} row(s) have errors, nothing was imported`,
+          summary,
+          rows
+        });
+      }
+
+      const created = await propertyImport.commitImport(result.validRows, req.user.userId);
+
+      res.status(201).json({
+        success: true,
+        mode,
+        message: `${created.length} properties imported`,
+        summary,
+        rows,
+        data: created.map(property => ({ _id: property._id, title: property.title, status: property.status }))
+      });
+    } catch (error) {
+      console.error('Error importing properties:', error);
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ success: false, mode, message: `Row ${error.row}: ${error.message}, nothing was imported`, row: error.row });
+      }
+      res.status(500).json({ success: false, message: 'Failed to import properties' });
+    }
+  });
+});
+
+// Look for likely duplicates of a new listing. Returns the candidates that
+// should block the create, or an empty list when the landlord confirmed.
+const checkDuplicates = async (property, confirmed) => {
+  const candidates = await duplicateDetection.findDuplicates(property);
+
+  if (candidates.length > 0 && confirmed) {
+    property.duplicateCheck = {
+      candidates: candidates.map(candidate => ({ property: candidate.property._id, score: candidate.score })),
+      confirmedAt: new Date()
+    };
+    return [];
+  }
+
+  return candidates;
+};
+
+const isConfirmed = value => value === true || value === 'true';
+
+// Apply an autosaved wizard payload to a draft property
+const applyDraftUpdates = (property, payload, step) => {
+  // Drafts stay drafts until submitted, and images are uploaded on submit:
+  // the routes refuse status and images keys before this runs
+  const updates = clearBlankFields(payload);
+
+  property.set(flattenUpdates(updates));
+
+  if (step !== undefined && step !== null && !Number.isNaN(Number(step))) {
+    property.draftProgress.step = Number(step);
+  }
+  property.draftProgress.savedAt = new Date();
+};
+
+// Get the logged-in landlord's draft properties
+router.get('/drafts', auth, async (req, res) => {
+  try {
+    const drafts = await Property.find({
+      landlord: req.user.userId,
+      status: 'draft',
+      deletedAt: null
+    })
+    .sort({ 'draftProgress.savedAt': -1, updatedAt: -1 })
+    .lean();
+
+    res.json({ success: true, data: drafts });
+  } catch (error) {
+    console.error('Error fetching drafts:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch drafts' });
+  }
+});
+
+// Get a single draft to resume the listing wizard
+router.get('/drafts/:id', auth, async (req, res) => {
+  try {
+    const draft = await Property.findOne({
+      _id: req.params.id,
+      landlord: req.user.userId,
+      status: 'draft',
+      deletedAt: null
+    }).lean();
+
+    if (!draft) {
+      return res.status(404).json({ success: false, message: 'Draft not found' });
+    }
+
+    res.json({ success: true, data: draft });
+  } catch (error) {
+    console.error('Error fetching draft:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ success: false, message: 'Invalid draft ID' });
+    }
+    res.status(500).json({ success: false, message: 'Failed to fetch draft' });
+  }
+});
+
+// Start a new draft property from the listing wizard
+router.post('/drafts', auth, async (req, res) => {
+  try {
+    let payload;
+    try {
+      payload = parsePropertyPayload(req);
+    } catch (parseError) {
+      return res.status(400).json({ success: false, message: 'Invalid property data', error: parseError.message });
+    }
+    const step = req.body.step;
+    delete payload.step;
+
+    const protectedFields = [...findProtectedFields(payload), ...findKeysUnder(payload, MANAGED_FIELDS)];
+    if (protectedFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `The following fields cannot be updated: ${protectedFields.join(', ')}`,
+        fields: protectedFields
+      });
+    }
+
+    const draft = new Property({
+      landlord: req.user.userId,
+      status: 'draft',
+      // Placeholder location keeps the 2dsphere index happy until submit
+      location: { type: 'Point', coordinates: [0, 0] }
+    });
+    applyDraftUpdates(draft, payload, step);
+
+    try {
+      draft.recordedBy(req.user.userId);
+      await draft.save();
+    } catch (validationError) {
+      if (validationError.name !== 'ValidationError') {
+        throw validationError;
+      }
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid draft data',
+        error: validationError.message,
+        errors: validationError.errors
+      });
+    }
+
+    res.status(201).json({ success: true, message: 'Draft saved', data: draft });
+  } catch (error) {
+    console.error('Error creating draft:', error);
+    res.status(500).json({ success: false, message: 'Failed to save draft' });
+  }
+});
+
+// Autosave a wizard step into an existing draft
+router.patch('/drafts/:id', auth, async (req, res) => {
+  try {
+    let payload;
+    try {
+      payload = parsePropertyPayload(req);
+    } catch (parseError) {
+      return res.status(400).json({ success: false, message: 'Invalid property data', error: parseError.message });
+    }
+    const step = req.body.step;
+    delete payload.step;
+
+    const protectedFields = [...findProtectedFields(payload), ...findKeysUnder(payload, MANAGED_FIELDS)];
+    if (protectedFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `The following fields cannot be updated: ${protectedFields.join(', ')}`,
+        fields: protectedFields
+      });
+    }
+
+    const draft = await Property.findOne({ _id: req.params.id, status: 'draft', deletedAt: null });
+
+    if (!draft) {
+      return res.status(404).json({ success: false, message: 'Draft not found' });
+    }
+
+    if (draft.landlord.toString() !== req.user.userId) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    applyDraftUpdates(draft, payload, step);
+
+    try {
+      draft.recordedBy(req.user.userId);
+      await draft.save();
+    } catch (validationError) {
+      if (validationError.name !== 'ValidationError') {
+        throw validationError;
+      }
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid draft data',
+        error: validationError.message,
+        errors: validationError.errors
+      });
+    }
+
+    res.json({ success: true, message: 'Draft saved', data: draft });
+  } catch (error) {
+    console.error('Error autosaving draft:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ success: false, message: 'Invalid draft ID' });
+    }
+    res.status(500).json({ success: false, message: 'Failed to save draft' });
+  }
+});
+
+// Submit a draft: apply the final wizard data, attach images and publish it
+router.post('/drafts/:id/submit', auth, imageUpload('images'), async (req, res) => {
+  const uploadedFiles = req.files || [];
+  let newImages = [];
+
+  try {
+    let payload;
+    try {
+      payload = parsePropertyPayload(req);
+    } catch (parseError) {
+      await removeFiles(uploadedFiles.map(file => file.path));
+      return res.status(400).json({ success: false, message: 'Invalid property data', error: parseError.message });
+    }
+    delete payload.step;
+    const confirmDuplicate = isConfirmed(req.body.confirmDuplicate || payload.confirmDuplicate);
+    delete payload.confirmDuplicate;
+
+    const protectedFields = [...findProtectedFields(payload), ...findKeysUnder(payload, MANAGED_FIELDS)];
+    if (protectedFields.length > 0) {
+      await removeFiles(uploadedFiles.map(file => file.path));
+      return res.status(400).json({
+        success: false,
+        message: `The following fields cannot be updated: ${protectedFields.join(', ')}`,
+        fields: protectedFields
+      });
+    }
+
+    const draft = await Property.findOne({ _id: req.params.id, status: 'draft', deletedAt: null });
+
+    if (!draft) {
+      await removeFiles(uploadedFiles.map(file => file.path));
+      return res.status(404).json({ success: false, message: 'Draft not found' });
+    }
+
+    if (draft.landlord.toString() !== req.user.userId) {
+      await removeFiles(uploadedFiles.map(file => file.path));
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    applyDraftUpdates(draft, payload);
+
+    newImages = await processUploadedImages(uploadedFiles);
+    draft.images.push(...newImages);
+    if (draft.images.length > 0 && !draft.images.some(image => image.isMain)) {
+      draft.images[0].isMain = true;
+    }
+
+    // Publishing turns full schema validation back on
+    applyStatusChange(draft, 'active', {
+      actor: req.user.userId,
+      reason: 'Submitted from listing wizard'
+    });
+    draft.draftProgress = undefined;
+
+    const duplicates = await checkDuplicates(draft, confirmDuplicate);
+    if (duplicates.length > 0) {
+      await removeImageFiles(newImages);
+      return res.status(409).json({
+        success: false,
+        message: 'This listing looks like one that is already posted. Confirm to post it anyway.',
+        duplicates
+      });
+    }
+
+    await photoMatching.flagPhotoMatches(draft, newImages);
+
+    try {
+      draft.recordedBy(req.user.userId);
+      await draft.save();
+    } catch (validationError) {
+      if (validationError.name !== 'ValidationError') {
+        throw validationError;
+      }
+      await removeImageFiles(newImages);
+      return res.status(400).json({
+        success: false,
+        message: 'Please complete all required fields before submitting',
+        error: validationError.message,
+        errors: validationError.errors
+      });
+    }
+
+    await draft.populate('landlord', 'name email');
+
+    res.json({
+      success: true,
+      message: 'Property created successfully',
+      data: draft
+    });
+  } catch (error) {
+    console.error('Error submitting draft:', error);
+    await removeFiles(uploadedFiles.map(file => file.path));
+    await removeImageFiles(newImages);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ success: false, message: 'Invalid draft ID' });
+    }
+    res.status(500).json({ success: false, message: 'Failed to submit draft' });
+  }
+});
+
+/**
+ * Run a listing search with units of the same building collapsed into one
+ * result. Standalone listings come back as `{ type: 'property', ...property }`,
+ * buildings as `{ type: 'building', building, units, unitCount, rentRange, bedrooms }`.
+ */
+const findGroupedByBuilding = async (query, { sort, page, limit }) => {
+  const descending = sort.startsWith('-');
+  const sortField = descending ? sort.slice(1) : sort;
+  // Groups are ordered by their lowest rent or newest unit
+  const groupSortField = sortField === 'pricing.rent' ? 'minRent' : 'latest';
+
+  const [result] = await Property.aggregate([
+    { $match: query },
+    { $sort: { 'pricing.rent': 1 } },
+    {
+      $group: {
+        _id: { $ifNull: ['$building', '$_id'] },
+        building: { $first: '$building' },
+        first: { $first: '$$ROOT' },
+        units: {
+          $push: {
+            _id: '$_id',
+            title: '$title',
+            unitNumber: '$unitNumber',
+            pricing: '$pricing',
+            specifications: '$specifications'
+          }
+        },
+        minRent: { $min: '$pricing.rent' },
+        latest: { $max: '$createdAt' }
+      }
+    },
+    { $sort: { [groupSortField]: descending ? -1 : 1, _id: 1 } },
+    {
+      $facet: {
+        results: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const groups = result.results;
+  const buildingIds = groups.filter(group => group.building).map(group => group.building);
+  const buildings = await Building.find({ _id: { $in: buildingIds } })
+    .select('name address images amenities')
+    .lean();
+  const buildingsById = new Map(buildings.map(building => [String(building._id), building]));
+
+  const results = groups.map(group => {
+    const building = group.building && buildingsById.get(String(group.building));
+    if (!building) {
+      return { type: 'property', ...group.first };
+    }
+    return {
+      type: 'building',
+      _id: building._id,
+      building,
+      units: group.units,
+      ...summarizeUnits(group.units)
+    };
+  });
+
+  return { results, total: result.total[0] ? result.total[0].count : 0 };
+};
+
+// Get any of the landlord's own listings for editing, whatever its status or schedule
+router.get('/:id/edit', auth, async (req, res) => {
+  try {
+    const property = await Property.findOne({ _id: req.params.id, deletedAt: null }).lean();
+
+    if (!property) {
+      return res.status(404).json({ success: false, message: 'Property not found' });
+    }
+
+    if (property.landlord.toString() !== req.user.userId) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    res.json({ success: true, data: property });
+  } catch (error) {
+    console.error('Error fetching property for editing:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ success: false, message: 'Invalid property ID' });
+    }
+    res.status(500).json({ success: false, message: 'Failed to fetch property' });
+  }
+});
+
 // Get a single property by ID
 router.get('/:id', async (req, res) => {
   try {
-    const property = await Property.findOne({ _id: req.params.id, status: 'active' })
-      .populate('landlord', 'name email profile.phone')
+    // Scheduled listings stay hidden until their publish time
+    const property = await Property.findOne({ _id: req.params.id, status: 'active', ...visibleNowFilter() })
+      .populate('landlord', 'name email profile.phone')
+      .populate('building', 'name description images')
+      .lean();
+
+    if (!property) {
+      return res.status(404).json({ message: 'Property not found' });
+    }
+
+    // Units without photos of their own show the building's
+    if (property.building && (!property.images || property.images.length === 0)) {
+      property.images = property.building.images || [];
+    }
+
+    // Increment view count
+    await Property.findByIdAndUpdate(req.params.id, { $inc: { 'analytics.views': 1 } });
+
+    res.json(property);
+  } catch (error) {
+    console.error('Error fetching property:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid property ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a new property
+router.post('/', auth, imageUpload('images'), async (req, res) => {
+  let newImages = [];
+
+  try {
+    const propertyData = JSON.parse(req.body.propertyData || '{}');
+    const confirmDuplicate = isConfirmed(req.body.confirmDuplicate || propertyData.confirmDuplicate);
+    delete propertyData.confirmDuplicate;
+
+    const protectedFields = findProtectedFields(propertyData);
+    if (protectedFields.length > 0) {
+      await removeFiles((req.files || []).map(file => file.path));
+      return res.status(400).json({
+        success: false,
+        message: `The following fields cannot be set: ${protectedFields.join(', ')}`,
+        fields: protectedFields
+      });
+    }
+
+    // Later statuses are only reached through the lifecycle transitions
+    if (propertyData.status !== undefined && !CREATE_STATUSES.includes(propertyData.status)) {
+      await removeFiles((req.files || []).map(file => file.path));
+      return res.status(400).json({
+        success: false,
+        message: `A new listing must be one of: ${CREATE_STATUSES.join(', ')}`
+      });
+    }
+    
+    // Validate required fields
+    if (!propertyData.title || !propertyData.propertyType || !propertyData.address) {
+      await removeFiles((req.files || []).map(file => file.path));
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please provide all required fields (title, propertyType, address)' 
+      });
+    }
+
+    // Set default location if not provided
+    if (!propertyData.location) {
+      propertyData.location = {
+        type: 'Point',
+        coordinates: [0, 0], // Default coordinates (can be updated later)
+        formattedAddress: propertyData.address
+      };
+    } else if (!propertyData.location.coordinates) {
+      // If location exists but no coordinates, add default coordinates
+      propertyData.location.coordinates = [0, 0];
+    }
+
+    // Set the landlord to the current user
+    propertyData.landlord = req.user.userId;
+
+    // Uploaded images replace any in the payload; the first one is the main image
+    newImages = await processUploadedImages(req.files);
+    propertyData.images = newImages;
+    if (newImages.length > 0) {
+      newImages[0].isMain = true;
+    }
+    
+    // Create the property
+    const property = new Property(propertyData);
+
+    const duplicates = await checkDuplicates(property, confirmDuplicate);
+    if (duplicates.length > 0) {
+      await removeImageFiles(newImages);
+      return res.status(409).json({
+        success: false,
+        message: 'This listing looks like one that is already posted. Confirm to post it anyway.',
+        duplicates
+      });
+    }
+
+    await photoMatching.flagPhotoMatches(property, newImages);
+    
+    try {
+      property.recordedBy(req.user.userId);
+      await property.save();
+    } catch (validationError) {
+      console.error('Validation error creating property:', validationError);
+      await removeImageFiles(newImages);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid property data',
+        error: validationError.message,
+        errors: validationError.errors
+      });
+    }
+
+    // Populate the landlord field before sending the response
+    await property.populate('landlord', 'name email');
+    
+    res.status(201).json({
+      success: true,
+      message: 'Property created successfully',
+      data: property
+    });
+  } catch (error) {
+    console.error('Error creating property:', error);
+    await removeFiles((req.files || []).map(file => file.path));
+    await removeImageFiles(newImages);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create property',
+      error: error.message
+    });
+  }
+});
+
+// Update an existing property (partial updates, JSON or multipart)
+router.put('/:id', auth, imageUpload('images'), async (req, res) => {
+  const uploadedFiles = req.files || [];
+  let newImages = [];
+
+  try {
+    let updates;
+    try {
+      updates = parsePropertyPayload(req);
+    } catch (parseError) {
+      await removeFiles(uploadedFiles.map(file => file.path));
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid property data',
+        error: parseError.message
+      });
+    }
+
+    // Status may be requested here (it goes through the transition rules); a
+    // dotted path below it, or any images key, may not
+    const protectedFields = [
+      ...findProtectedFields(updates),
+      ...findKeysUnder(updates, MANAGED_FIELDS).filter(key => key !== 'status')
+    ];
+    if (protectedFields.length > 0) {
+      await removeFiles(uploadedFiles.map(file => file.path));
+      return res.status(400).json({
+        success: false,
+        message: `The following fields cannot be updated: ${protectedFields.join(', ')}`,
+        fields: protectedFields
+      });
+    }
+
+    const property = await Property.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!property) {
+      await removeFiles(uploadedFiles.map(file => file.path));
+      return res.status(404).json({ success: false, message: 'Property not found' });
+    }
+
+    if (property.landlord.toString() !== req.user.userId) {
+      await removeFiles(uploadedFiles.map(file => file.path));
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    // Status changes go through the lifecycle rules
+    const requestedStatus = updates.status;
+    delete updates.status;
+    if (requestedStatus && requestedStatus !== property.status && !canTransition(property.status, requestedStatus)) {
+      await removeFiles(uploadedFiles.map(file => file.path));
+      return res.status(409).json({
+        success: false,
+        message: `Cannot change listing status from '${property.status}' to '${requestedStatus}'`,
+        allowedTransitions: getAllowedTransitions(property.status)
+      });
+    }
+
+    // Images are managed through uploads and `removedImages`, not the payload
+    const removedImageKeys = parseList(updates.removedImages || req.body.removedImages);
+    delete updates.removedImages;
+
+    property.set(flattenUpdates(updates));
+
+    // A status changed by hand replaces any publish schedule not set in the same update
+    if (requestedStatus &&
+        applyStatusChange(property, requestedStatus, { actor: req.user.userId, reason: 'Updated from listing editor' }) &&
+        !Object.prototype.hasOwnProperty.call(updates, 'publishAt')) {
+      property.publishAt = undefined;
+    }
+
+    const removedImages = property.images.filter(image =>
+      removedImageKeys.includes(image._id.toString()) || removedImageKeys.includes(image.url)
+    );
+    removedImages.forEach(image => property.images.pull(image._id));
+
+    newImages = await processUploadedImages(uploadedFiles);
+    property.images.push(...newImages);
+
+    // Keep exactly one main image
+    if (property.images.length > 0 && !property.images.some(image => image.isMain)) {
+      property.images[0].isMain = true;
+    }
+
+    await photoMatching.flagPhotoMatches(property, newImages);
+
+    try {
+      property.recordedBy(req.user.userId);
+      await property.save();
+    } catch (validationError) {
+      if (validationError.name !== 'ValidationError' && validationError.name !== 'CastError') {
+        throw validationError;
+      }
+      console.error('Validation error updating property:', validationError);
+      await removeImageFiles(newImages);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid property data',
+        error: validationError.message,
+        errors: validationError.errors
+      });
+    }
+
+    // Only remove files once the document no longer references them
+    await removeImageFiles(removedImages);
+
+    await property.populate('landlord', 'name email');
+
+    res.json({
+      success: true,
+      message: 'Property updated successfully',
+      data: property
+    });
+  } catch (error) {
+    console.error('Error updating property:', error);
+    await removeFiles(uploadedFiles.map(file => file.path));
+    await removeImageFiles(newImages);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ success: false, message: 'Invalid property ID' });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update property',
+      error: error.message
+    });
+  }
+});
+
+// Get a property's lifecycle status, allowed transitions and history
+router.get('/:id/lifecycle', auth, async (req, res) => {
+  try {
+    const property = await Property.findOne({ _id: req.params.id, deletedAt: null })
+      .select('landlord status statusHistory')
+      .populate('statusHistory.changedBy', 'name email')
       .lean();
 
     if (!property) {
-      return res.status(404).json({ message: 'Property not found' });
+      return res.status(404).json({ success: false, message: 'Property not found' });
     }
 
-    // Increment view count
-    await Property.findByIdAndUpdate(req.params.id, { $inc: { 'analytics.views': 1 } });
+    if (property.landlord.toString() !== req.user.userId) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
 
-    res.json(property);
+    res.json({
+      success: true,
+      data: {
+        status: property.status,
+        allowedTransitions: getAllowedTransitions(property.status),
+        history: property.statusHistory || []
+      }
+    });
   } catch (error) {
-    console.error('Error fetching property:', error);
+    console.error('Error fetching property lifecycle:', error);
     if (error.kind === 'ObjectId') {
-      return res.status(400).json({ message: 'Invalid property ID' });
+      return res.status(400).json({ success: false, message: 'Invalid property ID' });
     }
-    res.status(500).json({ message: 'Server error' });
+    res.status(500).json({ success: false, message: 'Failed to fetch property lifecycle' });
   }
 });
 
-// Create a new property
-router.post('/', auth, upload.array('images', 10), async (req, res) => {
+// Move a property through its lifecycle (publish, mark-pending, mark-rented, deactivate, archive, unarchive)
+router.post('/:id/lifecycle/:action', auth, async (req, res) => {
   try {
-    const propertyData = JSON.parse(req.body.propertyData || '{}');
-    
-    // Validate required fields
-    if (!propertyData.title || !propertyData.propertyType || !propertyData.address) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Please provide all required fields (title, propertyType, address)' 
+    const targetStatus = ACTIONS[req.params.action];
+
+    if (!targetStatus) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown lifecycle action '${req.params.action}'`,
+        actions: Object.keys(ACTIONS)
       });
     }
 
-    // Set default location if not provided
-    if (!propertyData.location) {
-      propertyData.location = {
-        type: 'Point',
-        coordinates: [0, 0], // Default coordinates (can be updated later)
-        formattedAddress: propertyData.address
-      };
-    } else if (!propertyData.location.coordinates) {
-      // If location exists but no coordinates, add default coordinates
-      propertyData.location.coordinates = [0, 0];
+    const property = await Property.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!property) {
+      return res.status(404).json({ success: false, message: 'Property not found' });
     }
 
-    // Set the landlord to the current user
-    propertyData.landlord = req.user.userId;
-    
-    // Create the property
-    const property = new Property(propertyData);
-    
+    if (property.landlord.toString() !== req.user.userId) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    if (!canTransition(property.status, targetStatus)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot change listing status from '${property.status}' to '${targetStatus}'`,
+        allowedTransitions: getAllowedTransitions(property.status)
+      });
+    }
+
+    applyStatusChange(property, targetStatus, {
+      actor: req.user.userId,
+      reason: req.body.reason
+    });
+    // The landlord decided now, so a pending publish schedule no longer applies
+    property.publishAt = undefined;
+
     try {
+      property.recordedBy(req.user.userId);
       await property.save();
     } catch (validationError) {
-      console.error('Validation error creating property:', validationError);
+      if (validationError.name !== 'ValidationError') {
+        throw validationError;
+      }
       return res.status(400).json({
         success: false,
-        message: 'Invalid property data',
+        message: 'Property is not complete enough for this status',
         error: validationError.message,
         errors: validationError.errors
       });
     }
 
-    // If there are images, handle them here
-    if (req.files && req.files.images) {
-      const images = Array.isArray(req.files.images) 
-        ? req.files.images 
-        : [req.files.images];
-      
-      // Process and save images (you'll need to implement this part)
-      // For now, we'll just store the file information
-      property.images = images.map(file => ({
-        url: `/uploads/${file.filename}`,
-        isPrimary: false
-      }));
-      
-      // Set the first image as primary
-      if (property.images.length > 0) {
-        property.images[0].isPrimary = true;
+    res.json({
+      success: true,
+      message: `Property status changed to ${targetStatus}`,
+      data: {
+        status: property.status,
+        allowedTransitions: getAllowedTransitions(property.status),
+        history: property.statusHistory
       }
-      
+    });
+  } catch (error) {
+    console.error('Error changing property status:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ success: false, message: 'Invalid property ID' });
+    }
+    res.status(500).json({ success: false, message: 'Failed to change property status' });
+  }
+});
+
+// Renew a listing for another term; expired listings are published again
+router.post('/:id/renew', auth, async (req, res) => {
+  try {
+    const property = await Property.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!property) {
+      return res.status(404).json({ success: false, message: 'Property not found' });
+    }
+
+    if (property.landlord.toString() !== req.user.userId) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    if (!renewListing(property, req.user.userId)) {
+      return res.status(409).json({
+        success: false,
+        message: `A listing with status '${property.status}' cannot be renewed`
+      });
+    }
+
+    try {
+      property.recordedBy(req.user.userId);
       await property.save();
+    } catch (validationError) {
+      if (validationError.name !== 'ValidationError') {
+        throw validationError;
+      }
+      return res.status(400).json({
+        success: false,
+        message: 'Property is not complete enough to be published',
+        error: validationError.message,
+        errors: validationError.errors
+      });
     }
 
-    // Populate the landlord field before sending the response
-    await property.populate('landlord', 'name email');
-    
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Property created successfully',
+      message: 'Listing renewed',
+      data: {
+        status: property.status,
+        expiresAt: property.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Error renewing property:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ success: false, message: 'Invalid property ID' });
+    }
+    res.status(500).json({ success: false, message: 'Failed to renew property' });
+  }
+});
+
+// Get a property's revision history with field level diffs
+router.get('/:id/revisions', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const property = await Property.findById(req.params.id).select('landlord').lean();
+
+    if (!property) {
+      return res.status(404).json({ success: false, message: 'Property not found' });
+    }
+
+    if (property.landlord.toString() !== req.user.userId) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const [revisions, total] = await Promise.all([
+      PropertyRevision.find({ property: property._id })
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(Number(limit))
+        .populate('actor', 'name email')
+        .lean(),
+      PropertyRevision.countDocuments({ property: property._id })
+    ]);
+
+    res.json({
+      success: true,
+      data: revisions,
+      pagination: {
+        currentPage: Number(page),
+        totalPages: Math.ceil(total / limit),
+        totalResults: total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching property revisions:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ success: false, message: 'Invalid property ID' });
+    }
+    res.status(500).json({ success: false, message: 'Failed to fetch property revisions' });
+  }
+});
+
+// Restore a property to the state it had right after an earlier revision
+router.post('/:id/revisions/:revisionId/revert', auth, async (req, res) => {
+  try {
+    const property = await Property.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!property) {
+      return res.status(404).json({ success: false, message: 'Property not found' });
+    }
+
+    if (property.landlord.toString() !== req.user.userId) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const target = await PropertyRevision.findOne({ _id: req.params.revisionId, property: property._id });
+
+    if (!target) {
+      return res.status(404).json({ success: false, message: 'Revision not found' });
+    }
+
+    const { updates, skipped } = await buildRevertUpdates(property, target);
+
+    // Parents before children so a restored object never overwrites a restored field
+    Object.keys(updates)
+      .sort((a, b) => a.split('.').length - b.split('.').length)
+      .forEach(path => property.set(path, updates[path]));
+
+    property.recordedBy(req.user.userId);
+    property.$locals.revisionAction = 'revert';
+    property.$locals.revertedTo = target._id;
+
+    try {
+      await property.save();
+    } catch (validationError) {
+      if (validationError.name !== 'ValidationError') {
+        throw validationError;
+      }
+      return res.status(400).json({
+        success: false,
+        message: 'This revision cannot be restored because it no longer passes validation',
+        error: validationError.message,
+        errors: validationError.errors
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Property reverted',
+      data: property,
+      restoredFields: Object.keys(updates),
+      skippedFields: skipped
+    });
+  } catch (error) {
+    console.error('Error reverting property:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ success: false, message: 'Invalid ID' });
+    }
+    res.status(500).json({ success: false, message: 'Failed to revert property' });
+  }
+});
+
+// Move a property to the trash (soft delete)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const property = await Property.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!property) {
+      return res.status(404).json({ success: false, message: 'Property not found' });
+    }
+
+    if (property.landlord.toString() !== req.user.userId) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    // Trashed listings are taken off the market; restoring keeps them inactive
+    property.deletedAt = new Date();
+    applyStatusChange(property, 'inactive', {
+      actor: req.user.userId,
+      reason: 'Moved to trash',
+      force: true
+    });
+    property.recordedBy(req.user.userId);
+    await property.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Property moved to trash',
       data: property
     });
   } catch (error) {
-    console.error('Error creating property:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to create property',
-      error: error.message
+    console.error('Error deleting property:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ success: false, message: 'Invalid property ID' });
+    }
+    res.status(500).json({ success: false, message: 'Failed to delete property' });
+  }
+});
+
+// Restore a property from the trash
+router.post('/:id/restore', auth, async (req, res) => {
+  try {
+    const property = await Property.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+    if (!property) {
+      return res.status(404).json({ success: false, message: 'Property not found in trash' });
+    }
+
+    if (property.landlord.toString() !== req.user.userId) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    property.deletedAt = null;
+    property.recordedBy(req.user.userId);
+    await property.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Property restored',
+      data: property
+    });
+  } catch (error) {
+    console.error('Error restoring property:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ success: false, message: 'Invalid property ID' });
+    }
+    res.status(500).json({ success: false, message: 'Failed to restore property' });
+  }
+});
+
+// Permanently delete a trashed property along with its files, messages and saves
+router.delete('/:id/permanent', auth, async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({ success: false, message: 'Property not found' });
+    }
+
+    if (property.landlord.toString() !== req.user.userId) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    if (!property.deletedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Move the property to the trash before deleting it permanently'
+      });
+    }
+
+    const attachments = await Attachment.find({ property: property._id });
+
+    const [messagesResult, , , usersResult] = await Promise.all([
+      Message.deleteMany({ property: property._id }),
+      Attachment.deleteMany({ property: property._id }),
+      PropertyRevision.deleteMany({ property: property._id }),
+      User.updateMany(
+        { savedProperties: property._id },
+        { $pull: { savedProperties: property._id } }
+      )
+    ]);
+
+    await Property.deleteOne({ _id: property._id });
+
+    // Files go last so a failed purge never leaves a listing without its images
+    const filesRemoved = await removeImageFiles([...property.images, ...tourImages(property.virtualTour)]) +
+      await removeAttachmentFiles(attachments);
+
+    res.json({
+      success: true,
+      message: 'Property permanently deleted',
+      data: {
+        propertyId: property._id,
+        messagesRemoved: messagesResult.deletedCount,
+        savedReferencesRemoved: usersResult.modifiedCount,
+        filesRemoved
+      }
     });
+  } catch (error) {
+    console.error('Error purging property:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ success: false, message: 'Invalid property ID' });
+    }
+    res.status(500).json({ success: false, message: 'Failed to permanently delete property' });
   }
 });
 
-// Get all properties with filters
+// Get all properties with filters. Pages by number (page, limit), or by
+// cursor when `cursor` is given: empty for the first page, then the
+// nextCursor of the previous one. Cursor pages count the total only with
+// includeTotal=true.
 router.get('/', async (req, res) => {
   try {
     const {
       page = 1,
       limit = 10,
-      minPrice,
-      maxPrice,
-      bedrooms,
-      propertyType,
-      location,
-      sort = '-createdAt'
+      sort = '-createdAt',
+      groupBy,
+      cursor,
+      includeTotal
     } = req.query;
 
-    // Build query
-    const query = { status: 'active' };
-    
-    // Price filter
-    if (minPrice || maxPrice) {
-      query['pricing.rent'] = {};
-      if (minPrice) query['pricing.rent'].$gte = Number(minPrice);
-      if (maxPrice) query['pricing.rent'].$lte = Number(maxPrice);
-    }
+    // Build query: price, bedrooms, property type, amenities, city, state
+    // and free-text location, matching the faceted search
+    const query = buildSearchQuery(req.query);
 
-    // Bedrooms filter
-    if (bedrooms) {
-      query['specifications.bedrooms'] = Number(bedrooms);
-    }
+    if (cursor !== undefined) {
+      if (groupBy === 'building') {
+        return res.status(400).json({
+          success: false,
+          message: 'Cursor pagination is not available when grouping by building'
+        });
+      }
+
+      const sortSpec = parseSort(sort);
+      const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), 100);
+      let pageQuery = query;
+
+      if (cursor) {
+        const position = decodeCursor(cursor, sortSpec);
+        if (!position) {
+          return res.status(400).json({ success: false, message: 'Invalid cursor' });
+        }
+        pageQuery = { $and: [query, cursorFilter(sortSpec, position)] };
+      }
 
-    // Property type filter
-    if (propertyType) {
-      query.propertyType = propertyType;
+      const properties = await Property.find(pageQuery)
+        .populate('landlord', 'name email profile.phone profile.verified')
+        .sort(sortSpec)
+        .limit(pageSize + 1)
+        .lean();
+      const { results, nextCursor } = paginateResults(properties, pageSize, sortSpec);
+
+      const pagination = { limit: pageSize, nextCursor, hasMore: Boolean(nextCursor) };
+      if (includeTotal === 'true') {
+        pagination.totalResults = await Property.countDocuments(query);
+      }
+
+      return res.json({ success: true, data: results, pagination });
     }
 
-    // Location search
-    if (location) {
-      query.$or = [
-        { 'address.city': new RegExp(location, 'i') },
-        { 'address.state': new RegExp(location, 'i') },
-        { 'address.country': new RegExp(location, 'i') }
-      ];
+    if (groupBy === 'building') {
+      const { results, total } = await findGroupedByBuilding(query, { sort, page: Number(page), limit: Number(limit) });
+      return res.json({
+        success: true,
+        data: results,
+        pagination: {
+          currentPage: Number(page),
+          totalPages: Math.ceil(total / limit),
+          totalResults: total
+        }
+      });
     }
 
     // Execute query with pagination
@@ -497,7 +1759,8 @@ router.get('/user/saved', auth, async (req, res) => {
     // Find properties where the current user has saved them
     const savedProperties = await Property.find({
       _id: { $in: user.savedProperties || [] },
-      status: 'active'
+      status: 'active',
+      ...visibleNowFilter()
     })
     .populate('landlord', 'name email profile.phone profile.verified')
     .lean();
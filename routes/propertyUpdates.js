@@ -1,83 +1,51 @@
 const express = require('express');
 const router = express.Router();
-const multer = require('multer');
-const path = require('path');
 const Property = require('../models/Property');
 const auth = require('../middleware/auth');
+const imageUpload = require('../middleware/imageUpload');
 const { v4: uuidv4 } = require('uuid');
 const fs = require('fs');
+const { processUploadedImages } = require('../services/imageProcessing');
+const { flagPhotoMatches } = require('../services/photoMatching');
+const { removeFiles, removeImageFiles } = require('../utils/uploadFiles');
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const uploadDir = 'uploads/properties/';
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
-    const ext = path.extname(file.originalname).toLowerCase();
-    cb(null, `${req.params.id}-${uniqueSuffix}${ext}`);
-  }
-});
-
-const fileFilter = (req, file, cb) => {
-  const filetypes = /jpe?g|png|webp/;
-  const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
-  const mimetype = filetypes.test(file.mimetype);
-
-  if (extname && mimetype) {
-    return cb(null, true);
-  } else {
-    cb(new Error('Only .jpg, .jpeg, .png, and .webp formats are allowed!'));
-  }
-};
-
-const upload = multer({
-  storage: storage,
-  fileFilter: fileFilter,
-  limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
-});
-
-// @route   POST /api/properties/:id/images
+// @route   POST /api/property-updates/:id/images
 // @desc    Upload property images
 // @access  Private (Landlord)
 router.post(
   '/:id/images',
   auth,
-  upload.array('images', 10), // Max 10 images
+  imageUpload('images'),
   async (req, res) => {
+    let newImages = [];
+
     try {
       const property = await Property.findById(req.params.id);
       
       // Check if property exists
       if (!property) {
+        await removeFiles((req.files || []).map(file => file.path));
         return res.status(404).json({ msg: 'Property not found' });
       }
 
       // Check if user owns the property
-      if (property.landlord.toString() !== req.user.id) {
+      if (property.landlord.toString() !== req.user.userId) {
+        await removeFiles((req.files || []).map(file => file.path));
         return res.status(401).json({ msg: 'Not authorized' });
       }
 
-      // Process uploaded files
-      const newImages = [];
+      // Process uploaded files into resized variants
       if (req.files && req.files.length > 0) {
-        req.files.forEach(file => {
-          // In production, you'd upload to a cloud storage service like S3
-          // For now, we'll just save the path
-          newImages.push({
-            url: `/uploads/properties/${file.filename}`,
-            path: file.path,
-            isMain: property.images.length === 0 // First image is main by default
-          });
-        });
+        newImages = await processUploadedImages(req.files);
+        // First image is main by default
+        if (property.images.length === 0 && newImages.length > 0) {
+          newImages[0].isMain = true;
+        }
 
         // Add new images to property
         property.images = [...property.images, ...newImages];
+        await flagPhotoMatches(property, newImages);
+        property.recordedBy(req.user.userId);
         await property.save();
       }
 
@@ -92,12 +60,13 @@ router.post(
           }
         });
       }
+      await removeImageFiles(newImages);
       res.status(500).send('Server Error');
     }
   }
 );
 
-// @route   DELETE /api/properties/:id/images/:imageId
+// @route   DELETE /api/property-updates/:id/images/:imageId
 // @desc    Delete a property image
 // @access  Private (Landlord)
 router.delete('/:id/images/:imageId', auth, async (req, res) => {
@@ -110,7 +79,7 @@ router.delete('/:id/images/:imageId', auth, async (req, res) => {
     }
 
     // Check if user owns the property
-    if (property.landlord.toString() !== req.user.id) {
+    if (property.landlord.toString() !== req.user.userId) {
       return res.status(401).json({ msg: 'Not authorized' });
     }
 
@@ -133,14 +102,11 @@ router.delete('/:id/images/:imageId', auth, async (req, res) => {
       property.images[0].isMain = true;
     }
 
+    property.recordedBy(req.user.userId);
     await property.save();
 
-    // Delete the file from the filesystem
-    if (fs.existsSync(imageToDelete.path)) {
-      fs.unlink(imageToDelete.path, (err) => {
-        if (err) console.error(`Error deleting file: ${imageToDelete.path}`, err);
-      });
-    }
+    // Delete the file and its variants from the filesystem
+    await removeImageFiles([imageToDelete]);
 
     res.json({ images: property.images });
   } catch (err) {
@@ -149,7 +115,147 @@ router.delete('/:id/images/:imageId', auth, async (req, res) => {
   }
 });
 
-// @route   PUT /api/properties/:id/location
+// Caption and alt text longer than this are rejected
+const MAX_IMAGE_TEXT_LENGTH = 200;
+
+// Load a property for one of the image routes below, or send the error response
+const findOwnedProperty = async (req, res) => {
+  const property = await Property.findById(req.params.id);
+
+  if (!property) {
+    res.status(404).json({ msg: 'Property not found' });
+    return null;
+  }
+
+  if (property.landlord.toString() !== req.user.userId) {
+    res.status(401).json({ msg: 'Not authorized' });
+    return null;
+  }
+
+  return property;
+};
+
+// Saves that replace or reorder the images array are guarded by the document
+// version and bump it, so a concurrent edit fails with a VersionError instead
+// of interleaving. Edits of single image fields are positional updates that
+// mongoose does not version; routes that need the guard call increment().
+const sendImageSaveError = (err, res) => {
+  console.error(err.message);
+  if (err.name === 'VersionError') {
+    return res.status(409).json({ msg: 'Images were changed by another request, please reload and try again' });
+  }
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({ msg: err.message });
+  }
+  if (err.kind === 'ObjectId') {
+    return res.status(404).json({ msg: 'Property not found' });
+  }
+  res.status(500).send('Server Error');
+};
+
+// @route   PUT /api/property-updates/:id/images/order
+// @desc    Reorder property images
+// @access  Private (Landlord)
+router.put('/:id/images/order', auth, async (req, res) => {
+  const { imageIds } = req.body;
+
+  if (!Array.isArray(imageIds)) {
+    return res.status(400).json({ msg: 'imageIds must be an array of image IDs' });
+  }
+
+  try {
+    const property = await findOwnedProperty(req, res);
+    if (!property) return;
+
+    // The new order has to name every image exactly once
+    const currentIds = property.images.map(image => image._id.toString());
+    const requestedIds = imageIds.map(String);
+    if (
+      requestedIds.length !== currentIds.length ||
+      new Set(requestedIds).size !== requestedIds.length ||
+      !requestedIds.every(imageId => currentIds.includes(imageId))
+    ) {
+      return res.status(400).json({ msg: 'imageIds must list every image of the property exactly once' });
+    }
+
+    const imagesById = new Map(property.images.map(image => [image._id.toString(), image.toObject()]));
+    property.images = requestedIds.map(imageId => imagesById.get(imageId));
+
+    property.recordedBy(req.user.userId);
+    await property.save();
+
+    res.json({ images: property.images });
+  } catch (err) {
+    sendImageSaveError(err, res);
+  }
+});
+
+// @route   PATCH /api/property-updates/:id/images/:imageId
+// @desc    Update an image's caption and alt text
+// @access  Private (Landlord)
+router.patch('/:id/images/:imageId', auth, async (req, res) => {
+  const updates = {};
+  for (const field of ['caption', 'alt']) {
+    if (req.body[field] === undefined) continue;
+    if (typeof req.body[field] !== 'string' || req.body[field].length > MAX_IMAGE_TEXT_LENGTH) {
+      return res.status(400).json({ msg: `${field} must be text of at most ${MAX_IMAGE_TEXT_LENGTH} characters` });
+    }
+    updates[field] = req.body[field].trim();
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ msg: 'Provide a caption or alt text to update' });
+  }
+
+  try {
+    const property = await findOwnedProperty(req, res);
+    if (!property) return;
+
+    const image = property.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ msg: 'Image not found' });
+    }
+
+    image.set(updates);
+
+    property.recordedBy(req.user.userId);
+    await property.save();
+
+    res.json({ image });
+  } catch (err) {
+    sendImageSaveError(err, res);
+  }
+});
+
+// @route   PUT /api/property-updates/:id/images/:imageId/main
+// @desc    Make an image the main image; all others lose the flag in the same update
+// @access  Private (Landlord)
+router.put('/:id/images/:imageId/main', auth, async (req, res) => {
+  try {
+    const property = await findOwnedProperty(req, res);
+    if (!property) return;
+
+    if (!property.images.id(req.params.imageId)) {
+      return res.status(404).json({ msg: 'Image not found' });
+    }
+
+    property.images.forEach(image => {
+      image.isMain = image._id.toString() === req.params.imageId;
+    });
+    // The flags are saved as positional updates, which are not versioned; bump
+    // the version so two concurrent requests cannot leave two main images
+    property.increment();
+
+    property.recordedBy(req.user.userId);
+    await property.save();
+
+    res.json({ images: property.images });
+  } catch (err) {
+    sendImageSaveError(err, res);
+  }
+});
+
+// @route   PUT /api/property-updates/:id/location
 // @desc    Update property location
 // @access  Private (Landlord)
 router.put('/:id/location', auth, async (req, res) => {
@@ -169,7 +275,7 @@ router.put('/:id/location', auth, async (req, res) => {
     }
 
     // Check if user owns the property
-    if (property.landlord.toString() !== req.user.id) {
+    if (property.landlord.toString() !== req.user.userId) {
       return res.status(401).json({ msg: 'Not authorized' });
     }
 
@@ -179,6 +285,7 @@ router.put('/:id/location', auth, async (req, res) => {
       coordinates: location.coordinates
     };
 
+    property.recordedBy(req.user.userId);
     await property.save();
     
     res.json(property);
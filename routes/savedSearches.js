@@ -0,0 +1,106 @@
+const express = require('express');
+const SavedSearch = require('../models/SavedSearch');
+const auth = require('../middleware/auth');
+const savedSearchConfig = require('../config/savedSearches');
+const { nextDigestTime } = require('../services/savedSearches');
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['name', 'query', 'filters', 'frequency', 'channel', 'paused'];
+
+const sendError = (res, error, action) => {
+  console.error(`Error ${action}:`, error);
+  if (error.kind === 'ObjectId') {
+    return res.status(400).json({ success: false, message: 'Invalid saved search ID' });
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ success: false, message: error.message, errors: error.errors });
+  }
+  res.status(500).json({ success: false, message: `Failed ${action}` });
+};
+
+// Get the current user's saved searches
+router.get('/', auth, async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.find({ user: req.user.userId }).sort({ createdAt: -1 });
+    res.json({ success: true, data: savedSearches });
+  } catch (error) {
+    sendError(res, error, 'fetching saved searches');
+  }
+});
+
+// Save a search: { name, query, filters, frequency, channel }. Only listings
+// going live from now on are matched.
+router.post('/', auth, async (req, res) => {
+  try {
+    const count = await SavedSearch.countDocuments({ user: req.user.userId });
+    if (count >= savedSearchConfig.maxPerUser) {
+      return res.status(400).json({
+        success: false,
+        message: `You can keep at most ${savedSearchConfig.maxPerUser} saved searches`
+      });
+    }
+
+    const { name, query, filters, frequency, channel } = req.body;
+    const savedSearch = new SavedSearch({ user: req.user.userId, name, query, filters, frequency, channel });
+    savedSearch.nextDigestAt = nextDigestTime(savedSearch.frequency);
+    await savedSearch.save();
+
+    res.status(201).json({ success: true, message: 'Search saved', data: savedSearch });
+  } catch (error) {
+    sendError(res, error, 'saving search');
+  }
+});
+
+// Edit a saved search: name, query, filters, frequency, channel, and paused
+// to pause or resume its alerts
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user.userId });
+    if (!savedSearch) {
+      return res.status(404).json({ success: false, message: 'Saved search not found' });
+    }
+
+    const wasPaused = savedSearch.paused;
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        savedSearch[field] = req.body[field];
+      }
+    });
+
+    const now = new Date();
+    // New criteria, or alerts coming back from a pause, start from now
+    // rather than catching up on listings that went live in the meantime
+    if (savedSearch.isModified('query') || savedSearch.isModified('filters') || (wasPaused && !savedSearch.paused)) {
+      savedSearch.lastCheckedAt = now;
+    }
+    if (savedSearch.isModified('query') || savedSearch.isModified('filters')) {
+      savedSearch.pendingMatches = [];
+    }
+    if (savedSearch.isModified('frequency')) {
+      savedSearch.nextDigestAt = nextDigestTime(savedSearch.frequency, now);
+    }
+
+    await savedSearch.save();
+
+    res.json({ success: true, message: 'Saved search updated', data: savedSearch });
+  } catch (error) {
+    sendError(res, error, 'updating saved search');
+  }
+});
+
+// Delete a saved search
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOneAndDelete({ _id: req.params.id, user: req.user.userId });
+    if (!savedSearch) {
+      return res.status(404).json({ success: false, message: 'Saved search not found' });
+    }
+
+    res.json({ success: true, message: 'Saved search deleted' });
+  } catch (error) {
+    sendError(res, error, 'deleting saved search');
+  }
+});
+
+module.exports = router;
@@ -3,9 +3,21 @@ const Property = require('../models/Property');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
 const marketDataService = require('../services/marketDataService');
+const { visibleNowFilter } = require('../services/listingScheduler');
+const { facetedSearch } = require('../services/propertySearch');
+const { decodeCursor, cursorFilter, paginateResults } = require('../utils/cursorPagination');
+const { parseMapArea, geoWithinConditions, mapSearch } = require('../services/mapSearch');
 
 const router = express.Router();
 
+// Advanced search order; _id keeps pages stable when scores tie
+const ADVANCED_SORT = {
+  personalizedScore: -1,
+  'analytics.views': -1,
+  createdAt: -1,
+  _id: -1
+};
+
 // Natural language search endpoint
 router.post('/natural-search', async (req, res) => {
   try {
@@ -19,7 +31,8 @@ router.post('/natural-search', async (req, res) => {
     let properties = await Property.find(
       { 
         $text: { $search: query },
-        status: 'active' 
+        status: 'active',
+        ...visibleNowFilter()
       },
       { score: { $meta: 'textScore' } }
     )
@@ -30,7 +43,8 @@ router.post('/natural-search', async (req, res) => {
 
     const total = await Property.countDocuments({ 
       $text: { $search: query },
-      status: 'active' 
+      status: 'active',
+      ...visibleNowFilter()
     });
 
     // Add pricing analysis for properties without prices
@@ -90,9 +104,23 @@ router.post('/advanced', auth, async (req, res) => {
       filters,
       location,
       radius = 10,
+      bounds,
+      polygon,
       page = 1,
-      limit = 12
+      limit = 12,
+      cursor,
+      includeTotal = false
     } = req.body;
+    // Cursor mode: cursor is '' for the first page, then the previous nextCursor
+    const cursorMode = cursor !== undefined && cursor !== null;
+    let position = null;
+
+    if (cursorMode && cursor) {
+      position = decodeCursor(cursor, ADVANCED_SORT);
+      if (!position) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+    }
 
     const user = await User.findById(req.user.userId);
     
@@ -100,7 +128,7 @@ router.post('/advanced', auth, async (req, res) => {
     const pipeline = [];
     
     // Match stage
-    const matchStage = { status: 'active' };
+    const matchStage = { status: 'active', ...visibleNowFilter() };
     
     if (filters.minRent || filters.maxRent) {
       matchStage['pricing.rent'] = {};
@@ -129,9 +157,17 @@ router.post('/advanced', auth, async (req, res) => {
       matchStage.$text = { $search: query };
     }
     
-    // Geospatial search
-    if (location && location.coordinates) {
-      matchStage['address.coordinates'] = {
+    // Map area search: the viewport ([west, south, east, north]) and/or a
+    // drawn polygon ([[lng, lat], ...]); takes the place of the radius search
+    if (bounds || polygon) {
+      const area = parseMapArea({ bbox: bounds, polygon });
+      if (area.error) {
+        return res.status(400).json({ message: area.error });
+      }
+      matchStage.$and = geoWithinConditions(area);
+    } else if (location && location.coordinates) {
+      // Geospatial search
+      matchStage.location = {
         $near: {
           $geometry: {
             type: 'Point',
@@ -178,19 +214,22 @@ router.post('/advanced', auth, async (req, res) => {
       }
     });
     
+    // Resume after the cursor position
+    if (position) {
+      pipeline.push({ $match: cursorFilter(ADVANCED_SORT, position) });
+    }
+    
     // Sort by personalized score and relevance
-    pipeline.push({
-      $sort: {
-        personalizedScore: -1,
-        'analytics.views': -1,
-        createdAt: -1
-      }
-    });
+    pipeline.push({ $sort: ADVANCED_SORT });
     
     // Pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    pipeline.push({ $skip: skip });
-    pipeline.push({ $limit: parseInt(limit) });
+    if (cursorMode) {
+      pipeline.push({ $limit: parseInt(limit) + 1 });
+    } else {
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      pipeline.push({ $skip: skip });
+      pipeline.push({ $limit: parseInt(limit) });
+    }
     
     // Populate landlord
     pipeline.push({
@@ -209,20 +248,39 @@ router.post('/advanced', auth, async (req, res) => {
       $unwind: '$landlord'
     });
     
-    const properties = await Property.aggregate(pipeline);
+    let properties = await Property.aggregate(pipeline);
+    let pagination;
     
-    // Get total count for pagination
-    const countPipeline = pipeline.slice(0, -3); // Remove skip, limit, and lookup stages
-    countPipeline.push({ $count: 'total' });
-    const totalResult = await Property.aggregate(countPipeline);
-    const total = totalResult[0]?.total || 0;
+    // Get total count for pagination, optional when paging by cursor
+    const countTotal = async () => {
+      const totalResult = await Property.aggregate([{ $match: matchStage }, { $count: 'total' }]);
+      return totalResult[0]?.total || 0;
+    };
     
-    // Update user search history
-    user.searchHistory.push({
-      query: query || '',
-      filters,
-      timestamp: new Date()
-    });
+    if (cursorMode) {
+      const { results, nextCursor } = paginateResults(properties, parseInt(limit), ADVANCED_SORT);
+      properties = results;
+      pagination = { limit: parseInt(limit), nextCursor, hasMore: Boolean(nextCursor) };
+      if (includeTotal) {
+        pagination.total = await countTotal();
+      }
+    } else {
+      const total = await countTotal();
+      pagination = {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total
+      };
+    }
+    
+    // Update user search history; later cursor pages continue the same search
+    if (!position) {
+      user.searchHistory.push({
+        query: query || '',
+        filters,
+        timestamp: new Date()
+      });
+    }
     
     // Keep only last 50 searches
     if (user.searchHistory.length > 50) {
@@ -233,11 +291,7 @@ router.post('/advanced', auth, async (req, res) => {
     
     res.json({
       properties,
-      pagination: {
-        current: parseInt(page),
-        pages: Math.ceil(total / parseInt(limit)),
-        total
-      },
+      pagination,
       searchMetadata: {
         query,
         filters,
@@ -246,10 +300,61 @@ router.post('/advanced', auth, async (req, res) => {
     });
   } catch (error) {
     console.error('Advanced search error:', error);
+    if (error.code === 2 && req.body.polygon) {
+      return res.status(400).json({ message: 'The polygon is not valid. Make sure its edges do not cross.' });
+    }
     res.status(500).json({ message: 'Search service error' });
   }
 });
 
+// Faceted search: a page of results plus counts per property type, bedroom
+// bucket, rent bucket, amenity and city for the current filters.
+// limit=0 returns the counts only.
+router.get('/facets', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = req.query.limit === undefined ? 12 : Math.min(Math.max(parseInt(req.query.limit) || 0, 0), 50);
+
+    const { results, total, facets } = await facetedSearch(req.query, { page, limit, sort: req.query.sort });
+
+    res.json({
+      success: true,
+      data: results,
+      facets,
+      pagination: {
+        currentPage: page,
+        totalPages: limit > 0 ? Math.ceil(total / limit) : 0,
+        totalResults: total
+      }
+    });
+  } catch (error) {
+    console.error('Faceted search error:', error);
+    res.status(500).json({ success: false, message: 'Search service error' });
+  }
+});
+
+// Map search: listings inside the viewport (bbox=west,south,east,north)
+// and/or a drawn polygon (polygon=lng,lat;lng,lat;...), with the faceted
+// search filters. Below zoom 13 nearby listings come back as clusters.
+router.get('/map', async (req, res) => {
+  try {
+    const area = parseMapArea(req.query);
+    if (area.error) {
+      return res.status(400).json({ success: false, message: area.error });
+    }
+
+    const data = await mapSearch(req.query, area);
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Map search error:', error);
+    // MongoDB rejects self-intersecting polygons as a bad value
+    if (error.code === 2) {
+      return res.status(400).json({ success: false, message: 'The polygon is not valid. Make sure its edges do not cross.' });
+    }
+    res.status(500).json({ success: false, message: 'Search service error' });
+  }
+});
+
 // Get search suggestions
 router.get('/suggestions', async (req, res) => {
   try {
@@ -264,7 +369,8 @@ router.get('/suggestions', async (req, res) => {
       {
         $match: {
           'address.city': { $regex: q, $options: 'i' },
-          status: 'active'
+          status: 'active',
+          ...visibleNowFilter()
         }
       },
       {
@@ -299,7 +405,8 @@ router.get('/suggestions', async (req, res) => {
       {
         $match: {
           amenities: { $regex: q, $options: 'i' },
-          status: 'active'
+          status: 'active',
+          ...visibleNowFilter()
         }
       },
       {
@@ -433,7 +540,8 @@ router.get('/comparables', async (req, res) => {
     const query = {
       'address.city': new RegExp(city, 'i'),
       'address.state': new RegExp(state, 'i'),
-      status: 'active'
+      status: 'active',
+      ...visibleNowFilter()
     };
     
     if (bedrooms) {
@@ -482,7 +590,7 @@ router.post('/smart-recommendations', auth, async (req, res) => {
     const user = await User.findById(req.user.userId);
     
     // Build smart query based on preferences and market data
-    const query = { status: 'active' };
+    const query = { status: 'active', ...visibleNowFilter() };
     
     if (location.city && location.state) {
       query['address.city'] = new RegExp(location.city, 'i');
@@ -549,7 +657,8 @@ async function getComparableProperties(city, state, bedrooms, propertyType) {
   const query = {
     'address.city': new RegExp(city, 'i'),
     'address.state': new RegExp(state, 'i'),
-    status: 'active'
+    status: 'active',
+    ...visibleNowFilter()
   };
   
   if (bedrooms) {
@@ -572,7 +681,8 @@ async function calculateMarketStats(city, state, bedrooms, propertyType) {
   const query = {
     'address.city': new RegExp(city, 'i'),
     'address.state': new RegExp(state, 'i'),
-    status: 'active'
+    status: 'active',
+    ...visibleNowFilter()
   };
   
   if (bedrooms) {
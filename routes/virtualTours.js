@@ -0,0 +1,290 @@
+const express = require('express');
+const Property = require('../models/Property');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const imageUpload = require('../middleware/imageUpload');
+const {
+  MAX_SCENES,
+  validateTour,
+  removeLinksTo,
+  tourImages,
+  findFloorPlan,
+  serializeTour
+} = require('../services/virtualTours');
+const { processUploadedImages } = require('../services/imageProcessing');
+const { removeFiles, removeImageFiles } = require('../utils/uploadFiles');
+const { isOwner, findViewableProperty } = require('../utils/propertyAccess');
+
+// Mounted at /api/properties/:id/tour
+const router = express.Router({ mergeParams: true });
+
+const SCENE_FIELDS = ['title', 'room', 'kind', 'initialView', 'hotspots', 'floorPlanPin'];
+
+// Load the listing for its landlord, or send 404/403
+const findOwnedProperty = async (req, res) => {
+  const property = await Property.findOne({ _id: req.params.id, deletedAt: null });
+
+  if (!property) {
+    res.status(404).json({ success: false, message: 'Property not found' });
+    return null;
+  }
+
+  if (!isOwner(property, req.user)) {
+    res.status(403).json({ success: false, message: 'Access denied' });
+    return null;
+  }
+
+  return property;
+};
+
+const findScene = (property, sceneId) => {
+  return property.virtualTour ? property.virtualTour.scenes.id(sceneId) : null;
+};
+
+// Validate the tour and save it. Sends the error response and returns false
+// when the tour cannot be saved.
+const saveTour = async (property, req, res) => {
+  const errors = validateTour(property.virtualTour);
+  if (errors.length > 0) {
+    res.status(400).json({ success: false, message: errors[0].message, errors });
+    return false;
+  }
+
+  try {
+    property.recordedBy(req.user.userId);
+    await property.save();
+    return true;
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      res.status(409).json({ success: false, message: 'The tour was changed by another request. Reload and try again.' });
+      return false;
+    }
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      res.status(400).json({ success: false, message: error.message, errors: error.errors });
+      return false;
+    }
+    throw error;
+  }
+};
+
+const sendTour = async (res, property, message) => {
+  res.json({
+    success: true,
+    message,
+    data: property.virtualTour ? await serializeTour(property.virtualTour) : null
+  });
+};
+
+const sendError = (res, error, action) => {
+  console.error(`Error ${action}:`, error);
+  if (error.kind === 'ObjectId') {
+    return res.status(400).json({ success: false, message: 'Invalid ID' });
+  }
+  res.status(500).json({ success: false, message: `Failed ${action}` });
+};
+
+// Get the virtual tour of a listing
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const property = await findViewableProperty(req, res, 'landlord status virtualTour');
+    if (!property) return;
+
+    await sendTour(res, property);
+  } catch (error) {
+    sendError(res, error, 'fetching virtual tour');
+  }
+});
+
+// Update tour settings: { externalUrl, floorPlan } (null clears either)
+router.put('/', auth, async (req, res) => {
+  try {
+    const property = await findOwnedProperty(req, res);
+    if (!property) return;
+
+    if (!property.virtualTour) {
+      property.virtualTour = { scenes: [] };
+    }
+    const tour = property.virtualTour;
+
+    if (req.body.externalUrl !== undefined) {
+      const externalUrl = req.body.externalUrl || undefined;
+      if (externalUrl && !/^https?:\/\//i.test(externalUrl)) {
+        return res.status(400).json({ success: false, message: 'The tour link must start with http:// or https://' });
+      }
+      tour.externalUrl = externalUrl;
+    }
+
+    if (req.body.floorPlan !== undefined) {
+      if (req.body.floorPlan) {
+        const { attachment, error } = await findFloorPlan(property._id, req.body.floorPlan);
+        if (error) {
+          return res.status(400).json({ success: false, message: error });
+        }
+        tour.floorPlan = attachment._id;
+      } else {
+        tour.floorPlan = undefined;
+        tour.scenes.forEach(scene => {
+          scene.floorPlanPin = undefined;
+        });
+      }
+    }
+
+    if (!await saveTour(property, req, res)) return;
+    await sendTour(res, property, 'Virtual tour updated');
+  } catch (error) {
+    sendError(res, error, 'updating virtual tour');
+  }
+});
+
+// Delete the whole tour and its scene images
+router.delete('/', auth, async (req, res) => {
+  try {
+    const property = await findOwnedProperty(req, res);
+    if (!property) return;
+
+    const images = tourImages(property.virtualTour);
+    property.virtualTour = undefined;
+    property.recordedBy(req.user.userId);
+    await property.save();
+
+    // Only remove files once the document no longer references them
+    await removeImageFiles(images);
+
+    res.json({ success: true, message: 'Virtual tour deleted', data: null });
+  } catch (error) {
+    sendError(res, error, 'deleting virtual tour');
+  }
+});
+
+// Add a scene (multipart: image, title, room, kind)
+router.post('/scenes', auth, imageUpload('image', 1), async (req, res) => {
+  const uploadedFiles = req.files || [];
+  let newImages = [];
+
+  try {
+    const property = await findOwnedProperty(req, res);
+    if (!property) {
+      await removeFiles(uploadedFiles.map(file => file.path));
+      return;
+    }
+
+    if (uploadedFiles.length === 0) {
+      return res.status(400).json({ success: false, message: 'Upload a photo or panorama for the scene' });
+    }
+
+    if (!property.virtualTour) {
+      property.virtualTour = { scenes: [] };
+    }
+    if (property.virtualTour.scenes.length >= MAX_SCENES) {
+      await removeFiles(uploadedFiles.map(file => file.path));
+      return res.status(400).json({ success: false, message: `A tour can have at most ${MAX_SCENES} scenes` });
+    }
+
+    newImages = await processUploadedImages(uploadedFiles);
+    if (newImages.length === 0) {
+      return res.status(400).json({ success: false, message: 'The image could not be processed' });
+    }
+
+    property.virtualTour.scenes.push({
+      title: req.body.title,
+      room: req.body.room,
+      kind: req.body.kind,
+      image: { url: newImages[0].url, variants: newImages[0].variants }
+    });
+
+    if (!await saveTour(property, req, res)) {
+      await removeImageFiles(newImages);
+      return;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Scene added',
+      data: property.virtualTour.scenes[property.virtualTour.scenes.length - 1]
+    });
+  } catch (error) {
+    await removeFiles(uploadedFiles.map(file => file.path));
+    await removeImageFiles(newImages);
+    sendError(res, error, 'adding scene');
+  }
+});
+
+// Reorder scenes: { sceneIds } must list every scene exactly once
+router.put('/scenes/order', auth, async (req, res) => {
+  try {
+    const property = await findOwnedProperty(req, res);
+    if (!property) return;
+
+    const scenes = property.virtualTour ? property.virtualTour.scenes : [];
+    const { sceneIds } = req.body;
+    const currentIds = scenes.map(scene => scene._id.toString());
+
+    if (
+      !Array.isArray(sceneIds) ||
+      sceneIds.length !== currentIds.length ||
+      new Set(sceneIds).size !== sceneIds.length ||
+      !sceneIds.every(id => currentIds.includes(String(id)))
+    ) {
+      return res.status(400).json({ success: false, message: 'sceneIds must list every scene of the tour exactly once' });
+    }
+
+    property.virtualTour.scenes = sceneIds.map(id => scenes.id(id));
+
+    if (!await saveTour(property, req, res)) return;
+    await sendTour(res, property, 'Scenes reordered');
+  } catch (error) {
+    sendError(res, error, 'reordering scenes');
+  }
+});
+
+// Update a scene: title, room, kind, initialView, hotspots (replaces all)
+// and floorPlanPin (null removes it)
+router.patch('/scenes/:sceneId', auth, async (req, res) => {
+  try {
+    const property = await findOwnedProperty(req, res);
+    if (!property) return;
+
+    const scene = findScene(property, req.params.sceneId);
+    if (!scene) {
+      return res.status(404).json({ success: false, message: 'Scene not found' });
+    }
+
+    SCENE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        scene[field] = req.body[field] === null ? undefined : req.body[field];
+      }
+    });
+
+    if (!await saveTour(property, req, res)) return;
+
+    res.json({ success: true, message: 'Scene updated', data: scene });
+  } catch (error) {
+    sendError(res, error, 'updating scene');
+  }
+});
+
+// Delete a scene, the hotspots leading to it and its image
+router.delete('/scenes/:sceneId', auth, async (req, res) => {
+  try {
+    const property = await findOwnedProperty(req, res);
+    if (!property) return;
+
+    const scene = findScene(property, req.params.sceneId);
+    if (!scene) {
+      return res.status(404).json({ success: false, message: 'Scene not found' });
+    }
+
+    const image = scene.image.toObject();
+    removeLinksTo(property.virtualTour, scene._id);
+    property.virtualTour.scenes.pull(scene._id);
+
+    if (!await saveTour(property, req, res)) return;
+    await removeImageFiles([image]);
+
+    await sendTour(res, property, 'Scene deleted');
+  } catch (error) {
+    sendError(res, error, 'deleting scene');
+  }
+});
+
+module.exports = router;
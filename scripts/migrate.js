@@ -0,0 +1,74 @@
+// scripts/migrate.js
+//
+// Usage:
+//   node scripts/migrate.js status
+//   node scripts/migrate.js up [--to=<version>] [--dry-run]
+//   node scripts/migrate.js down [--steps=<n> | --to=<version>] [--dry-run]
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { getStatus, migrateUp, migrateDown } = require('../services/migrationRunner');
+
+const parseArgs = (argv) => {
+  const [command = 'status', ...rest] = argv;
+  const options = { dryRun: false };
+
+  rest.forEach(arg => {
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+      return;
+    }
+    const match = arg.match(/^--(to|steps)=(\d+)$/);
+    if (!match) {
+      throw new Error(`Unknown option '${arg}'`);
+    }
+    options[match[1]] = Number(match[2]);
+  });
+
+  return { command, options };
+};
+
+async function run() {
+  let exitCode = 0;
+
+  try {
+    const { command, options } = parseArgs(process.argv.slice(2));
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/house-rental', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    if (command === 'status') {
+      const status = await getStatus();
+      if (status.length === 0) {
+        console.log('No migrations found');
+      }
+      status.forEach(migration => {
+        const version = String(migration.version).padStart(3, '0');
+        const appliedAt = migration.appliedAt ? ` (${new Date(migration.appliedAt).toISOString()})` : '';
+        console.log(`${migration.status.padEnd(8)} ${version}-${migration.name}${appliedAt}`);
+      });
+    } else if (command === 'up') {
+      const applied = await migrateUp(options);
+      console.log(applied.length === 0
+        ? 'Database is up to date'
+        : `${options.dryRun ? 'Would apply' : 'Applied'} ${applied.length} migration(s)`);
+    } else if (command === 'down') {
+      const rolledBack = await migrateDown(options);
+      console.log(rolledBack.length === 0
+        ? 'Nothing to roll back'
+        : `${options.dryRun ? 'Would roll back' : 'Rolled back'} ${rolledBack.length} migration(s)`);
+    } else {
+      throw new Error(`Unknown command '${command}', expected status, up or down`);
+    }
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+
+  process.exit(exitCode);
+}
+
+run();
@@ -0,0 +1,176 @@
+// scripts/migrateStorage.js
+//
+// Moves uploaded files from one storage driver to another and rewrites the
+// image URLs stored on properties, buildings and virtual tour scenes.
+// Attachments store keys, not URLs, so they only need their files copied.
+//
+// Usage:
+//   node scripts/migrateStorage.js --from=local --to=s3 [--delete-source] [--dry-run]
+//
+//   --delete-source  remove each file from the source once it is copied and
+//                    no document points at the source anymore
+//   --dry-run        only report what would be copied and rewritten
+//
+// Switch STORAGE_DRIVER to the target driver once this has finished.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Property = require('../models/Property');
+const Building = require('../models/Building');
+const { createStorage } = require('../services/storage');
+
+const parseArgs = (argv) => {
+  const options = { deleteSource: false, dryRun: false };
+
+  argv.forEach(arg => {
+    const match = arg.match(/^--(from|to)=(\w+)$/);
+    if (match) {
+      options[match[1]] = match[2];
+    } else if (arg === '--delete-source') {
+      options.deleteSource = true;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else {
+      throw new Error(`Unknown option '${arg}'`);
+    }
+  });
+
+  if (!options.from || !options.to || options.from === options.to) {
+    throw new Error('Pass two different drivers with --from=<driver> --to=<driver>');
+  }
+
+  return options;
+};
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf'
+};
+
+const contentTypeFor = (key) => CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+/**
+ * Copy every file of the source that the target does not have yet
+ * @returns {Promise<string[]>} Keys found in the source
+ */
+async function copyFiles(source, target, options) {
+  const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'storage-migration-'));
+  const keys = [];
+  let copied = 0;
+
+  try {
+    for await (const { key } of source.list()) {
+      keys.push(key);
+      if (await target.exists(key)) continue;
+
+      if (options.dryRun) {
+        console.log(`  Would copy ${key}`);
+      } else {
+        const localPath = path.join(tempDir, 'file');
+        await source.download(key, localPath);
+        await target.upload(localPath, key, { contentType: contentTypeFor(key) });
+        await fs.promises.unlink(localPath);
+      }
+      copied += 1;
+    }
+  } finally {
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+  }
+
+  console.log(`${options.dryRun ? 'Would copy' : 'Copied'} ${copied} of ${keys.length} files`);
+  return keys;
+}
+
+/**
+ * Point image and variant URLs of a model at the target driver
+ * @param {string} [field='images'] - Array path holding the images
+ * @param {Function} [getImage] - Image object of an array entry
+ * @returns {Promise<number>} Number of documents updated
+ */
+async function rewriteUrls(Model, source, target, options, field = 'images', getImage = entry => entry) {
+  const moveUrl = (url) => {
+    const key = source.keyFromUrl(url);
+    return key ? target.getUrl(key) : url;
+  };
+  const getEntries = doc => field.split('.').reduce((node, key) => (node ? node[key] : undefined), doc) || [];
+
+  let updated = 0;
+  const cursor = Model.find({ [`${field}.0`]: { $exists: true } }).select(field).lean().cursor();
+
+  for await (const doc of cursor) {
+    let changed = false;
+    const entries = getEntries(doc).map(entry => {
+      const image = getImage(entry);
+      const moved = {
+        ...image,
+        url: moveUrl(image.url),
+        variants: (image.variants || []).map(variant => ({ ...variant, url: moveUrl(variant.url) }))
+      };
+      changed = changed ||
+        moved.url !== image.url ||
+        moved.variants.some((variant, index) => variant.url !== image.variants[index].url);
+      return entry === image ? moved : { ...entry, image: moved };
+    });
+
+    if (!changed) continue;
+    updated += 1;
+    if (!options.dryRun) {
+      // Bypasses revision tracking: moving files is not an edit of the listing
+      await Model.updateOne({ _id: doc._id }, { $set: { [field]: entries } });
+    }
+  }
+
+  console.log(`${options.dryRun ? 'Would update' : 'Updated'} ${updated} ${Model.modelName.toLowerCase()} documents (${field})`);
+  return updated;
+}
+
+async function run() {
+  let exitCode = 0;
+
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const source = createStorage(options.from);
+    const target = createStorage(options.to);
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/house-rental', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log(`${options.dryRun ? '[dry run] ' : ''}Moving uploads from ${source.name} to ${target.name}...`);
+    const keys = await copyFiles(source, target, options);
+
+    for (const Model of [Property, Building]) {
+      await rewriteUrls(Model, source, target, options);
+    }
+    await rewriteUrls(Property, source, target, options, 'virtualTour.scenes', scene => scene.image);
+
+    if (options.deleteSource) {
+      let removed = 0;
+      for (const key of keys) {
+        if (!options.dryRun) {
+          await source.remove(key);
+        }
+        removed += 1;
+      }
+      console.log(`${options.dryRun ? 'Would remove' : 'Removed'} ${removed} files from ${source.name}`);
+    }
+
+    console.log('✅ Storage migration complete');
+  } catch (error) {
+    console.error('❌ Storage migration failed:', error.message);
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+
+  process.exit(exitCode);
+}
+
+run();
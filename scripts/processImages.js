@@ -0,0 +1,155 @@
+// scripts/processImages.js
+//
+// Generates resized variants, and perceptual hashes for listing photos, for
+// images uploaded before the image pipeline existed or whose processing
+// failed on upload.
+//
+// Usage:
+//   node scripts/processImages.js [--force] [--dry-run]
+//
+//   --force    regenerate variants and hashes for images that already have them
+//   --dry-run  only report which images would be processed
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Property = require('../models/Property');
+const Building = require('../models/Building');
+const { generateVariants, storeVariants } = require('../services/imageProcessing');
+const { hashImageFile } = require('../services/photoMatching');
+const { getStorage } = require('../services/storage');
+const { UPLOAD_TMP_DIR } = require('../config/upload');
+const { removeImageFiles } = require('../utils/uploadFiles');
+
+const parseArgs = (argv) => {
+  const options = { force: false, dryRun: false };
+
+  argv.forEach(arg => {
+    if (arg === '--force') {
+      options.force = true;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else {
+      throw new Error(`Unknown option '${arg}'`);
+    }
+  });
+
+  return options;
+};
+
+/**
+ * Process the images of every document of a model
+ * @returns {Promise<Object>} Counts of processed, skipped, missing and failed images
+ */
+async function backfillModel(Model, options) {
+  const storage = getStorage();
+  const counts = { processed: 0, skipped: 0, missing: 0, failed: 0 };
+  // Only listing photos are compared with each other
+  const hashes = Boolean(Model.schema.path('images.perceptualHash'));
+  const incomplete = [{ 'variants.0': { $exists: false } }];
+  if (hashes) {
+    incomplete.push({ perceptualHash: { $exists: false } });
+  }
+  const filter = options.force ? { 'images.0': { $exists: true } } : { images: { $elemMatch: { $or: incomplete } } };
+  const cursor = Model.find(filter).select('images').lean().cursor();
+
+  for await (const doc of cursor) {
+    for (const image of doc.images) {
+      const needsVariants = options.force || !(image.variants && image.variants.length > 0);
+      const needsHash = hashes && (options.force || !image.perceptualHash);
+      const key = storage.keyFromUrl(image.url);
+
+      // External URLs have nothing in storage to process
+      if ((!needsVariants && !needsHash) || !key) {
+        counts.skipped += 1;
+        continue;
+      }
+
+      if (!await storage.exists(key)) {
+        console.warn(`  ⚠️  File missing for ${image.url}`);
+        counts.missing += 1;
+        continue;
+      }
+
+      if (options.dryRun) {
+        console.log(`  Would process ${image.url}`);
+        counts.processed += 1;
+        continue;
+      }
+
+      // Variants are generated from a local copy under the original's name,
+      // which storeVariants() derives the variant keys from
+      const tempDir = await fs.promises.mkdtemp(path.join(UPLOAD_TMP_DIR, 'backfill-'));
+      try {
+        const localPath = path.join(tempDir, path.posix.basename(key));
+        await storage.download(key, localPath);
+
+        // Backfilled hashes let new uploads match older photos; the older
+        // listings themselves are not flagged
+        const updates = {};
+        let variants = [];
+        if (needsHash) {
+          const { perceptualHash, hashBands } = await hashImageFile(localPath);
+          updates['images.$.perceptualHash'] = perceptualHash;
+          updates['images.$.hashBands'] = hashBands;
+        }
+        if (needsVariants) {
+          variants = await storeVariants(await generateVariants(localPath), key);
+          updates['images.$.variants'] = variants;
+        }
+
+        const result = await Model.updateOne(
+          { _id: doc._id, 'images._id': image._id },
+          { $set: updates }
+        );
+
+        // The image was removed while we were working on it
+        if (result.matchedCount === 0) {
+          await removeImageFiles([{ variants }]);
+          counts.skipped += 1;
+          continue;
+        }
+        counts.processed += 1;
+      } catch (error) {
+        console.error(`  ❌ Failed to process ${image.url}:`, error.message);
+        counts.failed += 1;
+      } finally {
+        await fs.promises.rm(tempDir, { recursive: true, force: true });
+      }
+    }
+  }
+
+  return counts;
+}
+
+async function run() {
+  let exitCode = 0;
+
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    await fs.promises.mkdir(UPLOAD_TMP_DIR, { recursive: true });
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/house-rental', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    for (const Model of [Property, Building]) {
+      console.log(`${options.dryRun ? '[dry run] ' : ''}Processing ${Model.modelName} images...`);
+      const counts = await backfillModel(Model, options);
+      console.log(`✅ ${Model.modelName}: ${counts.processed} processed, ${counts.skipped} skipped, ${counts.missing} missing files, ${counts.failed} failed`);
+      if (counts.failed > 0) {
+        exitCode = 1;
+      }
+    }
+  } catch (error) {
+    console.error('❌ Image processing failed:', error.message);
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+
+  process.exit(exitCode);
+}
+
+run();
@@ -0,0 +1,74 @@
+// scripts/reconcileUploads.js
+//
+// Reports uploaded files no document references (orphans) and references to
+// files that no longer exist, and deletes orphans older than the grace period.
+//
+// Usage:
+//   node scripts/reconcileUploads.js [--dry-run] [--grace-hours=<hours>]
+//
+//   --dry-run        only report, delete nothing
+//   --grace-hours    keep orphans younger than this (default
+//                    UPLOAD_ORPHAN_GRACE_HOURS or 24)
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { reconcileUploads } = require('../services/uploadReconciliation');
+
+const parseArgs = (argv) => {
+  const options = { dryRun: false };
+
+  argv.forEach(arg => {
+    const match = arg.match(/^--grace-hours=(\d+(?:\.\d+)?)$/);
+    if (match) {
+      options.graceHours = Number(match[1]);
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else {
+      throw new Error(`Unknown option '${arg}'`);
+    }
+  });
+
+  return options;
+};
+
+async function run() {
+  let exitCode = 0;
+
+  try {
+    const options = parseArgs(process.argv.slice(2));
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/house-rental', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    const result = await reconcileUploads(options);
+
+    console.log(`Scanned ${result.scanned} stored files`);
+
+    console.log(`\nOrphaned files: ${result.orphans.length}`);
+    result.orphans.forEach(orphan => {
+      const age = orphan.deletable ? '' : ' (within grace period, kept)';
+      console.log(`  ${orphan.key} - ${orphan.size} bytes, ${new Date(orphan.lastModified).toISOString()}${age}`);
+    });
+
+    console.log(`\nMissing files: ${result.missing.length}`);
+    result.missing.forEach(item => {
+      const referencedBy = item.references.map(reference => `${reference.model} ${reference.id}`).join(', ');
+      console.log(`  ${item.key} - referenced by ${referencedBy}`);
+    });
+
+    const deletable = result.orphans.filter(orphan => orphan.deletable).length;
+    console.log(options.dryRun
+      ? `\n[dry run] Would delete ${deletable} orphaned files`
+      : `\n✅ Deleted ${result.deleted} orphaned files`);
+  } catch (error) {
+    console.error('❌ Upload reconciliation failed:', error.message);
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+
+  process.exit(exitCode);
+}
+
+run();
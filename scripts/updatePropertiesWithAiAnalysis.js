@@ -16,13 +16,13 @@ function isValidCoordinate(coord) {
 
 // Function to fix coordinates if needed
 function fixCoordinates(property) {
-  if (property.address && property.address.coordinates) {
-    const coords = property.address.coordinates.coordinates;
+  if (property.location) {
+    const coords = property.location.coordinates;
     
     // If coordinates are not valid, set to default (0,0)
     if (!isValidCoordinate(coords)) {
       console.log(`Fixing invalid coordinates for property ${property._id}:`, coords);
-      property.address.coordinates = {
+      property.location = {
         type: 'Point',
         coordinates: [0, 0] // Default coordinates
       };
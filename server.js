@@ -11,6 +11,15 @@ const fs = require('fs');
 // Load environment variables
 dotenv.config();
 
+const { startExpirationJob } = require('./services/listingExpiration');
+const { startScheduleJob } = require('./services/listingScheduler');
+const { startReconciliationJob } = require('./services/uploadReconciliation');
+const { startSavedSearchJob } = require('./services/savedSearches');
+const { getStorage } = require('./services/storage');
+
+// Fail at startup, not on the first upload, when file storage is misconfigured
+getStorage();
+
 const app = express();
 
 // Trust first proxy (important for rate limiting behind proxies)
@@ -79,6 +88,12 @@ const connectDB = async () => {
     
     await mongoose.connect(process.env.MONGODB_URI, options);
     console.log('MongoDB connected successfully');
+
+    // Background jobs need the database
+    startExpirationJob();
+    startScheduleJob();
+    startReconciliationJob();
+    startSavedSearchJob();
     
   } catch (error) {
     console.error('MongoDB connection error:', error);
@@ -137,7 +152,12 @@ if (!fs.existsSync(uploadsDir)) {
   }
 }
 
-// Serve static files from uploads directory
+// Listing attachments are only handed out through signed URLs
+app.use('/uploads/attachments', (req, res) => {
+  res.status(404).json({ success: false, message: 'File not found' });
+});
+
+// Serve static files from uploads directory (local storage driver)
 app.use('/uploads', express.static(uploadsDir, {
   setHeaders: (res) => {
     res.set('Cache-Control', 'public, max-age=31536000');
@@ -147,21 +167,33 @@ app.use('/uploads', express.static(uploadsDir, {
 // Routes
 const authRoutes = require('./routes/auth');
 const propertyRoutes = require('./routes/properties');
+const buildingRoutes = require('./routes/buildings');
 const userRoutes = require('./routes/users');
 const aiRoutes = require('./routes/ai');
 const propertyUpdatesRoutes = require('./routes/propertyUpdates');
 const searchRoutes = require('./routes/search');
 const analyticsRoutes = require('./routes/analytics');
 const messagesRoutes = require('./routes/messages');
+const notificationsRoutes = require('./routes/notifications');
+const savedSearchRoutes = require('./routes/savedSearches');
+const filesRoutes = require('./routes/files');
+const attachmentRoutes = require('./routes/attachments');
+const virtualTourRoutes = require('./routes/virtualTours');
 
 app.use('/api/auth', authRoutes);
+app.use('/api/properties/:id/attachments', attachmentRoutes);
+app.use('/api/properties/:id/tour', virtualTourRoutes);
 app.use('/api/properties', propertyRoutes);
+app.use('/api/buildings', buildingRoutes);
 app.use('/api/property-updates', propertyUpdatesRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/search', searchRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/messages', messagesRoutes);
+app.use('/api/notifications', notificationsRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/files', filesRoutes);
 
 // Serve static files from React app in production
 if (process.env.NODE_ENV === 'production') {
@@ -0,0 +1,168 @@
+/**
+ * Attachments Service
+ * Checks and stores documents attached to listings (floor plans, building
+ * rules, disclosures, brochures) and decides who may open them. Files are
+ * handed out through short-lived signed URLs only, so applicants-only files
+ * never have a public link.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const attachmentRules = require('../config/attachments');
+const { detectFormat } = require('./imageValidation');
+const { sanitizeImage } = require('./imageProcessing');
+const { getStorage } = require('./storage');
+const { removeFiles } = require('../utils/uploadFiles');
+const { escapeRegex } = require('../utils/regex');
+
+const CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp'
+};
+
+const EXTENSIONS = {
+  pdf: ['.pdf'],
+  jpeg: ['.jpg', '.jpeg'],
+  png: ['.png'],
+  webp: ['.webp']
+};
+
+/**
+ * Detect an attachment format from the contents of a file
+ * @param {Buffer} buffer - Whole file
+ * @returns {string|null} 'pdf', an image format, or null if unrecognized
+ */
+const detectAttachmentFormat = (buffer) => {
+  // The PDF header may follow a few bytes of junk
+  if (buffer.subarray(0, 1024).toString('latin1').includes('%PDF-')) {
+    return 'pdf';
+  }
+  return detectFormat(buffer);
+};
+
+/**
+ * Validate an uploaded attachment against the rules of its type
+ * @param {Object} file - Multer file ({ path, originalname })
+ * @param {string} type - Attachment type, see config/attachments.js
+ * @returns {Promise<Object>} { format, errors } where errors are { code, message }
+ */
+const validateAttachmentFile = async (file, type) => {
+  const allowed = attachmentRules.types[type];
+  const buffer = await fs.promises.readFile(file.path);
+  const format = detectAttachmentFormat(buffer);
+
+  if (!format || !allowed.includes(format)) {
+    return {
+      format,
+      errors: [{ code: 'unsupported_type', message: `A ${type.replace('_', ' ')} must be one of: ${allowed.join(', ').toUpperCase()}` }]
+    };
+  }
+
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  if (!EXTENSIONS[format].includes(extension)) {
+    return {
+      format,
+      errors: [{ code: 'extension_mismatch', message: `File content is ${format.toUpperCase()} but the name ends in '${extension || 'no extension'}'` }]
+    };
+  }
+
+  if (format === 'pdf') {
+    // Every complete PDF ends with an end-of-file marker
+    if (!buffer.subarray(-1024).toString('latin1').includes('%%EOF')) {
+      return { format, errors: [{ code: 'corrupt', message: 'PDF is damaged or incomplete' }] };
+    }
+  }
+
+  return { format, errors: [] };
+};
+
+/**
+ * Move a validated upload into storage under the listing's prefix. Images
+ * lose their metadata first. The staged file is always removed.
+ * @param {Object} file - Multer file
+ * @param {string} format - Result of validateAttachmentFile()
+ * @param {string} propertyId - Listing the file belongs to
+ * @returns {Promise<Object>} { key, format, contentType, size }
+ */
+const storeAttachment = async (file, format, propertyId) => {
+  const storage = getStorage();
+  const key = `attachments/${propertyId}/${path.basename(file.path)}`;
+
+  try {
+    if (format !== 'pdf') {
+      await sanitizeImage(file.path);
+    }
+    const { size } = await fs.promises.stat(file.path);
+    await storage.upload(file.path, key, { contentType: CONTENT_TYPES[format] });
+
+    return { key, format, contentType: CONTENT_TYPES[format], size };
+  } finally {
+    await removeFiles([file.path]);
+  }
+};
+
+/**
+ * Delete the stored files of attachments, ignoring files already gone
+ * @param {Object[]} attachments - Attachment documents
+ * @returns {Promise<number>} Number of files actually removed
+ */
+const removeAttachmentFiles = async (attachments) => {
+  const storage = getStorage();
+  let removed = 0;
+
+  for (const attachment of attachments) {
+    try {
+      if (await storage.remove(attachment.key)) {
+        removed += 1;
+      }
+    } catch (error) {
+      console.error(`Error deleting attachment file: ${attachment.key}`, error);
+    }
+  }
+
+  return removed;
+};
+
+/**
+ * Whether a user may open applicants-only attachments of a listing: its
+ * landlord, admins, and renters who contacted the landlord about it
+ * @param {Object} property - Property (document or plain object)
+ * @param {Object} [user] - Token payload ({ userId, role }), if signed in
+ * @returns {Promise<boolean>}
+ */
+const canViewRestricted = async (property, user) => {
+  if (!user) return false;
+  if (user.role === 'admin' || String(property.landlord) === String(user.userId)) return true;
+
+  // Inquiries are sent through the contact form, which records the email
+  const account = await User.findById(user.userId).select('email').lean();
+  if (!account || !account.email) return false;
+
+  return Boolean(await Message.exists({
+    property: property._id,
+    'from.email': { $regex: `^${escapeRegex(account.email)}$`, $options: 'i' }
+  }));
+};
+
+/**
+ * Time-limited URL for downloading an attachment
+ * @param {Object} attachment - Attachment document
+ * @returns {Promise<string>}
+ */
+const getAttachmentUrl = (attachment) => {
+  return getStorage().getSignedUrl(attachment.key);
+};
+
+module.exports = {
+  CONTENT_TYPES,
+  detectAttachmentFormat,
+  validateAttachmentFile,
+  storeAttachment,
+  removeAttachmentFiles,
+  canViewRestricted,
+  getAttachmentUrl
+};
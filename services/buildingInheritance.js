@@ -0,0 +1,72 @@
+/**
+ * Building Inheritance Service
+ * Copies shared building data onto its units and summarizes units per building
+ */
+
+// Unit paths always taken from the building; units only override specs,
+// pricing and their own listing text
+const SHARED_PATHS = ['address', 'location', 'policies'];
+
+const toPlain = (value) => {
+  if (!value) return {};
+  return typeof value.toObject === 'function' ? value.toObject() : { ...value };
+};
+
+/**
+ * Copy a building's shared data onto a unit. Amenities are merged: the unit
+ * keeps its own extras on top of the building's.
+ * @param {import('mongoose').Document} unit - Property document (not saved)
+ * @param {Object} building - Building document or plain object
+ * @param {string[]} [previousAmenities=[]] - The building's amenities before an
+ *   update, so amenities the building dropped are dropped from its units too
+ */
+const applyBuildingData = (unit, building, previousAmenities = []) => {
+  const coordinates = building.location && building.location.coordinates
+    ? [...building.location.coordinates]
+    : [0, 0];
+
+  unit.set('address', toPlain(building.address));
+  unit.set('location', { type: 'Point', coordinates });
+  unit.set('policies', toPlain(building.policies));
+
+  const ownAmenities = (unit.amenities || []).filter(amenity => !previousAmenities.includes(amenity));
+  unit.amenities = [...new Set([...(building.amenities || []), ...ownAmenities])];
+};
+
+/**
+ * Whether a unit has to pick up its building's data again before saving
+ * @param {import('mongoose').Document} unit - Property document
+ * @returns {boolean} True when the building or a shared path changed
+ */
+const needsBuildingData = (unit) => {
+  return unit.isNew ||
+    unit.isModified('building') ||
+    unit.isModified('amenities') ||
+    SHARED_PATHS.some(path => unit.isModified(path));
+};
+
+/**
+ * Summarize a building's units for search results and the building page
+ * @param {Object[]} units - Plain unit objects
+ * @returns {{ unitCount: number, rentRange: Object, bedrooms: number[] }} Summary
+ */
+const summarizeUnits = (units) => {
+  const rents = units.map(unit => unit.pricing && unit.pricing.rent).filter(rent => typeof rent === 'number');
+  const bedrooms = [...new Set(units
+    .map(unit => unit.specifications && unit.specifications.bedrooms)
+    .filter(count => typeof count === 'number'))]
+    .sort((a, b) => a - b);
+
+  return {
+    unitCount: units.length,
+    rentRange: rents.length > 0 ? { min: Math.min(...rents), max: Math.max(...rents) } : null,
+    bedrooms
+  };
+};
+
+module.exports = {
+  SHARED_PATHS,
+  applyBuildingData,
+  needsBuildingData,
+  summarizeUnits
+};
@@ -0,0 +1,272 @@
+/**
+ * Duplicate Detection Service
+ * Scores how likely two listings describe the same unit, using the normalized
+ * address, distance between coordinates, title/description text and specs
+ */
+
+const Property = require('../models/Property');
+const { normalizeAddress } = require('../utils/address');
+
+// Score at or above which a candidate is reported as a likely duplicate
+const DUPLICATE_THRESHOLD = 0.6;
+
+// Listings closer than this are considered the same building
+const NEARBY_METERS = 75;
+const EARTH_RADIUS_METERS = 6378100;
+
+const WEIGHTS = {
+  address: 0.4,
+  geo: 0.2,
+  text: 0.25,
+  specs: 0.15
+};
+
+const tokenize = (text) => {
+  return new Set(String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > 2));
+};
+
+/**
+ * Jaccard similarity of the word sets of two texts
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} Similarity between 0 and 1
+ */
+const textSimilarity = (a, b) => {
+  const wordsA = tokenize(a);
+  const wordsB = tokenize(b);
+
+  if (wordsA.size === 0 || wordsB.size === 0) {
+    return 0;
+  }
+
+  let shared = 0;
+  wordsA.forEach(word => {
+    if (wordsB.has(word)) shared += 1;
+  });
+
+  return shared / (wordsA.size + wordsB.size - shared);
+};
+
+const hasCoordinates = (property) => {
+  const coordinates = property.location && property.location.coordinates;
+  return Array.isArray(coordinates) && coordinates.length === 2 && !(coordinates[0] === 0 && coordinates[1] === 0);
+};
+
+/**
+ * Great-circle distance between two listings
+ * @returns {number|null} Distance in meters, or null when either has no coordinates
+ */
+const distanceMeters = (a, b) => {
+  if (!hasCoordinates(a) || !hasCoordinates(b)) {
+    return null;
+  }
+
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const [lng1, lat1] = a.location.coordinates;
+  const [lng2, lat2] = b.location.coordinates;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+};
+
+const specsSimilarity = (a, b) => {
+  const specsA = a.specifications || {};
+  const specsB = b.specifications || {};
+  const checks = [];
+
+  if (a.propertyType && b.propertyType) checks.push(a.propertyType === b.propertyType);
+  if (specsA.bedrooms !== undefined && specsB.bedrooms !== undefined) checks.push(specsA.bedrooms === specsB.bedrooms);
+  if (specsA.bathrooms !== undefined && specsB.bathrooms !== undefined) checks.push(specsA.bathrooms === specsB.bathrooms);
+  if (specsA.squareFootage && specsB.squareFootage) {
+    checks.push(Math.abs(specsA.squareFootage - specsB.squareFootage) / Math.max(specsA.squareFootage, specsB.squareFootage) <= 0.05);
+  }
+
+  return checks.length === 0 ? 0 : checks.filter(Boolean).length / checks.length;
+};
+
+// Different units of the same building share address and location by design
+const isSiblingUnit = (a, b) => {
+  return Boolean(a.building && b.building) &&
+    String(a.building) === String(b.building) &&
+    String(a.unitNumber || '') !== String(b.unitNumber || '');
+};
+
+/**
+ * Score how likely two listings are the same unit
+ * @param {Object} a - Property (document or plain object)
+ * @param {Object} b - Property (document or plain object)
+ * @returns {{ score: number, signals: Object }} Weighted score (0-1) and the individual signals
+ */
+const scorePair = (a, b) => {
+  const keyA = a.addressKey || normalizeAddress(a.address, a.unitNumber);
+  const keyB = b.addressKey || normalizeAddress(b.address, b.unitNumber);
+  const distance = distanceMeters(a, b);
+
+  const signals = {
+    address: keyA && keyB && keyA === keyB ? 1 : 0,
+    geo: distance === null ? 0 : Math.max(0, 1 - distance / NEARBY_METERS),
+    text: textSimilarity(`${a.title || ''} ${a.description || ''}`, `${b.title || ''} ${b.description || ''}`),
+    specs: specsSimilarity(a, b)
+  };
+
+  const score = Object.entries(WEIGHTS).reduce((sum, [signal, weight]) => sum + signals[signal] * weight, 0);
+
+  return {
+    score: Math.round(score * 100) / 100,
+    signals: {
+      ...signals,
+      text: Math.round(signals.text * 100) / 100,
+      geo: Math.round(signals.geo * 100) / 100,
+      specs: Math.round(signals.specs * 100) / 100,
+      distanceMeters: distance === null ? null : Math.round(distance)
+    }
+  };
+};
+
+/**
+ * Find existing listings that look like duplicates of a property
+ * @param {Object} property - Property being created (document or plain object)
+ * @param {Object} [options]
+ * @param {number} [options.threshold=DUPLICATE_THRESHOLD] - Minimum score to report
+ * @param {number} [options.limit=5] - Maximum number of candidates returned
+ * @returns {Promise<Object[]>} Candidates sorted by score, highest first
+ */
+const findDuplicates = async (property, { threshold = DUPLICATE_THRESHOLD, limit = 5 } = {}) => {
+  const addressKey = property.addressKey || normalizeAddress(property.address, property.unitNumber);
+  const or = [];
+
+  if (addressKey) {
+    or.push({ addressKey });
+  }
+
+  if (hasCoordinates(property)) {
+    or.push({
+      'location.coordinates': {
+        $geoWithin: { $centerSphere: [property.location.coordinates, NEARBY_METERS / EARTH_RADIUS_METERS] }
+      }
+    });
+  }
+
+  // Copied listings often move the address but keep the text and specs
+  if (property.address && property.address.city && property.specifications) {
+    or.push({
+      'address.city': property.address.city,
+      'specifications.bedrooms': property.specifications.bedrooms,
+      propertyType: property.propertyType
+    });
+  }
+
+  if (or.length === 0) {
+    return [];
+  }
+
+  const query = {
+    $or: or,
+    deletedAt: null,
+    status: { $nin: ['draft', 'archived'] }
+  };
+  if (property._id) {
+    query._id = { $ne: property._id };
+  }
+
+  const candidates = await Property.find(query)
+    .select('title description landlord propertyType specifications address addressKey location status pricing.rent images building unitNumber createdAt')
+    .limit(100)
+    .lean();
+
+  return candidates
+    .filter(candidate => !isSiblingUnit(property, candidate))
+    .map(candidate => ({ candidate, ...scorePair(property, candidate) }))
+    .filter(result => result.score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ candidate, score, signals }) => ({
+      property: {
+        _id: candidate._id,
+        title: candidate.title,
+        address: candidate.address,
+        status: candidate.status,
+        rent: candidate.pricing && candidate.pricing.rent,
+        image: candidate.images && candidate.images[0] ? candidate.images[0].url : null,
+        createdAt: candidate.createdAt
+      },
+      sameLandlord: String(candidate.landlord) === String(property.landlord),
+      score,
+      signals
+    }));
+};
+
+/**
+ * Report likely duplicates that belong to different landlords
+ * @param {Object} [options]
+ * @param {number} [options.threshold=DUPLICATE_THRESHOLD] - Minimum score to report
+ * @param {number} [options.limit=50] - Maximum number of pairs returned
+ * @returns {Promise<Object[]>} Pairs sorted by score, highest first
+ */
+const findCrossLandlordDuplicates = async ({ threshold = DUPLICATE_THRESHOLD, limit = 50 } = {}) => {
+  const baseMatch = { deletedAt: null, status: { $nin: ['draft', 'archived'] } };
+
+  // Addresses listed by more than one landlord
+  const groups = await Property.aggregate([
+    { $match: { ...baseMatch, addressKey: { $ne: null } } },
+    { $group: { _id: '$addressKey', landlords: { $addToSet: '$landlord' }, ids: { $push: '$_id' } } },
+    { $match: { 'landlords.1': { $exists: true } } },
+    { $limit: 500 }
+  ]);
+
+  // Listings whose landlord confirmed a create despite a duplicate warning
+  const confirmed = await Property.find({ ...baseMatch, 'duplicateCheck.candidates.0': { $exists: true } })
+    .select('_id duplicateCheck.candidates.property')
+    .limit(500)
+    .lean();
+
+  const idSets = [
+    ...groups.map(group => group.ids),
+    ...confirmed.map(property => [property._id, ...property.duplicateCheck.candidates.map(candidate => candidate.property)])
+  ];
+
+  const ids = [...new Set(idSets.flat().map(String))];
+  const properties = await Property.find({ _id: { $in: ids } })
+    .select('title description landlord propertyType specifications address addressKey location status building unitNumber createdAt')
+    .populate('landlord', 'name email')
+    .lean();
+  const byId = new Map(properties.map(property => [String(property._id), property]));
+
+  const pairs = new Map();
+  idSets.forEach(set => {
+    for (let i = 0; i < set.length; i += 1) {
+      for (let j = i + 1; j < set.length; j += 1) {
+        const a = byId.get(String(set[i]));
+        const b = byId.get(String(set[j]));
+        if (!a || !b || String(a.landlord._id) === String(b.landlord._id)) continue;
+
+        const key = [String(a._id), String(b._id)].sort().join(':');
+        if (pairs.has(key)) continue;
+
+        const { score, signals } = scorePair(a, b);
+        if (score >= threshold) {
+          // The older listing is the likely original
+          const [original, duplicate] = a.createdAt <= b.createdAt ? [a, b] : [b, a];
+          pairs.set(key, { original, duplicate, score, signals });
+        }
+      }
+    }
+  });
+
+  return [...pairs.values()].sort((a, b) => b.score - a.score).slice(0, limit);
+};
+
+module.exports = {
+  DUPLICATE_THRESHOLD,
+  textSimilarity,
+  scorePair,
+  findDuplicates,
+  findCrossLandlordDuplicates
+};
@@ -0,0 +1,235 @@
+/**
+ * Image Processing Service
+ * Strips metadata from uploaded images and generates resized variants in JPEG
+ * and WebP so clients can pick a size with srcset instead of downloading the
+ * original
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { removeFiles, removeImageFiles } = require('../utils/uploadFiles');
+const { getStorage } = require('./storage');
+const { hashImageFile } = require('./photoMatching');
+
+// Widths are upper bounds; smaller originals are never enlarged
+const VARIANTS = [
+  { name: 'thumbnail', width: 320 },
+  { name: 'card', width: 640 },
+  { name: 'full', width: 1600 }
+];
+
+const FORMATS = [
+  { format: 'jpeg', extension: 'jpg', options: { quality: 80, mozjpeg: true } },
+  { format: 'webp', extension: 'webp', options: { quality: 75 } }
+];
+
+// Encoder settings for rewriting an original without its metadata
+const SANITIZE_OPTIONS = {
+  jpeg: { quality: 90, mozjpeg: true },
+  png: {},
+  webp: { quality: 90 },
+  gif: {}
+};
+
+/**
+ * Whether an image carries data that must not be served publicly (EXIF with
+ * GPS position and device info, XMP, IPTC, PNG text chunks) or still needs
+ * its EXIF orientation applied to the pixels
+ * @param {Object} metadata - Result of sharp's metadata()
+ * @returns {boolean} True when the file has to be rewritten
+ */
+const needsSanitizing = (metadata) => {
+  return Boolean(
+    metadata.exif ||
+    metadata.xmp ||
+    metadata.iptc ||
+    (metadata.comments && metadata.comments.length > 0) ||
+    (metadata.orientation && metadata.orientation !== 1)
+  );
+};
+
+/**
+ * Rewrite an image in place without metadata or trailing data, rotated
+ * upright. Every file is re-encoded: only the decoded pixels are written back,
+ * so anything hidden next to them is dropped whether or not we can spot it.
+ * @param {string} filePath - Image file
+ * @returns {Promise<void>}
+ * @throws {Error} If the file is not an image format we accept
+ */
+const sanitizeImage = async (filePath) => {
+  const metadata = await sharp(filePath).metadata();
+
+  if (!SANITIZE_OPTIONS[metadata.format]) {
+    throw new Error(`Unsupported image format '${metadata.format}'`);
+  }
+
+  // Animated GIFs/WebPs are kept animated; they carry no EXIF orientation
+  const animated = metadata.pages > 1;
+  const image = sharp(filePath, { animated });
+  const tempPath = `${filePath}.tmp`;
+
+  try {
+    await (animated ? image : image.rotate())
+      .toFormat(metadata.format, SANITIZE_OPTIONS[metadata.format])
+      .toFile(tempPath);
+    // rename() is atomic, so the public URL never serves a partial file
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    await removeFiles([tempPath]);
+    throw error;
+  }
+};
+
+/**
+ * Path of a variant file, next to the original
+ * e.g. /tmp/123-flat.png -> /tmp/123-flat-card.webp
+ */
+const variantPath = (filePath, variant, format) => {
+  const { dir, name } = path.parse(filePath);
+  return path.join(dir, `${name}-${variant.name}.${format.extension}`);
+};
+
+/**
+ * Write all variants of an image next to it on local disk
+ * @param {string} filePath - Local original image
+ * @returns {Promise<Object[]>} Variants as { name, format, width, height, path }
+ * @throws {Error} If the file is missing or not a readable image; variants
+ *   written before the failure are removed again
+ */
+const generateVariants = async (filePath) => {
+  // rotate() applies the EXIF orientation before the metadata is dropped
+  const source = sharp(filePath).rotate();
+  const variants = [];
+
+  try {
+    for (const variant of VARIANTS) {
+      for (const format of FORMATS) {
+        const outputPath = variantPath(filePath, variant, format);
+        const info = await source.clone()
+          .resize({ width: variant.width, withoutEnlargement: true })
+          .toFormat(format.format, format.options)
+          .toFile(outputPath);
+
+        variants.push({
+          name: variant.name,
+          format: format.format,
+          width: info.width,
+          height: info.height,
+          path: outputPath
+        });
+      }
+    }
+  } catch (error) {
+    await removeFiles(variants.map(variant => variant.path));
+    throw error;
+  }
+
+  return variants;
+};
+
+/**
+ * Upload generated variants next to the original's storage key
+ * @param {Object[]} variants - Result of generateVariants()
+ * @param {string} originalKey - Storage key of the original
+ * @returns {Promise<Object[]>} Variants as stored on image subdocuments
+ * @throws {Error} If an upload fails; variants already uploaded are removed
+ */
+const storeVariants = async (variants, originalKey) => {
+  const storage = getStorage();
+  const { dir } = path.posix.parse(originalKey);
+  const stored = [];
+
+  try {
+    for (const variant of variants) {
+      const key = dir ? `${dir}/${path.basename(variant.path)}` : path.basename(variant.path);
+      await storage.upload(variant.path, key, { contentType: `image/${variant.format}` });
+      stored.push({
+        name: variant.name,
+        format: variant.format,
+        url: storage.getUrl(key),
+        width: variant.width,
+        height: variant.height
+      });
+    }
+  } catch (error) {
+    await Promise.all(stored.map(variant => storage.remove(storage.keyFromUrl(variant.url)).catch(() => false)));
+    throw error;
+  }
+
+  return stored;
+};
+
+/**
+ * Turn multer files into image subdocuments with variants and a perceptual
+ * hash, stored through the configured storage driver. Metadata is stripped
+ * before anything is stored; files that cannot be read as images are left
+ * out. A file whose variants fail is kept without them so the upload still
+ * works; `npm run process-images` retries it later. Staged files are always
+ * removed.
+ * @param {Object[]} files - Files from multer's disk storage
+ * @returns {Promise<Object[]>} Image objects { url, isMain, variants,
+ *   perceptualHash, hashBands }
+ * @throws {Error} If storing a file fails; files stored by this call are
+ *   removed again
+ */
+const processUploadedImages = async (files) => {
+  const storage = getStorage();
+  const images = [];
+
+  try {
+    for (const file of files || []) {
+      try {
+        await sanitizeImage(file.path);
+      } catch (error) {
+        console.error(`Rejected upload ${file.originalname || file.path}:`, error.message);
+        continue;
+      }
+
+      let fingerprint = {};
+      try {
+        fingerprint = await hashImageFile(file.path);
+      } catch (error) {
+        console.error(`Error hashing image ${file.originalname || file.path}:`, error.message);
+      }
+
+      let variants = [];
+      try {
+        variants = await generateVariants(file.path);
+      } catch (error) {
+        console.error(`Error generating image variants for ${file.originalname || file.path}:`, error.message);
+      }
+
+      const key = path.basename(file.path);
+      try {
+        await storage.upload(file.path, key, { contentType: file.mimetype });
+        images.push({
+          url: storage.getUrl(key),
+          isMain: false,
+          variants: [],
+          ...fingerprint
+        });
+        images[images.length - 1].variants = await storeVariants(variants, key);
+      } finally {
+        await removeFiles(variants.map(variant => variant.path));
+      }
+    }
+  } catch (error) {
+    await removeImageFiles(images);
+    throw error;
+  } finally {
+    await removeFiles((files || []).map(file => file.path));
+  }
+
+  return images;
+};
+
+module.exports = {
+  VARIANTS,
+  FORMATS,
+  needsSanitizing,
+  sanitizeImage,
+  generateVariants,
+  storeVariants,
+  processUploadedImages
+};
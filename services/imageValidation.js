@@ -0,0 +1,111 @@
+/**
+ * Image Validation Service
+ * Checks uploaded photos by their content: file signature (magic bytes),
+ * a full decode to catch corrupt files and the photo rules in
+ * config/imageRules.js. Data stored next to the image (metadata, trailers)
+ * is not rejected here; it is removed when the upload is re-encoded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const imageRules = require('../config/imageRules');
+
+const SIGNATURES = [
+  { format: 'jpeg', matches: (header) => header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff },
+  { format: 'png', matches: (header) => header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { format: 'gif', matches: (header) => ['GIF87a', 'GIF89a'].includes(header.toString('latin1', 0, 6)) },
+  { format: 'webp', matches: (header) => header.toString('latin1', 0, 4) === 'RIFF' && header.toString('latin1', 8, 12) === 'WEBP' }
+];
+
+const EXTENSIONS = {
+  jpeg: ['.jpg', '.jpeg'],
+  png: ['.png'],
+  gif: ['.gif'],
+  webp: ['.webp']
+};
+
+/**
+ * Detect an image format from the first bytes of a file
+ * @param {Buffer} header - At least the first 12 bytes
+ * @returns {string|null} Format name, or null if unrecognized
+ */
+const detectFormat = (header) => {
+  const signature = SIGNATURES.find(item => header.length >= 12 && item.matches(header));
+  return signature ? signature.format : null;
+};
+
+/**
+ * Validate one uploaded image file
+ * @param {Object} file - Multer file ({ path, originalname })
+ * @param {Object} [rules=imageRules] - See config/imageRules.js
+ * @returns {Promise<Object[]>} Errors as { code, message }; empty when valid
+ */
+const validateImageFile = async (file, rules = imageRules) => {
+  const buffer = await fs.promises.readFile(file.path);
+  const format = detectFormat(buffer);
+
+  if (!format || !rules.formats.includes(format)) {
+    return [{ code: 'unsupported_type', message: `Not a supported image. Allowed formats: ${rules.formats.join(', ').toUpperCase()}` }];
+  }
+
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  if (!EXTENSIONS[format].includes(extension)) {
+    return [{ code: 'extension_mismatch', message: `File content is ${format.toUpperCase()} but the name ends in '${extension || 'no extension'}'` }];
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+    // Decode every pixel; libvips reports damaged data such as a missing
+    // part of a JPEG only as a warning, so fail on warnings too
+    await sharp(buffer, { failOn: 'warning' }).stats();
+  } catch (error) {
+    return [{ code: 'corrupt', message: 'Image is damaged or incomplete and could not be read' }];
+  }
+
+  // EXIF orientations 5-8 are stored rotated by 90 degrees
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+  const errors = [];
+
+  if (width < rules.minWidth || height < rules.minHeight) {
+    errors.push({
+      code: 'too_small',
+      message: `Image is ${width}x${height}px; photos must be at least ${rules.minWidth}x${rules.minHeight}px`
+    });
+  }
+
+  const aspectRatio = width / height;
+  if (aspectRatio < rules.minAspectRatio || aspectRatio > rules.maxAspectRatio) {
+    errors.push({
+      code: 'aspect_ratio',
+      message: `Image proportions (${aspectRatio.toFixed(2)}:1) are outside the allowed range of ${rules.minAspectRatio}:1 to ${rules.maxAspectRatio}:1`
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Validate a batch of uploaded files
+ * @param {Object[]} files - Multer files
+ * @returns {Promise<Object[]>} Per-file errors as { file, code, message }
+ */
+const validateImageFiles = async (files) => {
+  const fileErrors = [];
+
+  for (const file of files || []) {
+    const errors = await validateImageFile(file);
+    errors.forEach(error => fileErrors.push({ file: file.originalname, ...error }));
+  }
+
+  return fileErrors;
+};
+
+module.exports = {
+  detectFormat,
+  validateImageFile,
+  validateImageFiles
+};
@@ -0,0 +1,170 @@
+/**
+ * Listing Expiration Service
+ * Periodic job that reminds landlords about expiring listings and moves
+ * expired listings to inactive
+ */
+
+const Property = require('../models/Property');
+const Notification = require('../models/Notification');
+const listingConfig = require('../config/listings');
+const { applyStatusChange, startListingTerm } = require('./propertyLifecycle');
+const { publishTimeReached } = require('./listingScheduler');
+const { recordRevision, updateWithRevisions } = require('./propertyRevisions');
+const { startPeriodicJob } = require('../utils/periodicJob');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let timer = null;
+
+/**
+ * Give active listings created before expiration existed an expiry date.
+ * They get at least the longest reminder window so nobody is deactivated
+ * without a warning.
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of listings updated
+ */
+const backfillExpirations = async (now) => {
+  const longestReminder = Math.max(...listingConfig.reminderDays, 1);
+  const earliest = new Date(now.getTime() + longestReminder * DAY_MS);
+  const properties = await Property.find({ status: 'active', expiresAt: null }).select('updatedAt').lean();
+
+  const operations = properties.map(property => {
+    const fromLastUpdate = new Date(new Date(property.updatedAt || now).getTime() + listingConfig.lifetimeDays * DAY_MS);
+    return {
+      updateOne: {
+        filter: { _id: property._id },
+        update: { $set: { expiresAt: fromLastUpdate > earliest ? fromLastUpdate : earliest, expirationRemindersSent: [] } }
+      }
+    };
+  });
+
+  if (operations.length > 0) {
+    await Property.bulkWrite(operations);
+    // bulkWrite skips the save hooks, so the revisions are recorded here
+    await Promise.all(operations.map(({ updateOne }) => recordRevision({
+      action: 'update',
+      changes: [{ path: 'expiresAt', oldValue: null, newValue: updateOne.update.$set.expiresAt }],
+      property: updateOne.filter._id
+    })));
+  }
+
+  return operations.length;
+};
+
+/**
+ * Send reminders for listings that reached a reminder threshold
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of reminders sent
+ */
+const sendReminders = async (now) => {
+  let sent = 0;
+
+  // Smallest threshold first: a listing that is already inside the 1-day
+  // window gets that reminder only, and the larger thresholds are marked sent
+  for (const days of listingConfig.reminderDays) {
+    const properties = await Property.find({
+      status: 'active',
+      deletedAt: null,
+      expiresAt: { $gt: now, $lte: new Date(now.getTime() + days * DAY_MS) },
+      publishAt: publishTimeReached(now),
+      expirationRemindersSent: { $ne: days }
+    }).select('title landlord expiresAt').lean();
+
+    for (const property of properties) {
+      const daysLeft = Math.max(1, Math.ceil((new Date(property.expiresAt) - now) / DAY_MS));
+
+      await Notification.create({
+        user: property.landlord,
+        type: 'listing_expiring',
+        title: 'Listing expiring soon',
+        message: `"${property.title}" expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}. Renew it to keep it visible to renters.`,
+        property: property._id
+      });
+
+      await updateWithRevisions(
+        { _id: property._id },
+        { $addToSet: { expirationRemindersSent: { $each: listingConfig.reminderDays.filter(threshold => threshold >= days) } } }
+      );
+      sent += 1;
+    }
+  }
+
+  return sent;
+};
+
+/**
+ * Move listings past their expiry date to inactive
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of listings deactivated
+ */
+const expireListings = async (now) => {
+  const properties = await Property.find({
+    status: 'active',
+    deletedAt: null,
+    expiresAt: { $lte: now },
+    publishAt: publishTimeReached(now)
+  });
+
+  for (const property of properties) {
+    applyStatusChange(property, 'inactive', { reason: 'Listing expired' });
+    property.expiredAt = now;
+    await property.save({ validateBeforeSave: false });
+
+    await Notification.create({
+      user: property.landlord,
+      type: 'listing_expired',
+      title: 'Listing expired',
+      message: `"${property.title}" expired and is no longer visible to renters. Renew it to publish it again.`,
+      property: property._id
+    });
+  }
+
+  return properties.length;
+};
+
+/**
+ * Run one expiration cycle
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<{ backfilled: number, reminded: number, expired: number }>} Counts per step
+ */
+const runExpirationCycle = async (now = new Date()) => {
+  const backfilled = await backfillExpirations(now);
+  const reminded = await sendReminders(now);
+  const expired = await expireListings(now);
+  return { backfilled, reminded, expired };
+};
+
+/**
+ * Renew a listing for another term. Expired listings are published again.
+ * @param {import('mongoose').Document} property - Property document (not saved)
+ * @param {string} actor - User ID renewing the listing
+ * @returns {boolean} False if the listing cannot be renewed in its current status
+ */
+const renewListing = (property, actor) => {
+  if (property.status === 'inactive' && property.expiredAt) {
+    applyStatusChange(property, 'active', { actor, reason: 'Listing renewed' });
+    return true;
+  }
+
+  if (['active', 'pending'].includes(property.status)) {
+    startListingTerm(property);
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Start the periodic expiration job. Safe to call more than once.
+ */
+const startExpirationJob = () => {
+  if (!timer) {
+    timer = startPeriodicJob('Listing expiration job', runExpirationCycle, listingConfig.expirationCheckMinutes);
+  }
+};
+
+module.exports = {
+  runExpirationCycle,
+  renewListing,
+  startExpirationJob
+};
@@ -0,0 +1,154 @@
+/**
+ * Listing Scheduler Service
+ * Publishes listings at their publishAt time, takes them down at their
+ * unpublishAt time, and provides the query conditions that keep scheduled
+ * listings out of public results until then
+ */
+
+const Property = require('../models/Property');
+const Notification = require('../models/Notification');
+const listingConfig = require('../config/listings');
+const { applyStatusChange, startListingTerm } = require('./propertyLifecycle');
+const { updateWithRevisions } = require('./propertyRevisions');
+const { startPeriodicJob } = require('../utils/periodicJob');
+
+let timer = null;
+
+/**
+ * publishAt condition matching listings with no schedule or whose publish time has passed
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Object} Condition for the publishAt path
+ */
+const publishTimeReached = (now = new Date()) => ({ $not: { $gt: now } });
+
+/**
+ * Query conditions for listings renters may see right now. Applied on top of
+ * `status: 'active'` so a listing is hidden even if the scheduler is behind.
+ * Listings held for photo review (services/photoMatching.js) are hidden too.
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Object} Conditions to spread into a find/$match query
+ */
+const visibleNowFilter = (now = new Date()) => ({
+  publishAt: publishTimeReached(now),
+  unpublishAt: { $not: { $lte: now } },
+  'photoReview.status': { $nin: ['flagged', 'rejected'] }
+});
+
+const notify = (property, type, title, message) => {
+  return Notification.create({
+    user: property.landlord,
+    type,
+    title,
+    message,
+    property: property._id
+  });
+};
+
+/**
+ * Publish listings whose publishAt time has passed. Only drafts are moved to
+ * active; a schedule left on a listing in any other status is dropped, so a
+ * rented or deactivated listing never goes back live on its own.
+ * @param {Date} now - Current time
+ * @returns {Promise<{ published: number, failed: number }>} Counts
+ */
+const publishDue = async (now) => {
+  const properties = await Property.find({ deletedAt: null, publishAt: { $lte: now } });
+  let published = 0;
+  let failed = 0;
+
+  for (const property of properties) {
+    const wasLive = property.status === 'active';
+
+    if (wasLive) {
+      // Already active but hidden until now: the listing term starts at go-live
+      startListingTerm(property, now);
+      property.activatedAt = now;
+    } else if (property.status === 'draft') {
+      applyStatusChange(property, 'active', { reason: 'Scheduled publish' });
+    }
+    const goesLive = property.status === 'active';
+    property.publishAt = undefined;
+
+    try {
+      await property.save();
+    } catch (error) {
+      if (error.name !== 'ValidationError') {
+        throw error;
+      }
+      // Drop the schedule so an incomplete listing is not retried every run
+      await updateWithRevisions({ _id: property._id }, { $unset: { publishAt: 1 } });
+      await notify(
+        property,
+        'listing_publish_failed',
+        'Scheduled publish failed',
+        `"${property.title || 'Untitled listing'}" could not be published because it is incomplete. Finish the listing and publish it manually.`
+      );
+      failed += 1;
+      continue;
+    }
+
+    if (goesLive) {
+      await notify(property, 'listing_published', 'Listing published', `"${property.title}" is now live.`);
+      published += 1;
+    }
+  }
+
+  return { published, failed };
+};
+
+/**
+ * Take down listings whose unpublishAt time has passed
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of listings taken down
+ */
+const unpublishDue = async (now) => {
+  const properties = await Property.find({ deletedAt: null, unpublishAt: { $lte: now } });
+  let unpublished = 0;
+
+  for (const property of properties) {
+    const changed = ['active', 'pending'].includes(property.status) &&
+      applyStatusChange(property, 'inactive', { reason: 'Scheduled unpublish' });
+    property.unpublishAt = undefined;
+    await property.save({ validateBeforeSave: false });
+
+    if (changed) {
+      await notify(
+        property,
+        'listing_unpublished',
+        'Listing unpublished',
+        `"${property.title}" reached its scheduled end date and is no longer visible to renters.`
+      );
+      unpublished += 1;
+    }
+  }
+
+  return unpublished;
+};
+
+/**
+ * Run one scheduling cycle. Publishing runs first so a listing whose whole
+ * window passed while the scheduler was down still ends up unpublished.
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<{ published: number, failed: number, unpublished: number }>} Counts
+ */
+const runScheduleCycle = async (now = new Date()) => {
+  const { published, failed } = await publishDue(now);
+  const unpublished = await unpublishDue(now);
+  return { published, failed, unpublished };
+};
+
+/**
+ * Start the periodic scheduling job. Safe to call more than once.
+ */
+const startScheduleJob = () => {
+  if (!timer) {
+    timer = startPeriodicJob('Listing scheduler', runScheduleCycle, listingConfig.scheduleCheckMinutes);
+  }
+};
+
+module.exports = {
+  publishTimeReached,
+  visibleNowFilter,
+  runScheduleCycle,
+  startScheduleJob
+};
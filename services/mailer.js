@@ -0,0 +1,44 @@
+/**
+ * Mailer Service
+ * Sends plain-text emails through the driver chosen in config/email.js:
+ * 'log' prints them (development) and 'http' posts them to an email API
+ */
+
+const axios = require('axios');
+const emailConfig = require('../config/email');
+
+const DRIVERS = {
+  log: async (message) => {
+    console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+  http: async (message) => {
+    if (!emailConfig.http.url) {
+      throw new Error('EMAIL_API_URL is required for the http email driver');
+    }
+    await axios.post(emailConfig.http.url, message, {
+      headers: emailConfig.http.apiKey ? { Authorization: `Bearer ${emailConfig.http.apiKey}` } : {},
+      timeout: 10000
+    });
+  }
+};
+
+/**
+ * Send an email
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject
+ * @param {string} message.text - Plain-text body
+ * @returns {Promise<void>}
+ * @throws {Error} If the driver is unknown or sending fails
+ */
+const sendEmail = async ({ to, subject, text }) => {
+  const driver = DRIVERS[emailConfig.driver];
+  if (!driver) {
+    throw new Error(`Unknown email driver '${emailConfig.driver}'`);
+  }
+  await driver({ from: emailConfig.from, to, subject, text });
+};
+
+module.exports = {
+  sendEmail
+};
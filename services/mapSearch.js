@@ -0,0 +1,262 @@
+/**
+ * Map Search Service
+ * Finds listings inside a map viewport or a drawn polygon with $geoWithin,
+ * returning light marker payloads, or grid clusters when zoomed out
+ */
+
+const Property = require('../models/Property');
+const { buildSearchQuery } = require('./propertySearch');
+
+// Zoom levels below this are clustered; at street level every listing gets a marker
+const CLUSTER_MAX_ZOOM = 13;
+// Listings closer than this on screen share a cluster
+const CLUSTER_RADIUS_PX = 60;
+const TILE_SIZE = 256;
+const MAX_MARKERS = 2000;
+const MAX_POLYGON_POINTS = 200;
+// Viewports are split into pieces at most this wide, because GeoJSON edges are
+// great circles and bow away from the straight edges of a wide map box
+const MAX_PIECE_DEGREES = 90;
+
+const MARKER_FIELDS = 'title propertyType pricing.rent specifications.bedrooms specifications.bathrooms location.coordinates';
+
+const parseNumbers = (value) => {
+  const numbers = (Array.isArray(value) ? value : String(value).split(',')).map(Number);
+  return numbers.every(Number.isFinite) ? numbers : null;
+};
+
+const validPoint = ([lng, lat]) => lng >= -180 && lng <= 180 && lat >= -90 && lat <= 90;
+
+/**
+ * Parse a viewport given as "west,south,east,north" or an array. West may be
+ * greater than east for viewports crossing the antimeridian.
+ * @param {string|number[]} value
+ * @returns {Object} { bbox } or { error }
+ */
+const parseBbox = (value) => {
+  const bbox = parseNumbers(value);
+  if (!bbox || bbox.length !== 4) {
+    return { error: 'bbox must be west,south,east,north' };
+  }
+
+  const [west, south, east, north] = bbox;
+  if (!validPoint([west, south]) || !validPoint([east, north]) || south >= north || west === east) {
+    return { error: 'bbox is outside the valid longitude/latitude range' };
+  }
+
+  return { bbox };
+};
+
+/**
+ * Parse a polygon given as "lng,lat;lng,lat;..." or an array of [lng, lat]
+ * @param {string|Array} value
+ * @returns {Object} { ring } (closed) or { error }
+ */
+const parsePolygon = (value) => {
+  const points = Array.isArray(value) ? value : String(value).split(';');
+  const ring = points.map(parseNumbers);
+
+  if (ring.some(point => !point || point.length !== 2 || !validPoint(point))) {
+    return { error: 'polygon points must be lng,lat pairs' };
+  }
+
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  if (ring.length > 0 && (first[0] !== last[0] || first[1] !== last[1])) {
+    ring.push([...first]);
+  }
+
+  // A closed triangle has four positions
+  if (ring.length < 4) {
+    return { error: 'A polygon needs at least three points' };
+  }
+  if (ring.length > MAX_POLYGON_POINTS + 1) {
+    return { error: `A polygon can have at most ${MAX_POLYGON_POINTS} points` };
+  }
+
+  return { ring };
+};
+
+/**
+ * Read the map area and zoom of a map search
+ * @param {Object} params - { bbox, polygon, zoom }; at least one of bbox and polygon
+ * @returns {Object} { bbox, ring, zoom } or { error }
+ */
+const parseMapArea = ({ bbox, polygon, zoom } = {}) => {
+  if (!bbox && !polygon) {
+    return { error: 'Provide a bbox or a polygon' };
+  }
+
+  const area = { zoom: zoom === undefined || zoom === '' ? null : Number(zoom) };
+  if (area.zoom !== null && (!Number.isFinite(area.zoom) || area.zoom < 0 || area.zoom > 22)) {
+    return { error: 'zoom must be between 0 and 22' };
+  }
+
+  if (bbox) {
+    const parsed = parseBbox(bbox);
+    if (parsed.error) return parsed;
+    area.bbox = parsed.bbox;
+  }
+  if (polygon) {
+    const parsed = parsePolygon(polygon);
+    if (parsed.error) return parsed;
+    area.ring = parsed.ring;
+  }
+
+  return area;
+};
+
+// GeoJSON geometry covering a viewport
+const bboxGeometry = ([west, south, east, north]) => {
+  const ranges = west <= east ? [[west, east]] : [[west, 180], [-180, east]];
+  const rings = [];
+
+  ranges.filter(([from, to]) => from < to).forEach(([from, to]) => {
+    for (let start = from; start < to; start += MAX_PIECE_DEGREES) {
+      const end = Math.min(start + MAX_PIECE_DEGREES, to);
+      rings.push([[start, south], [end, south], [end, north], [start, north], [start, south]]);
+    }
+  });
+
+  return rings.length === 1
+    ? { type: 'Polygon', coordinates: rings }
+    : { type: 'MultiPolygon', coordinates: rings.map(ring => [ring]) };
+};
+
+/**
+ * $geoWithin conditions for a parsed map area
+ * @param {Object} area - From parseMapArea
+ * @returns {Object[]} Conditions on the location field
+ */
+const geoWithinConditions = (area) => {
+  const conditions = [];
+  if (area.bbox) {
+    conditions.push({ location: { $geoWithin: { $geometry: bboxGeometry(area.bbox) } } });
+  }
+  if (area.ring) {
+    conditions.push({ location: { $geoWithin: { $geometry: { type: 'Polygon', coordinates: [area.ring] } } } });
+  }
+  return conditions;
+};
+
+// Smallest image for the marker popup
+const thumbnailUrl = (images = []) => {
+  const image = images.find(item => item.isMain) || images[0];
+  if (!image) return null;
+  const variant = (image.variants || []).find(item => item.name === 'thumbnail' && item.format === 'jpeg');
+  return variant ? variant.url : image.url;
+};
+
+const toMarker = (property) => ({
+  _id: property._id,
+  lng: property.location.coordinates[0],
+  lat: property.location.coordinates[1],
+  title: property.title,
+  propertyType: property.propertyType,
+  rent: property.pricing && property.pricing.rent,
+  bedrooms: property.specifications && property.specifications.bedrooms,
+  bathrooms: property.specifications && property.specifications.bathrooms,
+  thumbnail: thumbnailUrl(property.images)
+});
+
+// Group listings into square grid cells about CLUSTER_RADIUS_PX wide on screen
+const findClusters = async (query, zoom) => {
+  const cellDegrees = (360 / (TILE_SIZE * Math.pow(2, zoom))) * CLUSTER_RADIUS_PX;
+
+  const groups = await Property.aggregate([
+    { $match: query },
+    {
+      $project: {
+        title: 1,
+        propertyType: 1,
+        'pricing.rent': 1,
+        'specifications.bedrooms': 1,
+        'specifications.bathrooms': 1,
+        'location.coordinates': 1,
+        images: { $slice: ['$images', 1] },
+        lng: { $arrayElemAt: ['$location.coordinates', 0] },
+        lat: { $arrayElemAt: ['$location.coordinates', 1] }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          x: { $floor: { $divide: ['$lng', cellDegrees] } },
+          y: { $floor: { $divide: ['$lat', cellDegrees] } }
+        },
+        count: { $sum: 1 },
+        lng: { $avg: '$lng' },
+        lat: { $avg: '$lat' },
+        west: { $min: '$lng' },
+        south: { $min: '$lat' },
+        east: { $max: '$lng' },
+        north: { $max: '$lat' },
+        minRent: { $min: '$pricing.rent' },
+        maxRent: { $max: '$pricing.rent' },
+        first: { $first: '$$ROOT' }
+      }
+    }
+  ]);
+
+  const clusters = [];
+  const markers = [];
+  groups.forEach(group => {
+    if (group.count === 1) {
+      markers.push(toMarker(group.first));
+    } else {
+      clusters.push({
+        lng: group.lng,
+        lat: group.lat,
+        count: group.count,
+        minRent: group.minRent,
+        maxRent: group.maxRent,
+        bounds: [group.west, group.south, group.east, group.north]
+      });
+    }
+  });
+
+  return {
+    clustered: true,
+    clusters,
+    markers,
+    total: groups.reduce((sum, group) => sum + group.count, 0),
+    truncated: false
+  };
+};
+
+/**
+ * Find the listings inside a map area
+ * @param {Object} params - Listing filters, see services/propertySearch.js
+ * @param {Object} area - From parseMapArea
+ * @returns {Promise<Object>} { clustered, clusters, markers, total, truncated }
+ */
+const mapSearch = async (params, area) => {
+  const query = { $and: [buildSearchQuery(params), ...geoWithinConditions(area)] };
+
+  if (area.zoom !== null && area.zoom < CLUSTER_MAX_ZOOM) {
+    return findClusters(query, area.zoom);
+  }
+
+  const properties = await Property.find(query)
+    .select(MARKER_FIELDS)
+    .slice('images', 1)
+    .sort({ _id: 1 })
+    .limit(MAX_MARKERS + 1)
+    .lean();
+  const truncated = properties.length > MAX_MARKERS;
+
+  return {
+    clustered: false,
+    clusters: [],
+    markers: properties.slice(0, MAX_MARKERS).map(toMarker),
+    total: truncated ? await Property.countDocuments(query) : properties.length,
+    truncated
+  };
+};
+
+module.exports = {
+  CLUSTER_MAX_ZOOM,
+  parseMapArea,
+  geoWithinConditions,
+  mapSearch
+};
@@ -0,0 +1,183 @@
+/**
+ * Migration Runner Service
+ * Applies and rolls back the numbered migrations in /migrations and records
+ * applied versions in the `migrations` collection
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Migration = require('../models/Migration');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// e.g. 001-consolidate-images-and-coordinates.js
+const FILE_PATTERN = /^(\d+)-([\w-]+)\.js$/;
+
+const label = (migration) => `${String(migration.version).padStart(3, '0')}-${migration.name}`;
+
+/**
+ * Load migration files, sorted by version
+ * @param {string} [dir=MIGRATIONS_DIR] - Directory holding the migration files
+ * @returns {Object[]} Migrations as { version, name, description, up, down }
+ * @throws {Error} If a file is malformed or two files share a version
+ */
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => FILE_PATTERN.test(file))
+    .map(file => {
+      const [, version, name] = file.match(FILE_PATTERN);
+      const migration = require(path.join(dir, file));
+
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down() functions`);
+      }
+
+      return {
+        version: Number(version),
+        name,
+        description: migration.description || '',
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+};
+
+/**
+ * Build the object passed to up()/down(). Migrations must route every write
+ * through `write()` so that dry runs report changes without making them.
+ * @param {Object} migration - Migration being run
+ * @param {boolean} dryRun - Whether writes are skipped
+ * @returns {Object} Context with db, dryRun, log() and write()
+ */
+const createContext = (migration, dryRun) => {
+  const log = (message) => console.log(`  [${label(migration)}] ${message}`);
+
+  return {
+    db: mongoose.connection.db,
+    dryRun,
+    log,
+    /**
+     * Run a write, or only describe it on a dry run
+     * @param {string} description - What the write does
+     * @param {Function} operation - Async function performing the write
+     * @returns {Promise<*>} Result of the operation, or null on a dry run
+     */
+    write: async (description, operation) => {
+      log(`${dryRun ? 'Would ' : ''}${description}`);
+      return dryRun ? null : operation();
+    }
+  };
+};
+
+/**
+ * Applied and pending migrations
+ * @returns {Promise<Object[]>} One entry per migration file, plus applied
+ *   versions whose file no longer exists (status 'missing')
+ */
+const getStatus = async () => {
+  const migrations = loadMigrations();
+  const applied = await Migration.find().sort({ version: 1 }).lean();
+  const appliedByVersion = new Map(applied.map(record => [record.version, record]));
+
+  const status = migrations.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    description: migration.description,
+    status: appliedByVersion.has(migration.version) ? 'applied' : 'pending',
+    appliedAt: appliedByVersion.has(migration.version) ? appliedByVersion.get(migration.version).appliedAt : null
+  }));
+
+  applied
+    .filter(record => !migrations.some(migration => migration.version === record.version))
+    .forEach(record => status.push({
+      version: record.version,
+      name: record.name,
+      description: record.description,
+      status: 'missing',
+      appliedAt: record.appliedAt
+    }));
+
+  return status.sort((a, b) => a.version - b.version);
+};
+
+/**
+ * Apply pending migrations in order
+ * @param {Object} [options]
+ * @param {number} [options.to] - Highest version to apply (default: all)
+ * @param {boolean} [options.dryRun=false] - Report changes without writing
+ * @returns {Promise<string[]>} Labels of the migrations run
+ */
+const migrateUp = async ({ to, dryRun = false } = {}) => {
+  const migrations = loadMigrations();
+  const applied = new Set((await Migration.find().select('version').lean()).map(record => record.version));
+  const pending = migrations.filter(migration => !applied.has(migration.version) && (to === undefined || migration.version <= to));
+
+  for (const migration of pending) {
+    console.log(`${dryRun ? '[dry run] ' : ''}Applying ${label(migration)}: ${migration.description}`);
+    const startedAt = Date.now();
+
+    await migration.up(createContext(migration, dryRun));
+
+    if (!dryRun) {
+      await Migration.create({
+        version: migration.version,
+        name: migration.name,
+        description: migration.description,
+        durationMs: Date.now() - startedAt
+      });
+    }
+  }
+
+  return pending.map(label);
+};
+
+/**
+ * Roll back applied migrations, newest first
+ * @param {Object} [options]
+ * @param {number} [options.to] - Roll back every migration above this version
+ * @param {number} [options.steps=1] - Number of migrations to roll back when `to` is not given
+ * @param {boolean} [options.dryRun=false] - Report changes without writing
+ * @returns {Promise<string[]>} Labels of the migrations rolled back
+ * @throws {Error} If an applied migration's file is missing
+ */
+const migrateDown = async ({ to, steps = 1, dryRun = false } = {}) => {
+  const migrations = loadMigrations();
+  const applied = await Migration.find().sort({ version: -1 }).lean();
+  const targets = to === undefined
+    ? applied.slice(0, steps)
+    : applied.filter(record => record.version > to);
+
+  for (const record of targets) {
+    const migration = migrations.find(item => item.version === record.version);
+    if (!migration) {
+      throw new Error(`Cannot roll back version ${record.version}: migration file not found`);
+    }
+
+    console.log(`${dryRun ? '[dry run] ' : ''}Rolling back ${label(migration)}`);
+    await migration.down(createContext(migration, dryRun));
+
+    if (!dryRun) {
+      await Migration.deleteOne({ version: migration.version });
+    }
+  }
+
+  return targets.map(label);
+};
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  getStatus,
+  migrateUp,
+  migrateDown
+};
@@ -0,0 +1,260 @@
+/**
+ * Photo Matching Service
+ * Fingerprints listing photos with a perceptual hash (dHash) and flags
+ * listings whose photos closely match photos on another landlord's listing,
+ * a common sign of a scam built from stolen pictures. Flagged listings stay
+ * out of public results until an admin reviews them.
+ */
+
+const sharp = require('sharp');
+const Property = require('../models/Property');
+
+// Hashes this many bits apart or closer are treated as the same photo.
+// Recompression, resizing and small crops stay well below it.
+const MAX_DISTANCE = 6;
+
+// Each hash is split into this many 8 bit bands that are indexed for lookup.
+// Two hashes within MAX_DISTANCE bits share at least one band as long as
+// MAX_DISTANCE < HASH_BANDS, so candidates are found without a full scan.
+const HASH_BANDS = 8;
+
+// Nearly blank hashes come from plain walls, skies and solid colors, which
+// would match between unrelated listings
+const MIN_SET_BITS = 4;
+const HASH_BITS = 64;
+
+const REVIEW_STATUSES = ['flagged', 'cleared', 'rejected'];
+
+const popCount = (value) => {
+  let count = 0;
+  for (let bits = value; bits > 0n; bits >>= 1n) {
+    count += Number(bits & 1n);
+  }
+  return count;
+};
+
+/**
+ * Difference hash of an image: compares neighbouring pixels of a 9x8
+ * grayscale thumbnail, so it survives resizing, recompression and small
+ * color changes
+ * @param {string|Buffer} input - Image file path or contents
+ * @returns {Promise<string>} 64 bit hash as 16 hex characters
+ */
+const computeImageHash = async (input) => {
+  const pixels = await sharp(input)
+    .rotate()
+    .grayscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let row = 0; row < 8; row += 1) {
+    for (let column = 0; column < 8; column += 1) {
+      const left = pixels[row * 9 + column];
+      const right = pixels[row * 9 + column + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+
+  return hash.toString(16).padStart(16, '0');
+};
+
+/**
+ * Number of differing bits between two hashes
+ * @param {string} a - Hex hash
+ * @param {string} b - Hex hash
+ * @returns {number} Hamming distance, 0-64
+ */
+const hammingDistance = (a, b) => {
+  return popCount(BigInt(`0x${a}`) ^ BigInt(`0x${b}`));
+};
+
+/**
+ * Whether a hash carries enough detail to be compared with others
+ * @param {string} hash - Hex hash
+ * @returns {boolean}
+ */
+const isDistinctive = (hash) => {
+  const setBits = popCount(BigInt(`0x${hash}`));
+  return setBits >= MIN_SET_BITS && setBits <= HASH_BITS - MIN_SET_BITS;
+};
+
+/**
+ * Indexed lookup keys for a hash: band position followed by its two hex
+ * characters, e.g. '0a3', '1f0', ...
+ * @param {string} hash - Hex hash
+ * @returns {string[]} HASH_BANDS keys
+ */
+const hashBands = (hash) => {
+  const size = hash.length / HASH_BANDS;
+  return Array.from({ length: HASH_BANDS }, (_, index) => `${index}${hash.slice(index * size, (index + 1) * size)}`);
+};
+
+/**
+ * Image subdocument fields for a file: its hash and, when the hash is
+ * distinctive enough to match on, its lookup bands
+ * @param {string} filePath - Local image file
+ * @returns {Promise<Object>} { perceptualHash, hashBands }
+ */
+const hashImageFile = async (filePath) => {
+  const perceptualHash = await computeImageHash(filePath);
+  return {
+    perceptualHash,
+    hashBands: isDistinctive(perceptualHash) ? hashBands(perceptualHash) : []
+  };
+};
+
+/**
+ * Find photos on other landlords' listings that match the given images
+ * @param {Object} property - Property the images belong to
+ * @param {Object[]} images - Image subdocuments with `perceptualHash`
+ * @param {Object} [options]
+ * @param {number} [options.maxDistance=MAX_DISTANCE] - Largest distance reported
+ * @returns {Promise<Object[]>} Matches as { image, property, landlord,
+ *   matchedImage, distance }, closest first
+ */
+const findPhotoMatches = async (property, images, { maxDistance = MAX_DISTANCE } = {}) => {
+  const hashed = images.filter(image => image.perceptualHash && image.hashBands && image.hashBands.length > 0);
+  if (hashed.length === 0) {
+    return [];
+  }
+
+  const query = {
+    'images.hashBands': { $in: [...new Set(hashed.flatMap(image => image.hashBands))] },
+    deletedAt: null
+  };
+  if (property.landlord) {
+    query.landlord = { $ne: property.landlord };
+  }
+  if (property._id) {
+    query._id = { $ne: property._id };
+  }
+
+  const candidates = await Property.find(query)
+    .select('landlord images._id images.perceptualHash')
+    .limit(200)
+    .lean();
+
+  const matches = [];
+  hashed.forEach(image => {
+    candidates.forEach(candidate => {
+      candidate.images.forEach(candidateImage => {
+        if (!candidateImage.perceptualHash) return;
+
+        const distance = hammingDistance(image.perceptualHash, candidateImage.perceptualHash);
+        if (distance <= maxDistance) {
+          matches.push({
+            image: image._id,
+            property: candidate._id,
+            landlord: candidate.landlord,
+            matchedImage: candidateImage._id,
+            distance
+          });
+        }
+      });
+    });
+  });
+
+  return matches.sort((a, b) => a.distance - b.distance);
+};
+
+/**
+ * Check images just added to a property and flag the listing for review when
+ * any of them matches another landlord's photo. A listing an admin already
+ * cleared is flagged again only for new matches. The caller saves the property.
+ * @param {import('mongoose').Document} property - Property document (not saved)
+ * @param {Object[]} newImages - Images added by this request; matched to the
+ *   property's subdocuments by URL
+ * @returns {Promise<Object[]>} Matches found
+ */
+const flagPhotoMatches = async (property, newImages) => {
+  const urls = new Set((newImages || []).map(image => image.url));
+  const added = property.images.filter(image => urls.has(image.url));
+
+  const matches = await findPhotoMatches(property, added);
+  if (matches.length === 0) {
+    return matches;
+  }
+
+  const review = property.photoReview || {};
+  property.photoReview = {
+    status: 'flagged',
+    flaggedAt: new Date(),
+    matches: [...(review.matches || []), ...matches]
+  };
+
+  return matches;
+};
+
+const imageSummary = (images, imageId) => {
+  const image = (images || []).find(item => String(item._id) === String(imageId));
+  return image ? { _id: image._id, url: image.url, variants: image.variants } : { _id: imageId, url: null };
+};
+
+/**
+ * Listings held for photo review, with each matching pair of images
+ * @param {Object} [options]
+ * @param {string} [options.status='flagged'] - Review status to list
+ * @param {number} [options.limit=50] - Maximum number of listings returned
+ * @returns {Promise<Object[]>} { property, landlord, review, pairs } where a
+ *   pair is { image, match: { property, landlord, image }, distance }
+ */
+const findFlaggedListings = async ({ status = 'flagged', limit = 50 } = {}) => {
+  const flagged = await Property.find({ 'photoReview.status': status, deletedAt: null })
+    .select('title status address landlord images createdAt photoReview')
+    .populate('landlord', 'name email')
+    .sort({ 'photoReview.flaggedAt': -1 })
+    .limit(limit)
+    .lean();
+
+  const matchedIds = [...new Set(flagged.flatMap(property => property.photoReview.matches.map(match => String(match.property))))];
+  const matched = await Property.find({ _id: { $in: matchedIds } })
+    .select('title status address landlord images createdAt deletedAt')
+    .populate('landlord', 'name email')
+    .lean();
+  const byId = new Map(matched.map(property => [String(property._id), property]));
+
+  return flagged.map(property => {
+    const { matches, ...review } = property.photoReview;
+
+    return {
+      property: {
+        _id: property._id,
+        title: property.title,
+        status: property.status,
+        address: property.address,
+        createdAt: property.createdAt
+      },
+      landlord: property.landlord,
+      review,
+      pairs: matches.map(match => {
+        const other = byId.get(String(match.property));
+        return {
+          image: imageSummary(property.images, match.image),
+          match: {
+            property: other
+              ? { _id: other._id, title: other.title, status: other.status, address: other.address, createdAt: other.createdAt, deleted: Boolean(other.deletedAt) }
+              : { _id: match.property, deleted: true },
+            landlord: other ? other.landlord : null,
+            image: imageSummary(other && other.images, match.matchedImage)
+          },
+          distance: match.distance
+        };
+      })
+    };
+  });
+};
+
+module.exports = {
+  MAX_DISTANCE,
+  REVIEW_STATUSES,
+  computeImageHash,
+  hammingDistance,
+  isDistinctive,
+  hashBands,
+  hashImageFile,
+  findPhotoMatches,
+  flagPhotoMatches,
+  findFlaggedListings
+};
@@ -0,0 +1,267 @@
+/**
+ * Property Export Service
+ * Serializes Property documents as CSV, JSON or a RESO Data Dictionary style feed.
+ * Every format is written row by row so exports can be streamed.
+ */
+
+// Default columns for CSV/JSON exports (matches the import template)
+const DEFAULT_FIELDS = [
+  '_id', 'title', 'description', 'propertyType', 'status',
+  'address.street', 'address.city', 'address.state', 'address.zipCode', 'address.neighborhood',
+  'location.coordinates',
+  'specifications.bedrooms', 'specifications.bathrooms', 'specifications.squareFootage',
+  'specifications.yearBuilt', 'specifications.parking', 'specifications.parkingSpaces',
+  'specifications.furnished',
+  'pricing.rent', 'pricing.deposit', 'pricing.applicationFee', 'pricing.adminFee',
+  'pricing.utilitiesIncluded', 'pricing.leaseTerms',
+  'amenities', 'features',
+  'policies.smokingAllowed', 'policies.petsAllowed', 'policies.maxOccupants',
+  'policies.minimumLeaseMonths', 'availability.availableDate',
+  'analytics.views', 'analytics.saves', 'analytics.inquiries',
+  'createdAt', 'updatedAt'
+];
+
+// Canonical status -> RESO StandardStatus
+const RESO_STATUS = {
+  draft: 'Coming Soon',
+  active: 'Active',
+  pending: 'Pending',
+  rented: 'Closed',
+  inactive: 'Withdrawn',
+  archived: 'Canceled'
+};
+
+// Property type -> RESO PropertySubType
+const RESO_SUB_TYPE = {
+  apartment: 'Apartment',
+  house: 'Single Family Residence',
+  condo: 'Condominium',
+  townhouse: 'Townhouse',
+  studio: 'Apartment',
+  loft: 'Apartment'
+};
+
+// RESO field -> function reading it from a lean Property document
+const RESO_FIELDS = {
+  ListingKey: property => String(property._id),
+  StandardStatus: property => RESO_STATUS[property.status] || 'Active',
+  PropertyType: () => 'Residential Lease',
+  PropertySubType: property => RESO_SUB_TYPE[property.propertyType],
+  UnparsedAddress: property => [property.address?.street, property.address?.city, property.address?.state]
+    .filter(Boolean).join(', ') || undefined,
+  StreetAddress: property => property.address?.street,
+  City: property => property.address?.city,
+  StateOrProvince: property => property.address?.state,
+  PostalCode: property => property.address?.zipCode,
+  SubdivisionName: property => property.address?.neighborhood,
+  Latitude: property => validCoordinates(property) ? property.location.coordinates[1] : undefined,
+  Longitude: property => validCoordinates(property) ? property.location.coordinates[0] : undefined,
+  ListPrice: property => property.pricing?.rent,
+  LeaseAmount: property => property.pricing?.rent,
+  LeaseAmountFrequency: () => 'Monthly',
+  SecurityDeposit: property => property.pricing?.deposit,
+  BedroomsTotal: property => property.specifications?.bedrooms,
+  BathroomsTotalInteger: property => property.specifications?.bathrooms !== undefined
+    ? Math.round(property.specifications.bathrooms)
+    : undefined,
+  LivingArea: property => property.specifications?.squareFootage,
+  LivingAreaUnits: property => property.specifications?.squareFootage ? 'Square Feet' : undefined,
+  YearBuilt: property => property.specifications?.yearBuilt,
+  ParkingTotal: property => property.specifications?.parkingSpaces,
+  Furnished: property => property.specifications?.furnished,
+  PetsAllowed: property => property.policies?.petsAllowed === undefined
+    ? undefined
+    : [property.policies.petsAllowed ? 'Yes' : 'No'],
+  LeaseTerm: property => property.policies?.minimumLeaseMonths
+    ? `${property.policies.minimumLeaseMonths} Months`
+    : undefined,
+  AvailabilityDate: property => formatDate(property.availability?.availableDate),
+  AssociationAmenities: property => property.amenities?.length ? property.amenities : undefined,
+  PublicRemarks: property => property.description,
+  ListingTitle: property => property.title,
+  OriginalEntryTimestamp: property => toIso(property.createdAt),
+  ModificationTimestamp: property => toIso(property.updatedAt),
+  Media: property => (property.images || []).map((image, index) => ({
+    MediaKey: image._id ? String(image._id) : undefined,
+    MediaURL: image.url,
+    Order: index + 1,
+    ShortDescription: image.caption,
+    PreferredPhotoYN: Boolean(image.isMain)
+  }))
+};
+
+const FORMATS = ['csv', 'json', 'reso-json', 'reso-xml'];
+
+function validCoordinates(property) {
+  const coordinates = property.location?.coordinates;
+  return Array.isArray(coordinates) && coordinates.length === 2 && !(coordinates[0] === 0 && coordinates[1] === 0);
+}
+
+function toIso(value) {
+  return value ? new Date(value).toISOString() : undefined;
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toISOString().slice(0, 10) : undefined;
+}
+
+function getPath(source, path) {
+  return path.split('.').reduce((node, key) => (node === undefined || node === null ? undefined : node[key]), source);
+}
+
+function setPath(target, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    node[key] = node[key] || {};
+    return node[key];
+  }, target);
+  parent[last] = value;
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+
+  let text;
+  if (Array.isArray(value)) {
+    text = value.map(item => (item instanceof Date ? item.toISOString() : String(item))).join(';');
+  } else if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = String(value._id || JSON.stringify(value));
+  } else {
+    text = String(value);
+  }
+
+  // Spreadsheet apps run text starting with these as a formula; negative
+  // numbers such as coordinates are left alone
+  const numeric = [].concat(value).every(item => typeof item === 'number');
+  if (!numeric && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function xmlElement(name, value, indent) {
+  if (value === undefined || value === null) return '';
+
+  if (Array.isArray(value)) {
+    const items = value.map(item => (item && typeof item === 'object'
+      ? `${indent}  <${name}Item>\n${xmlFields(item, `${indent}    `)}${indent}  </${name}Item>\n`
+      : `${indent}  <Item>${xmlEscape(item)}</Item>\n`)).join('');
+    return `${indent}<${name}>\n${items}${indent}</${name}>\n`;
+  }
+
+  return `${indent}<${name}>${xmlEscape(value)}</${name}>\n`;
+}
+
+function xmlFields(record, indent) {
+  return Object.entries(record).map(([name, value]) => xmlElement(name, value, indent)).join('');
+}
+
+/**
+ * Build the RESO record for a property
+ * @param {Object} property - Lean Property document
+ * @param {string[]} fields - RESO fields to include
+ * @returns {Object} RESO record without undefined values
+ */
+function toResoRecord(property, fields) {
+  return fields.reduce((record, field) => {
+    const value = RESO_FIELDS[field](property);
+    if (value !== undefined && value !== null && value !== '') {
+      record[field] = value;
+    }
+    return record;
+  }, {});
+}
+
+/**
+ * Resolve the requested field list for a format
+ * @param {string} format - One of FORMATS
+ * @param {string[]} requested - Fields requested by the client (may be empty)
+ * @returns {{ fields: string[], unknown: string[] }} Fields to export and unknown names
+ */
+function resolveFields(format, requested) {
+  const available = format.startsWith('reso') ? Object.keys(RESO_FIELDS) : DEFAULT_FIELDS;
+
+  if (!requested || requested.length === 0) {
+    return { fields: available, unknown: [] };
+  }
+
+  return {
+    fields: requested.filter(field => available.includes(field)),
+    unknown: requested.filter(field => !available.includes(field))
+  };
+}
+
+/**
+ * Create a serializer for a format. A serializer returns the chunks to write
+ * before the first record, for each record, and after the last record.
+ * @param {string} format - One of FORMATS
+ * @param {string[]} fields - Fields from resolveFields()
+ * @returns {{ contentType: string, extension: string, start: Function, record: Function, end: Function }}
+ */
+function createSerializer(format, fields) {
+  switch (format) {
+    case 'csv':
+      return {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        start: () => `${fields.map(csvCell).join(',')}\n`,
+        record: property => `${fields.map(field => csvCell(getPath(property, field))).join(',')}\n`,
+        end: () => ''
+      };
+    case 'json':
+      return {
+        contentType: 'application/json; charset=utf-8',
+        extension: 'json',
+        start: () => '[',
+        record: (property, index) => {
+          const record = {};
+          fields.forEach(field => {
+            const value = getPath(property, field);
+            if (value !== undefined) setPath(record, field, value);
+          });
+          return `${index === 0 ? '' : ','}\n${JSON.stringify(record)}`;
+        },
+        end: count => (count === 0 ? ']\n' : '\n]\n')
+      };
+    case 'reso-json':
+      return {
+        contentType: 'application/json; charset=utf-8',
+        extension: 'json',
+        start: () => `{"@reso.context":"urn:reso:metadata:2.0:resource:property","value":[`,
+        record: (property, index) => `${index === 0 ? '' : ','}\n${JSON.stringify(toResoRecord(property, fields))}`,
+        end: count => (count === 0 ? ']}\n' : '\n]}\n')
+      };
+    case 'reso-xml':
+      return {
+        contentType: 'application/xml; charset=utf-8',
+        extension: 'xml',
+        start: () => '<?xml version="1.0" encoding="UTF-8"?>\n<Properties>\n',
+        record: property => `  <Property>\n${xmlFields(toResoRecord(property, fields), '    ')}  </Property>\n`,
+        end: () => '</Properties>\n'
+      };
+    default:
+      throw new Error(`Unsupported export format '${format}'`);
+  }
+}
+
+module.exports = {
+  FORMATS,
+  DEFAULT_FIELDS,
+  RESO_FIELDS,
+  resolveFields,
+  createSerializer,
+  toResoRecord
+};
@@ -58,14 +58,14 @@ function generateProperty(location = null) {
       street: faker.address.streetAddress(),
       city: cityData.city,
       state: cityData.state,
-      zipCode: faker.address.zipCode(),
-      coordinates: {
-        type: 'Point',
-        coordinates: [
-          parseFloat(faker.address.longitude(-124.848974, -66.885444)), // US longitudes
-          parseFloat(faker.address.latitude(24.396308, 49.384358))     // US latitudes
-        ]
-      }
+      zipCode: faker.address.zipCode()
+    },
+    location: {
+      type: 'Point',
+      coordinates: [
+        parseFloat(faker.address.longitude(-124.848974, -66.885444)), // US longitudes
+        parseFloat(faker.address.latitude(24.396308, 49.384358))     // US latitudes
+      ]
     },
     pricing: {
       rent,
@@ -0,0 +1,427 @@
+/**
+ * Property Import Service
+ * Parses CSV/Excel spreadsheets into Property documents and validates them
+ */
+
+const XLSX = require('xlsx');
+const Property = require('../models/Property');
+const PropertyRevision = require('../models/PropertyRevision');
+const duplicateDetection = require('./duplicateDetection');
+const { CREATE_STATUSES } = require('./propertyLifecycle');
+
+const MAX_ROWS = 500;
+// Rows checked for duplicates at the same time
+const DUPLICATE_CHECK_BATCH = 10;
+
+// Spreadsheet column -> Property path and value type.
+// Dotted schema paths are accepted as-is; the short names are aliases.
+const COLUMNS = {
+  'title': { path: 'title', type: 'string' },
+  'description': { path: 'description', type: 'string' },
+  'propertytype': { path: 'propertyType', type: 'lowercase' },
+  'type': { path: 'propertyType', type: 'lowercase' },
+  'status': { path: 'status', type: 'lowercase' },
+
+  'address.street': { path: 'address.street', type: 'string' },
+  'street': { path: 'address.street', type: 'string' },
+  'address.city': { path: 'address.city', type: 'string' },
+  'city': { path: 'address.city', type: 'string' },
+  'address.state': { path: 'address.state', type: 'string' },
+  'state': { path: 'address.state', type: 'string' },
+  'address.zipcode': { path: 'address.zipCode', type: 'string' },
+  'zipcode': { path: 'address.zipCode', type: 'string' },
+  'zip': { path: 'address.zipCode', type: 'string' },
+  'address.neighborhood': { path: 'address.neighborhood', type: 'string' },
+  'neighborhood': { path: 'address.neighborhood', type: 'string' },
+
+  'latitude': { path: 'latitude', type: 'number' },
+  'lat': { path: 'latitude', type: 'number' },
+  'longitude': { path: 'longitude', type: 'number' },
+  'lng': { path: 'longitude', type: 'number' },
+
+  'specifications.bedrooms': { path: 'specifications.bedrooms', type: 'number' },
+  'bedrooms': { path: 'specifications.bedrooms', type: 'number' },
+  'specifications.bathrooms': { path: 'specifications.bathrooms', type: 'number' },
+  'bathrooms': { path: 'specifications.bathrooms', type: 'number' },
+  'specifications.squarefootage': { path: 'specifications.squareFootage', type: 'number' },
+  'squarefootage': { path: 'specifications.squareFootage', type: 'number' },
+  'sqft': { path: 'specifications.squareFootage', type: 'number' },
+  'specifications.yearbuilt': { path: 'specifications.yearBuilt', type: 'number' },
+  'yearbuilt': { path: 'specifications.yearBuilt', type: 'number' },
+  'specifications.parking': { path: 'specifications.parking', type: 'lowercase' },
+  'parking': { path: 'specifications.parking', type: 'lowercase' },
+  'specifications.parkingspaces': { path: 'specifications.parkingSpaces', type: 'number' },
+  'parkingspaces': { path: 'specifications.parkingSpaces', type: 'number' },
+  'specifications.furnished': { path: 'specifications.furnished', type: 'string' },
+  'furnished': { path: 'specifications.furnished', type: 'string' },
+
+  'pricing.rent': { path: 'pricing.rent', type: 'number' },
+  'rent': { path: 'pricing.rent', type: 'number' },
+  'pricing.deposit': { path: 'pricing.deposit', type: 'number' },
+  'deposit': { path: 'pricing.deposit', type: 'number' },
+  'pricing.applicationfee': { path: 'pricing.applicationFee', type: 'number' },
+  'applicationfee': { path: 'pricing.applicationFee', type: 'number' },
+  'pricing.adminfee': { path: 'pricing.adminFee', type: 'number' },
+  'adminfee': { path: 'pricing.adminFee', type: 'number' },
+  'pricing.utilitiesincluded': { path: 'pricing.utilitiesIncluded', type: 'list' },
+  'utilitiesincluded': { path: 'pricing.utilitiesIncluded', type: 'list' },
+  'pricing.leaseterms': { path: 'pricing.leaseTerms', type: 'numberList' },
+  'leaseterms': { path: 'pricing.leaseTerms', type: 'numberList' },
+
+  'amenities': { path: 'amenities', type: 'list' },
+  'features': { path: 'features', type: 'list' },
+
+  'policies.smokingallowed': { path: 'policies.smokingAllowed', type: 'boolean' },
+  'smokingallowed': { path: 'policies.smokingAllowed', type: 'boolean' },
+  'policies.petsallowed': { path: 'policies.petsAllowed', type: 'boolean' },
+  'petsallowed': { path: 'policies.petsAllowed', type: 'boolean' },
+  'policies.maxoccupants': { path: 'policies.maxOccupants', type: 'number' },
+  'maxoccupants': { path: 'policies.maxOccupants', type: 'number' },
+  'policies.minimumleasemonths': { path: 'policies.minimumLeaseMonths', type: 'number' },
+  'minimumleasemonths': { path: 'policies.minimumLeaseMonths', type: 'number' },
+
+  'availability.availabledate': { path: 'availability.availableDate', type: 'date' },
+  'availabledate': { path: 'availability.availableDate', type: 'date' },
+
+  'publishat': { path: 'publishAt', type: 'date' },
+  'unpublishat': { path: 'unpublishAt', type: 'date' }
+};
+
+// Imported rows are new listings, so they may start in any status a created one can
+const IMPORT_STATUSES = CREATE_STATUSES;
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+/**
+ * Normalize a header so 'Zip Code', 'zip_code' and 'zipCode' all match
+ * @param {string} header - Raw column header
+ * @returns {string} Normalized header
+ */
+const normalizeHeader = (header) => {
+  return String(header).trim().toLowerCase().replace(/[\s_-]+/g, '');
+};
+
+/**
+ * Cast a raw cell value to the column type
+ * @param {string} raw - Cell text
+ * @param {string} type - Column type from COLUMNS
+ * @returns {{ value?: *, error?: string }} Cast value or an error message
+ */
+const castValue = (raw, type) => {
+  const text = String(raw).trim();
+
+  switch (type) {
+    case 'number': {
+      const value = Number(text.replace(/[$,\s]/g, ''));
+      return Number.isFinite(value) ? { value } : { error: `'${text}' is not a number` };
+    }
+    case 'boolean': {
+      const lower = text.toLowerCase();
+      if (TRUE_VALUES.includes(lower)) return { value: true };
+      if (FALSE_VALUES.includes(lower)) return { value: false };
+      return { error: `'${text}' is not yes/no` };
+    }
+    case 'list':
+      return { value: text.split(/[;|]/).map(item => item.trim()).filter(Boolean) };
+    case 'numberList': {
+      const items = text.split(/[;|]/).map(item => item.trim()).filter(Boolean);
+      const values = items.map(Number);
+      return values.every(Number.isFinite) ? { value: values } : { error: `'${text}' is not a list of numbers` };
+    }
+    case 'date': {
+      const value = new Date(text);
+      return Number.isNaN(value.getTime()) ? { error: `'${text}' is not a date` } : { value };
+    }
+    case 'lowercase':
+      return { value: text.toLowerCase() };
+    default:
+      return { value: text };
+  }
+};
+
+/**
+ * Set a dotted path on a plain object
+ * @param {Object} target - Object to write to
+ * @param {string} path - Dotted path
+ * @param {*} value - Value to set
+ */
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    node[key] = node[key] || {};
+    return node[key];
+  }, target);
+  parent[last] = value;
+};
+
+/**
+ * Read the first sheet of a CSV or Excel file into row objects
+ * @param {Buffer} buffer - Uploaded file contents
+ * @returns {Object[]} One object per data row, keyed by header
+ */
+const parseSpreadsheet = (buffer) => {
+  const workbook = XLSX.read(buffer, { type: 'buffer', cellDates: false });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+
+  if (!sheet) {
+    return [];
+  }
+
+  // raw: false returns the formatted cell text so every column is cast the same way
+  return XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false, blankrows: false });
+};
+
+/**
+ * Map a spreadsheet row to Property data
+ * @param {Object} row - Row keyed by header
+ * @returns {{ data: Object, errors: Object[], warnings: Object[] }} Mapped data and issues
+ */
+const mapRow = (row) => {
+  const data = {};
+  const errors = [];
+  const warnings = [];
+
+  Object.entries(row).forEach(([header, raw]) => {
+    const column = COLUMNS[normalizeHeader(header)];
+
+    if (!column) {
+      if (String(raw).trim() !== '') {
+        warnings.push({ field: header, message: 'Unknown column, value ignored' });
+      }
+      return;
+    }
+
+    if (String(raw).trim() === '') {
+      return;
+    }
+
+    const { value, error } = castValue(raw, column.type);
+    if (error) {
+      errors.push({ field: column.path, message: error });
+      return;
+    }
+
+    setPath(data, column.path, value);
+  });
+
+  // Coordinates are imported as separate latitude/longitude columns
+  const { latitude, longitude } = data;
+  delete data.latitude;
+  delete data.longitude;
+
+  if (latitude !== undefined && longitude !== undefined) {
+    data.location = { type: 'Point', coordinates: [longitude, latitude] };
+  } else {
+    data.location = { type: 'Point', coordinates: [0, 0] };
+    warnings.push({ field: 'location', message: 'No latitude/longitude given, the listing will not appear in map searches' });
+  }
+
+  if (data.status && !IMPORT_STATUSES.includes(data.status)) {
+    errors.push({ field: 'status', message: `Status must be one of: ${IMPORT_STATUSES.join(', ')}` });
+    delete data.status;
+  }
+
+  return { data, errors, warnings };
+};
+
+/**
+ * Build a key that identifies the same unit within one file
+ * @param {Object} data - Mapped property data
+ * @returns {string|null} Address key, or null when the address is incomplete
+ */
+const addressKey = (data) => {
+  const { street, city, zipCode } = data.address || {};
+  if (!street || !city) return null;
+  return [street, city, zipCode].map(part => String(part || '').trim().toLowerCase()).join('|');
+};
+
+/**
+ * Read the data rows of an uploaded spreadsheet
+ * @param {Buffer} buffer - Uploaded file contents
+ * @returns {Object[]} Rows keyed by header
+ * @throws {Error} When the file has no data rows or too many rows
+ */
+const readSheetRows = (buffer) => {
+  const sheetRows = parseSpreadsheet(buffer);
+
+  if (sheetRows.length === 0) {
+    throw new Error('The file does not contain any data rows');
+  }
+
+  if (sheetRows.length > MAX_ROWS) {
+    throw new Error(`A single import is limited to ${MAX_ROWS} rows`);
+  }
+
+  return sheetRows;
+};
+
+/**
+ * Map and validate every spreadsheet row against the Property schema. Rows
+ * run the full validation, hooks included, that saving them would.
+ * @param {Object[]} sheetRows - Rows from readSheetRows
+ * @param {string} landlordId - Landlord the listings will belong to
+ * @returns {Promise<{ rows: Object[], documents: import('mongoose').Document[], validRows: Object[], summary: Object }>}
+ *   Per-row report, the valid documents ready to insert (alone and paired with
+ *   their report row) and totals
+ */
+const buildImport = async (sheetRows, landlordId) => {
+  const seenAddresses = new Map();
+  const documents = [];
+  const validRows = [];
+  const rows = [];
+
+  for (const [index, sheetRow] of sheetRows.entries()) {
+    // Header is row 1 in the spreadsheet
+    const rowNumber = index + 2;
+    const { data, errors, warnings } = mapRow(sheetRow);
+
+    const property = new Property({ ...data, landlord: landlordId });
+    property.statusHistory.push({
+      from: null,
+      to: property.status,
+      changedBy: landlordId,
+      reason: 'Imported from spreadsheet'
+    });
+
+    try {
+      await property.validate();
+    } catch (validationError) {
+      if (validationError.name !== 'ValidationError') {
+        throw validationError;
+      }
+      Object.values(validationError.errors)
+        // A cell that failed to parse already has a more specific error
+        .filter(fieldError => !errors.some(error => error.field === fieldError.path))
+        .forEach(fieldError => {
+          errors.push({ field: fieldError.path, message: fieldError.message });
+        });
+    }
+
+    const key = addressKey(data);
+    if (key && seenAddresses.has(key)) {
+      warnings.push({ field: 'address', message: `Same address as row ${seenAddresses.get(key)}` });
+    } else if (key) {
+      seenAddresses.set(key, rowNumber);
+    }
+
+    const report = {
+      row: rowNumber,
+      title: data.title || null,
+      valid: errors.length === 0,
+      errors,
+      warnings
+    };
+
+    if (report.valid) {
+      documents.push(property);
+      validRows.push({ row: report, document: property });
+    }
+
+    rows.push(report);
+  }
+
+  const invalid = rows.filter(row => !row.valid).length;
+
+  return {
+    rows,
+    documents,
+    validRows,
+    summary: {
+      total: rows.length,
+      valid: rows.length - invalid,
+      invalid,
+      warnings: rows.reduce((sum, row) => sum + row.warnings.length, 0)
+    }
+  };
+};
+
+/**
+ * Add a warning to each valid row that looks like an existing listing.
+ * Duplicates only warn on import, the landlord decides from the report.
+ * @param {Object[]} validRows - validRows from buildImport
+ * @param {Object} summary - summary from buildImport, warnings are counted in it
+ * @returns {Promise<void>}
+ */
+const flagDuplicateRows = async (validRows, summary) => {
+  for (let start = 0; start < validRows.length; start += DUPLICATE_CHECK_BATCH) {
+    const batch = validRows.slice(start, start + DUPLICATE_CHECK_BATCH);
+    const results = await Promise.all(batch.map(({ document }) => duplicateDetection.findDuplicates(document, { limit: 3 })));
+
+    results.forEach((duplicates, index) => {
+      duplicates.forEach(duplicate => {
+        batch[index].row.warnings.push({
+          field: 'duplicate',
+          message: `Looks like existing listing "${duplicate.property.title}" (score ${duplicate.score})`,
+          propertyId: duplicate.property._id,
+          score: duplicate.score
+        });
+      });
+      summary.warnings += duplicates.length;
+    });
+  }
+};
+
+/**
+ * Save the documents of a committed import. Each one is saved on its own so
+ * the save hooks run (status history, 'import' revision); if one fails, the
+ * listings saved before it are removed again so nothing is half imported.
+ * @param {Object[]} validRows - validRows from buildImport
+ * @param {string} landlordId - Landlord running the import
+ * @returns {Promise<import('mongoose').Document[]>} Saved listings
+ * @throws {Error} The save error, with the spreadsheet row number as `row`
+ */
+const commitImport = async (validRows, landlordId) => {
+  const saved = [];
+
+  for (const { row, document: property } of validRows) {
+    try {
+      property.recordedBy(landlordId);
+      property.$locals.revisionAction = 'import';
+      await property.save();
+      saved.push(property);
+    } catch (error) {
+      const ids = saved.map(savedProperty => savedProperty._id);
+      await Property.deleteMany({ _id: { $in: ids } });
+      await PropertyRevision.deleteMany({ property: { $in: ids } });
+      error.row = row.row;
+      throw error;
+    }
+  }
+
+  return saved;
+};
+
+/**
+ * CSV header line listing the canonical import columns
+ * @returns {string} Template CSV
+ */
+const getTemplate = () => {
+  const headers = [
+    'title', 'description', 'propertyType', 'status',
+    'address.street', 'address.city', 'address.state', 'address.zipCode', 'address.neighborhood',
+    'latitude', 'longitude',
+    'specifications.bedrooms', 'specifications.bathrooms', 'specifications.squareFootage',
+    'specifications.yearBuilt', 'specifications.parking', 'specifications.parkingSpaces',
+    'specifications.furnished',
+    'pricing.rent', 'pricing.deposit', 'pricing.applicationFee', 'pricing.adminFee',
+    'pricing.utilitiesIncluded', 'pricing.leaseTerms',
+    'amenities', 'features',
+    'policies.smokingAllowed', 'policies.petsAllowed', 'policies.maxOccupants',
+    'policies.minimumLeaseMonths', 'availability.availableDate',
+    'publishAt', 'unpublishAt'
+  ];
+  return `${headers.join(',')}\n`;
+};
+
+module.exports = {
+  MAX_ROWS,
+  parseSpreadsheet,
+  mapRow,
+  readSheetRows,
+  buildImport,
+  flagDuplicateRows,
+  commitImport,
+  getTemplate
+};
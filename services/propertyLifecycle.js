@@ -0,0 +1,112 @@
+/**
+ * Property Lifecycle Service
+ * Defines the listing status state machine and records status history
+ */
+
+const listingConfig = require('../config/listings');
+
+// Every status a listing can be in, in lifecycle order
+const STATUSES = ['draft', 'active', 'pending', 'rented', 'inactive', 'archived'];
+
+// Allowed transitions: current status -> statuses it may move to
+const TRANSITIONS = {
+  draft: ['active', 'archived'],
+  active: ['pending', 'rented', 'inactive', 'archived'],
+  pending: ['active', 'rented', 'inactive', 'archived'],
+  rented: ['active', 'inactive', 'archived'],
+  inactive: ['active', 'archived'],
+  archived: ['inactive']
+};
+
+// Statuses a new listing may start in; later statuses are reached through transitions
+const CREATE_STATUSES = ['draft', 'active'];
+
+// Named actions exposed by the API and the status each one moves to
+const ACTIONS = {
+  publish: 'active',
+  'mark-pending': 'pending',
+  'mark-rented': 'rented',
+  deactivate: 'inactive',
+  archive: 'archived',
+  unarchive: 'inactive'
+};
+
+/**
+ * Check whether a listing may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the transition is allowed
+ */
+const canTransition = (from, to) => {
+  return (TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * List the statuses a listing may move to from its current status
+ * @param {string} status - Current status
+ * @returns {string[]} Allowed next statuses
+ */
+const getAllowedTransitions = (status) => {
+  return TRANSITIONS[status] || [];
+};
+
+/**
+ * Start a fresh listing term: set the expiry date and clear reminders
+ * @param {import('mongoose').Document} property - Property document (not saved)
+ * @param {Date} [now=new Date()] - Start of the term
+ */
+const startListingTerm = (property, now = new Date()) => {
+  property.expiresAt = new Date(now.getTime() + listingConfig.lifetimeDays * 24 * 60 * 60 * 1000);
+  property.expiredAt = undefined;
+  property.expirationRemindersSent = [];
+};
+
+/**
+ * Change a property's status and append a statusHistory entry.
+ * The caller is responsible for checking canTransition() first unless
+ * `force` is set (system changes such as moving a listing to the trash).
+ * @param {import('mongoose').Document} property - Property document (not saved)
+ * @param {string} to - New status
+ * @param {Object} [options]
+ * @param {string} [options.actor] - User ID responsible for the change
+ * @param {string} [options.reason] - Free text reason
+ * @param {boolean} [options.force=false] - Skip the transition rules
+ * @returns {boolean} True if the status changed
+ */
+const applyStatusChange = (property, to, { actor, reason, force = false } = {}) => {
+  const from = property.status;
+
+  if (from === to) {
+    return false;
+  }
+
+  if (!force && !canTransition(from, to)) {
+    throw new Error(`Cannot change listing status from '${from}' to '${to}'`);
+  }
+
+  property.status = to;
+  if (to === 'active') {
+    startListingTerm(property);
+    property.activatedAt = new Date();
+  }
+  property.statusHistory.push({
+    from,
+    to,
+    changedBy: actor,
+    reason,
+    changedAt: new Date()
+  });
+
+  return true;
+};
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  CREATE_STATUSES,
+  ACTIONS,
+  canTransition,
+  getAllowedTransitions,
+  startListingTerm,
+  applyStatusChange
+};
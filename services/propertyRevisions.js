@@ -0,0 +1,209 @@
+/**
+ * Property Revisions Service
+ * Computes field level diffs for Property writes and rebuilds earlier revisions
+ */
+
+const mongoose = require('mongoose');
+const PropertyRevision = require('../models/PropertyRevision');
+
+// Fields that change on their own (counters, timestamps, bookkeeping) and
+// would only add noise to the history
+const UNTRACKED_FIELDS = [
+  '_id',
+  '__v',
+  'createdAt',
+  'updatedAt',
+  'views',
+  'inquiries',
+  'saved',
+  'analytics',
+  'messages',
+  'lastMessageAt',
+  'statusHistory',
+  'draftProgress',
+  'addressKey',
+  'duplicateCheck',
+  'photoReview',
+  'expirationRemindersSent',
+  'activatedAt'
+];
+
+// Tracked, but never written back by a revert: they have their own endpoints
+// (lifecycle transitions, trash/restore, tour authoring, image uploads) and
+// rules, restoring a past schedule would make the scheduler act on it
+// immediately, and the files behind removed images are already deleted
+const NON_REVERTIBLE_FIELDS = ['status', 'deletedAt', 'landlord', 'publishAt', 'unpublishAt', 'virtualTour', 'images'];
+
+const getPath = (source, path) => {
+  return path.split('.').reduce((node, key) => (node === undefined || node === null ? undefined : node[key]), source);
+};
+
+const isEqual = (a, b) => {
+  return JSON.stringify(a) === JSON.stringify(b);
+};
+
+/**
+ * Collapse a modified path to the level we diff at. Changes inside arrays
+ * (e.g. `images.0.isMain`) are recorded as the whole array so that a revert
+ * never depends on array positions.
+ * @param {string} path - Modified path reported by mongoose
+ * @param {Object} snapshot - Plain object to walk
+ * @returns {string} Path to record
+ */
+const collapsePath = (path, snapshot) => {
+  const keys = path.split('.');
+  let node = snapshot;
+
+  for (let index = 0; index < keys.length; index += 1) {
+    if (Array.isArray(node)) {
+      return keys.slice(0, index).join('.');
+    }
+    node = node === undefined || node === null ? undefined : node[keys[index]];
+  }
+
+  return path;
+};
+
+/**
+ * Diff the modified paths of a document against its last saved state
+ * @param {import('mongoose').Document} doc - Property document about to be saved
+ * @param {Object} original - Plain object of the document as last loaded/saved
+ * @returns {Object[]} Changes as { path, oldValue, newValue }
+ */
+const diffDocument = (doc, original) => {
+  const current = doc.toObject({ depopulate: true });
+
+  const paths = [...new Set(doc.directModifiedPaths().map(path => collapsePath(path, current)))]
+    .filter(path => !UNTRACKED_FIELDS.includes(path.split('.')[0]))
+    .sort();
+
+  // Drop paths nested under another recorded path (e.g. `address.city` when `address` is recorded)
+  const roots = paths.filter(path => !paths.some(other => other !== path && path.startsWith(`${other}.`)));
+
+  return roots
+    .map(path => ({
+      path,
+      oldValue: getPath(original, path),
+      newValue: getPath(current, path)
+    }))
+    .filter(change => !isEqual(change.oldValue, change.newValue));
+};
+
+/**
+ * Persist a revision. Failures are logged and never fail the write itself.
+ * @param {Object} revision - PropertyRevision fields
+ * @returns {Promise<void>}
+ */
+const recordRevision = async (revision) => {
+  try {
+    await PropertyRevision.create(revision);
+  } catch (error) {
+    console.error(`Error recording revision for property ${revision.property}:`, error);
+  }
+};
+
+/**
+ * List the fields an update document writes, cut at positional operators and
+ * array indexes so a change inside an array is recorded as the whole array
+ * @param {Object} update - Update with operators ($set, $unset, ...)
+ * @returns {string[]} Paths, without paths nested under another listed path
+ */
+const updatePaths = (update) => {
+  const paths = [...new Set(Object.entries(update)
+    .filter(([operator]) => operator.startsWith('$'))
+    .flatMap(([, fields]) => Object.keys(fields))
+    .map(path => {
+      const keys = path.split('.');
+      const end = keys.findIndex(key => key.includes('$') || /^\d+$/.test(key));
+      return (end === -1 ? keys : keys.slice(0, end)).join('.');
+    }))];
+
+  return paths.filter(path => !paths.some(other => other !== path && path.startsWith(`${other}.`)));
+};
+
+/**
+ * Apply an update that does not go through save() (and so skips the revision
+ * hooks) to every matching Property, and record a revision for each listing
+ * whose tracked fields it changed
+ * @param {Object} filter - Property filter
+ * @param {Object} update - Update with operators
+ * @param {Object} [options]
+ * @param {string} [options.actor] - User making the change, empty for system jobs
+ * @param {string} [options.action='update'] - Revision action
+ * @returns {Promise<void>}
+ */
+const updateWithRevisions = async (filter, update, { actor, action = 'update' } = {}) => {
+  // Required here: the Property model itself depends on this service
+  const Property = mongoose.model('Property');
+  const paths = updatePaths(update).filter(path => !UNTRACKED_FIELDS.includes(path.split('.')[0]));
+
+  if (paths.length === 0) {
+    await Property.updateMany(filter, update);
+    return;
+  }
+
+  const before = await Property.find(filter).select(paths.join(' ')).lean();
+  if (before.length === 0) {
+    return;
+  }
+
+  const ids = before.map(property => property._id);
+  await Property.updateMany({ $and: [filter, { _id: { $in: ids } }] }, update);
+  const after = await Property.find({ _id: { $in: ids } }).select(paths.join(' ')).lean();
+  const afterById = new Map(after.map(property => [String(property._id), property]));
+
+  await Promise.all(before.map(original => {
+    const current = afterById.get(String(original._id)) || {};
+    const changes = paths
+      .map(path => ({ path, oldValue: getPath(original, path), newValue: getPath(current, path) }))
+      .filter(change => !isEqual(change.oldValue, change.newValue));
+
+    return changes.length > 0
+      ? recordRevision({ action, changes, property: original._id, actor })
+      : null;
+  }));
+};
+
+/**
+ * Work out the field values that restore a property to the state it had
+ * right after a given revision, by undoing every later revision in order.
+ * @param {import('mongoose').Document} property - Current property document
+ * @param {import('mongoose').Document} target - Revision to go back to
+ * @returns {Promise<{ updates: Object, skipped: string[] }>} Path -> value to set, and skipped paths
+ */
+const buildRevertUpdates = async (property, target) => {
+  const laterRevisions = await PropertyRevision.find({
+    property: property._id,
+    $or: [
+      { createdAt: { $gt: target.createdAt } },
+      { createdAt: target.createdAt, _id: { $gt: target._id } }
+    ]
+  })
+  .sort({ createdAt: -1, _id: -1 })
+  .lean();
+
+  const updates = {};
+  const skipped = new Set();
+
+  // Newest first, so the oldest undo for a path wins
+  laterRevisions.forEach(revision => {
+    revision.changes.forEach(change => {
+      if (NON_REVERTIBLE_FIELDS.includes(change.path.split('.')[0])) {
+        skipped.add(change.path);
+        return;
+      }
+      updates[change.path] = change.oldValue;
+    });
+  });
+
+  return { updates, skipped: [...skipped] };
+};
+
+module.exports = {
+  UNTRACKED_FIELDS,
+  NON_REVERTIBLE_FIELDS,
+  diffDocument,
+  recordRevision,
+  updateWithRevisions,
+  buildRevertUpdates
+};
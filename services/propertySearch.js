@@ -0,0 +1,288 @@
+/**
+ * Property Search Service
+ * Listing filters shared by the search endpoints, and the faceted search that
+ * returns results together with how many listings each filter option matches
+ */
+
+const Property = require('../models/Property');
+const { visibleNowFilter } = require('./listingScheduler');
+const { escapeRegex } = require('../utils/regex');
+
+// Bedroom counts are grouped as studio, 1, 2, 3 and 4 or more
+const BEDROOM_BUCKETS = ['0', '1', '2', '3', '4+'];
+// Lower bounds of the rent histogram buckets; the last one is open-ended
+const RENT_BOUNDARIES = [0, 500, 1000, 1500, 2000, 2500, 3000, 4000, 5000, 7500, 10000];
+const MAX_AMENITIES = 30;
+const MAX_CITIES = 20;
+const SORT_FIELDS = ['createdAt', 'pricing.rent', 'specifications.bedrooms', 'analytics.views'];
+
+// Filters whose own options stay selectable: their counts ignore the filter
+// itself, so picking a second property type shows what it would add
+const DISJUNCTIVE_FACETS = ['propertyType', 'bedrooms', 'rent', 'city'];
+
+/**
+ * Read a multi-value query parameter, given repeated or comma separated
+ * @param {string|string[]} [value]
+ * @returns {string[]}
+ */
+const listParam = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(item => String(item).trim()).filter(Boolean);
+};
+
+const numberParam = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Turn bedroom values into a condition. "2" matches exactly two bedrooms and
+ * "4+" four or more.
+ */
+const bedroomCondition = (values) => {
+  const exact = [];
+  const conditions = [];
+
+  values.forEach(value => {
+    const atLeast = value.endsWith('+');
+    const number = numberParam(atLeast ? value.slice(0, -1) : value);
+    if (number === null) return;
+    if (atLeast) {
+      conditions.push({ 'specifications.bedrooms': { $gte: number } });
+    } else {
+      exact.push(number);
+    }
+  });
+
+  if (exact.length > 0) {
+    conditions.push({ 'specifications.bedrooms': { $in: exact } });
+  }
+  if (conditions.length === 0) return null;
+  return conditions.length === 1 ? conditions[0] : { $or: conditions };
+};
+
+/**
+ * Parse search parameters into query conditions, one per filter, so facets can
+ * leave their own filter out
+ * @param {Object} params - Query string: minRent/maxRent (or minPrice/maxPrice),
+ *   bedrooms, bathrooms, propertyType, amenities, city, state, location
+ * @returns {Object} Conditions keyed by filter name
+ */
+const buildFilters = (params = {}) => {
+  const filters = {};
+
+  const minRent = numberParam(params.minRent !== undefined ? params.minRent : params.minPrice);
+  const maxRent = numberParam(params.maxRent !== undefined ? params.maxRent : params.maxPrice);
+  if (minRent !== null || maxRent !== null) {
+    const rent = {};
+    if (minRent !== null) rent.$gte = minRent;
+    if (maxRent !== null) rent.$lte = maxRent;
+    filters.rent = { 'pricing.rent': rent };
+  }
+
+  const bedrooms = bedroomCondition(listParam(params.bedrooms));
+  if (bedrooms) {
+    filters.bedrooms = bedrooms;
+  }
+
+  const bathrooms = numberParam(params.bathrooms);
+  if (bathrooms !== null) {
+    filters.bathrooms = { 'specifications.bathrooms': { $gte: bathrooms } };
+  }
+
+  const propertyTypes = listParam(params.propertyType);
+  if (propertyTypes.length > 0) {
+    filters.propertyType = { propertyType: { $in: propertyTypes } };
+  }
+
+  const amenities = listParam(params.amenities);
+  if (amenities.length > 0) {
+    filters.amenities = { amenities: { $all: amenities } };
+  }
+
+  const cities = listParam(params.city);
+  if (cities.length > 0) {
+    filters.city = { 'address.city': { $in: cities } };
+  }
+
+  const states = listParam(params.state);
+  if (states.length > 0) {
+    filters.state = { 'address.state': { $in: states } };
+  }
+
+  if (params.location) {
+    // Matched as plain text; the input is never used as a pattern
+    const location = new RegExp(escapeRegex(params.location), 'i');
+    filters.location = {
+      $or: [
+        { 'address.city': location },
+        { 'address.state': location },
+        { 'address.country': location }
+      ]
+    };
+  }
+
+  return filters;
+};
+
+// Combine filter conditions, leaving out the named ones
+const combine = (filters, exclude = []) => {
+  const conditions = Object.keys(filters)
+    .filter(name => !exclude.includes(name))
+    .map(name => filters[name]);
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+/**
+ * Query for publicly visible listings matching the search parameters
+ * @param {Object} params - See buildFilters
+ * @returns {Object} Query for find or $match
+ */
+const buildSearchQuery = (params) => {
+  return { status: 'active', ...visibleNowFilter(), ...combine(buildFilters(params)) };
+};
+
+/**
+ * Parse a sort parameter such as "-createdAt" or "pricing.rent"
+ * @param {string} [sort='-createdAt']
+ * @returns {Object} $sort stage contents, with _id as tie-breaker
+ */
+const parseSort = (sort = '-createdAt') => {
+  const descending = sort.startsWith('-');
+  const field = descending ? sort.slice(1) : sort;
+  const direction = descending ? -1 : 1;
+  return SORT_FIELDS.includes(field)
+    ? { [field]: direction, _id: direction }
+    : { createdAt: -1, _id: -1 };
+};
+
+const matchStages = (match) => (Object.keys(match).length > 0 ? [{ $match: match }] : []);
+
+const countsBy = (field) => [
+  { $group: { _id: field, count: { $sum: 1 } } },
+  { $match: { _id: { $ne: null } } },
+  { $sort: { count: -1, _id: 1 } }
+];
+
+// Fill in empty buckets so the client always gets the same set of options
+const formatBedrooms = (rows) => {
+  const counts = new Map(rows.map(row => [row._id, row.count]));
+  return BEDROOM_BUCKETS.map(value => ({ value, count: counts.get(value) || 0 }));
+};
+
+const formatRent = (rows) => {
+  const counts = new Map(rows.map(row => [row._id, row.count]));
+  return RENT_BOUNDARIES.map((min, index) => ({
+    min,
+    max: index + 1 < RENT_BOUNDARIES.length ? RENT_BOUNDARIES[index + 1] : null,
+    count: counts.get(min) || 0
+  }));
+};
+
+const formatValues = (rows) => rows.map(row => ({ value: row._id, count: row.count }));
+
+/**
+ * Search listings and count the matches for every filter option in one
+ * aggregation. Each facet is computed against the current filters; property
+ * type, bedroom, rent and city counts leave their own filter out.
+ * @param {Object} params - See buildFilters
+ * @param {Object} [options]
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=12] - 0 returns the facets only
+ * @param {string} [options.sort='-createdAt']
+ * @returns {Promise<Object>} { results, total, facets }
+ */
+const facetedSearch = async (params, { page = 1, limit = 12, sort } = {}) => {
+  const filters = buildFilters(params);
+  const facetFilters = Object.fromEntries(
+    Object.entries(filters).filter(([name]) => DISJUNCTIVE_FACETS.includes(name))
+  );
+  // Filters every facet shares run once, before the pipelines split
+  const baseMatch = {
+    status: 'active',
+    ...visibleNowFilter(),
+    ...combine(filters, DISJUNCTIVE_FACETS)
+  };
+  const allFilters = combine(facetFilters);
+  const allBut = name => combine(facetFilters, [name]);
+
+  const facets = {
+    total: [...matchStages(allFilters), { $count: 'count' }],
+    propertyType: [...matchStages(allBut('propertyType')), ...countsBy('$propertyType')],
+    bedrooms: [
+      ...matchStages(allBut('bedrooms')),
+      ...countsBy({
+        $cond: [
+          { $gte: ['$specifications.bedrooms', 4] },
+          '4+',
+          { $toString: '$specifications.bedrooms' }
+        ]
+      })
+    ],
+    rent: [
+      ...matchStages(allBut('rent')),
+      {
+        $bucket: {
+          groupBy: '$pricing.rent',
+          boundaries: RENT_BOUNDARIES,
+          default: RENT_BOUNDARIES[RENT_BOUNDARIES.length - 1],
+          output: { count: { $sum: 1 } }
+        }
+      }
+    ],
+    amenities: [
+      ...matchStages(allFilters),
+      { $unwind: '$amenities' },
+      ...countsBy('$amenities'),
+      { $limit: MAX_AMENITIES }
+    ],
+    city: [...matchStages(allBut('city')), ...countsBy('$address.city'), { $limit: MAX_CITIES }]
+  };
+
+  if (limit > 0) {
+    facets.results = [
+      ...matchStages(allFilters),
+      { $sort: parseSort(sort) },
+      { $skip: (page - 1) * limit },
+      { $limit: limit },
+      {
+        $lookup: {
+          from: 'users',
+          localField: 'landlord',
+          foreignField: '_id',
+          as: 'landlord',
+          pipeline: [
+            { $project: { name: 1, email: 1, 'profile.phone': 1, 'profile.verified': 1 } }
+          ]
+        }
+      },
+      { $unwind: { path: '$landlord', preserveNullAndEmptyArrays: true } }
+    ];
+  }
+
+  const [result] = await Property.aggregate([{ $match: baseMatch }, { $facet: facets }]);
+
+  return {
+    results: result.results || [],
+    total: result.total[0]?.count || 0,
+    facets: {
+      propertyType: formatValues(result.propertyType),
+      bedrooms: formatBedrooms(result.bedrooms),
+      rent: formatRent(result.rent),
+      amenities: formatValues(result.amenities),
+      city: formatValues(result.city)
+    }
+  };
+};
+
+module.exports = {
+  BEDROOM_BUCKETS,
+  RENT_BOUNDARIES,
+  listParam,
+  buildFilters,
+  buildSearchQuery,
+  parseSort,
+  facetedSearch
+};
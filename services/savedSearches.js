@@ -0,0 +1,218 @@
+/**
+ * Saved Searches Service
+ * Periodic job that matches saved searches against newly activated listings
+ * and delivers the matches as in-app notifications or emails, right away or
+ * in daily/weekly digests
+ */
+
+const SavedSearch = require('../models/SavedSearch');
+const Property = require('../models/Property');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const savedSearchConfig = require('../config/savedSearches');
+const emailConfig = require('../config/email');
+const { buildSearchQuery } = require('./propertySearch');
+const { visibleNowFilter } = require('./listingScheduler');
+const { sendEmail } = require('./mailer');
+const { startPeriodicJob } = require('../utils/periodicJob');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DIGEST_INTERVALS = { daily: DAY_MS, weekly: 7 * DAY_MS };
+
+let timer = null;
+
+/**
+ * When the next digest of a saved search is due
+ * @param {string} frequency - 'instant', 'daily' or 'weekly'
+ * @param {Date} [from=new Date()]
+ * @returns {Date|undefined} Undefined for instant alerts
+ */
+const nextDigestTime = (frequency, from = new Date()) => {
+  const interval = DIGEST_INTERVALS[frequency];
+  return interval ? new Date(from.getTime() + interval) : undefined;
+};
+
+/**
+ * Query for the live listings a saved search matches. The searcher's own
+ * listings are left out.
+ * @param {Object} savedSearch - SavedSearch document
+ * @returns {Object} Property query
+ */
+const buildSavedSearchQuery = (savedSearch) => {
+  const filters = savedSearch.filters && savedSearch.filters.toObject
+    ? savedSearch.filters.toObject()
+    : savedSearch.filters || {};
+  const query = { ...buildSearchQuery(filters), landlord: { $ne: savedSearch.user } };
+
+  if (savedSearch.query) {
+    query.$text = { $search: savedSearch.query };
+  }
+
+  return query;
+};
+
+const formatListing = (property) => {
+  const city = property.address && property.address.city;
+  const rent = property.pricing && property.pricing.rent;
+  return [property.title, city, rent ? `$${rent}/mo` : null].filter(Boolean).join(' · ');
+};
+
+/**
+ * Send matched listings to the owner of a saved search. Listings that went
+ * offline while waiting for a digest are dropped.
+ * @param {Object} savedSearch - SavedSearch document
+ * @param {string[]} propertyIds - Matched listings
+ * @returns {Promise<number>} Number of listings delivered
+ */
+const deliverMatches = async (savedSearch, propertyIds) => {
+  const properties = await Property.find({ _id: { $in: propertyIds }, status: 'active', ...visibleNowFilter() })
+    .select('title address.city pricing.rent')
+    .sort({ activatedAt: -1 })
+    .lean();
+
+  if (properties.length === 0) {
+    return 0;
+  }
+
+  const count = properties.length;
+  const title = `New ${count === 1 ? 'match' : 'matches'} for "${savedSearch.name}"`;
+
+  if (savedSearch.channel === 'email') {
+    const user = await User.findById(savedSearch.user).select('name email').lean();
+    if (!user || !user.email) {
+      return 0;
+    }
+
+    const listed = properties.slice(0, savedSearchConfig.maxListedMatches);
+    const lines = listed.map(property => `- ${formatListing(property)}\n  ${emailConfig.appUrl}/property/${property._id}`);
+    if (count > listed.length) {
+      lines.push(`...and ${count - listed.length} more.`);
+    }
+
+    await sendEmail({
+      to: user.email,
+      subject: title,
+      text: [
+        `Hi ${user.name || 'there'},`,
+        '',
+        `${count} new ${count === 1 ? 'listing matches' : 'listings match'} your saved search "${savedSearch.name}":`,
+        '',
+        ...lines,
+        '',
+        `Manage your saved searches at ${emailConfig.appUrl}/saved`
+      ].join('\n')
+    });
+  } else {
+    await Notification.create({
+      user: savedSearch.user,
+      type: 'saved_search_match',
+      title,
+      message: count === 1
+        ? `"${properties[0].title}" matches your saved search.`
+        : `${count} new listings match your saved search, including "${properties[0].title}".`,
+      property: properties[0]._id,
+      savedSearch: savedSearch._id
+    });
+  }
+
+  return count;
+};
+
+/**
+ * Evaluate one saved search: collect listings activated since its last check
+ * and deliver them now or add them to the pending digest
+ * @param {Object} savedSearch - SavedSearch document
+ * @param {Date} now - Current time
+ * @param {Date|null} latestActivation - Most recent activatedAt of any listing
+ * @returns {Promise<{ matched: number, delivered: number }>} Counts
+ */
+const evaluateSavedSearch = async (savedSearch, now, latestActivation) => {
+  let matches = [];
+
+  // Skip the query when nothing went live since the last check
+  if (latestActivation && latestActivation > savedSearch.lastCheckedAt) {
+    matches = await Property.find({
+      ...buildSavedSearchQuery(savedSearch),
+      activatedAt: { $gt: savedSearch.lastCheckedAt, $lte: now }
+    })
+      .select('_id')
+      .sort({ activatedAt: 1 })
+      .lean();
+  }
+
+  const pending = new Set(savedSearch.pendingMatches.map(match => String(match.property)));
+  matches
+    .filter(match => !pending.has(String(match._id)))
+    .forEach(match => savedSearch.pendingMatches.push({ property: match._id, matchedAt: now }));
+
+  savedSearch.lastCheckedAt = now;
+  savedSearch.matchCount += matches.length;
+
+  if (savedSearch.frequency !== 'instant' && !savedSearch.nextDigestAt) {
+    savedSearch.nextDigestAt = nextDigestTime(savedSearch.frequency, now);
+  }
+
+  let delivered = 0;
+  const due = savedSearch.frequency === 'instant' || savedSearch.nextDigestAt <= now;
+
+  if (due && savedSearch.pendingMatches.length > 0) {
+    delivered = await deliverMatches(savedSearch, savedSearch.pendingMatches.map(match => match.property));
+    savedSearch.pendingMatches = [];
+    if (delivered > 0) {
+      savedSearch.lastNotifiedAt = now;
+    }
+  }
+  if (due && savedSearch.frequency !== 'instant') {
+    savedSearch.nextDigestAt = nextDigestTime(savedSearch.frequency, now);
+  }
+
+  await savedSearch.save();
+  return { matched: matches.length, delivered };
+};
+
+/**
+ * Run one alert cycle over all active saved searches. A failing search is
+ * logged and retried on the next cycle; it does not stop the others.
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<{ matched: number, delivered: number, failed: number }>} Counts
+ */
+const runSavedSearchCycle = async (now = new Date()) => {
+  const latest = await Property.findOne({ activatedAt: { $lte: now } })
+    .sort({ activatedAt: -1 })
+    .select('activatedAt')
+    .lean();
+  const latestActivation = latest ? latest.activatedAt : null;
+
+  let matched = 0;
+  let delivered = 0;
+  let failed = 0;
+
+  for await (const savedSearch of SavedSearch.find({ paused: false }).cursor()) {
+    try {
+      const result = await evaluateSavedSearch(savedSearch, now, latestActivation);
+      matched += result.matched;
+      delivered += result.delivered;
+    } catch (error) {
+      console.error(`Saved search ${savedSearch._id} failed:`, error);
+      failed += 1;
+    }
+  }
+
+  return { matched, delivered, failed };
+};
+
+/**
+ * Start the periodic saved search job. Safe to call more than once.
+ */
+const startSavedSearchJob = () => {
+  if (!timer) {
+    timer = startPeriodicJob('Saved search alerts', runSavedSearchCycle, savedSearchConfig.checkMinutes);
+  }
+};
+
+module.exports = {
+  nextDigestTime,
+  buildSavedSearchQuery,
+  runSavedSearchCycle,
+  startSavedSearchJob
+};
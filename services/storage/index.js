@@ -0,0 +1,62 @@
+/**
+ * Storage Service
+ * One interface for uploaded files, backed by the driver chosen in
+ * config/storage.js. Every driver provides:
+ *
+ *   upload(sourcePath, key, { contentType })  copy a local file into storage
+ *   download(key, targetPath)                 copy a stored file to local disk
+ *   remove(key)                               delete; resolves false if missing
+ *   exists(key)
+ *   list(prefix)                              async iterable of { key, size, lastModified }
+ *   getUrl(key)                               public URL stored on documents
+ *   keyFromUrl(url)                           key behind a URL of this driver, or null
+ *   getSignedUrl(key, { expiresIn })          time-limited URL for private files
+ */
+
+const storageConfig = require('../../config/storage');
+const createLocalDriver = require('./localDriver');
+const createS3Driver = require('./s3Driver');
+
+const DRIVERS = {
+  local: () => createLocalDriver({
+    ...storageConfig.local,
+    signingSecret: storageConfig.signingSecret,
+    signedUrlSeconds: storageConfig.signedUrlSeconds
+  }),
+  s3: () => createS3Driver({
+    ...storageConfig.s3,
+    signedUrlSeconds: storageConfig.signedUrlSeconds
+  })
+};
+
+let defaultStorage = null;
+
+/**
+ * Create a driver by name, e.g. for moving files between drivers
+ * @param {string} name - 'local' or 's3'
+ * @returns {Object} Storage driver
+ * @throws {Error} If the driver is unknown or misconfigured
+ */
+const createStorage = (name) => {
+  if (!DRIVERS[name]) {
+    throw new Error(`Unknown storage driver '${name}', expected one of: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+  return DRIVERS[name]();
+};
+
+/**
+ * The configured storage driver
+ * @returns {Object} Storage driver
+ */
+const getStorage = () => {
+  if (!defaultStorage) {
+    defaultStorage = createStorage(storageConfig.driver);
+  }
+  return defaultStorage;
+};
+
+module.exports = {
+  DRIVERS: Object.keys(DRIVERS),
+  createStorage,
+  getStorage
+};
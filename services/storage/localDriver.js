@@ -0,0 +1,137 @@
+/**
+ * Local disk storage driver
+ * Keeps files under uploads/, served by express.static at /uploads. Signed
+ * URLs point at /api/files and are checked with an HMAC.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const encodeKey = (key) => key.split('/').map(encodeURIComponent).join('/');
+
+/**
+ * @param {Object} options
+ * @param {string} options.root - Directory holding the files
+ * @param {string} options.baseUrl - Public URL prefix, e.g. /uploads
+ * @param {string} options.signingSecret - Secret for signed URLs
+ * @param {number} options.signedUrlSeconds - Default signed URL lifetime
+ * @throws {Error} If no signing secret is given
+ */
+const createLocalDriver = ({ root, baseUrl, signingSecret, signedUrlSeconds }) => {
+  // Without a secret anyone could compute a valid signature
+  if (!signingSecret) {
+    throw new Error('STORAGE_SIGNING_SECRET (or JWT_SECRET) must be set to use the local storage driver');
+  }
+
+  // Never resolve outside of the root directory
+  const filePath = (key) => {
+    const resolved = path.join(root, key);
+    if (!resolved.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key '${key}'`);
+    }
+    return resolved;
+  };
+
+  const sign = (key, expires) => crypto
+    .createHmac('sha256', signingSecret)
+    .update(`${key}:${expires}`)
+    .digest('hex');
+
+  async function* walk(dir, prefix) {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+    for (const entry of entries) {
+      const key = prefix ? `${prefix}/${entry.name}` : entry.name;
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        yield* walk(entryPath, key);
+      } else if (entry.isFile()) {
+        const stats = await fs.promises.stat(entryPath);
+        yield { key, size: stats.size, lastModified: stats.mtime };
+      }
+    }
+  }
+
+  return {
+    name: 'local',
+
+    upload: async (sourcePath, key) => {
+      const target = filePath(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.copyFile(sourcePath, target);
+    },
+
+    download: async (key, targetPath) => {
+      await fs.promises.copyFile(filePath(key), targetPath);
+    },
+
+    // Missing files are not an error
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(filePath(key));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    },
+
+    exists: async (key) => {
+      try {
+        await fs.promises.access(filePath(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    list: (prefix = '') => {
+      const start = prefix ? filePath(prefix.replace(/\/$/, '')) : root;
+      return walk(start, prefix.replace(/\/$/, ''));
+    },
+
+    getUrl: (key) => `${baseUrl}/${encodeKey(key)}`,
+
+    keyFromUrl: (url) => {
+      if (typeof url !== 'string' || !url.startsWith(`${baseUrl}/`)) {
+        return null;
+      }
+      try {
+        const key = decodeURIComponent(url.slice(baseUrl.length + 1));
+        filePath(key);
+        return key;
+      } catch (error) {
+        return null;
+      }
+    },
+
+    getSignedUrl: async (key, { expiresIn = signedUrlSeconds } = {}) => {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      return `/api/files/${encodeKey(key)}?expires=${expires}&signature=${sign(key, expires)}`;
+    },
+
+    /**
+     * Check a signed URL's parameters
+     * @returns {string|null} Path of the file, or null if the signature is
+     *   invalid or expired
+     */
+    resolveSignedUrl: (key, expires, signature) => {
+      const expected = sign(key, expires);
+      if (
+        typeof signature !== 'string' ||
+        signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected)) ||
+        Number(expires) < Date.now() / 1000
+      ) {
+        return null;
+      }
+      try {
+        return filePath(key);
+      } catch (error) {
+        return null;
+      }
+    }
+  };
+};
+
+module.exports = createLocalDriver;
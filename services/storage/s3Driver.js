@@ -0,0 +1,121 @@
+/**
+ * S3-compatible storage driver
+ * Works with AWS S3 and self-hosted services such as MinIO (set an endpoint;
+ * path-style addressing is used by default then).
+ */
+
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const encodeKey = (key) => key.split('/').map(encodeURIComponent).join('/');
+
+const isNotFound = (error) => error.name === 'NotFound' ||
+  error.name === 'NoSuchKey' ||
+  (error.$metadata && error.$metadata.httpStatusCode === 404);
+
+/**
+ * @param {Object} options - See config/storage.js `s3`, plus signedUrlSeconds
+ */
+const createS3Driver = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, publicUrl, signedUrlSeconds }) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET must be set to use the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const baseUrl = (publicUrl || (endpoint && forcePathStyle
+    ? `${endpoint}/${bucket}`
+    : `https://${bucket}.s3.${region}.amazonaws.com`)).replace(/\/$/, '');
+
+  return {
+    name: 's3',
+
+    upload: async (sourcePath, key, { contentType } = {}) => {
+      const { size } = await fs.promises.stat(sourcePath);
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: fs.createReadStream(sourcePath),
+        ContentLength: size,
+        ContentType: contentType,
+        CacheControl: 'public, max-age=31536000'
+      }));
+    },
+
+    download: async (key, targetPath) => {
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      await pipeline(Body, fs.createWriteStream(targetPath));
+    },
+
+    // S3 reports success for missing keys, so check first to keep the local
+    // driver's return value
+    remove: async (key) => {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+      } catch (error) {
+        if (isNotFound(error)) return false;
+        throw error;
+      }
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+      return true;
+    },
+
+    exists: async (key) => {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+      } catch (error) {
+        if (isNotFound(error)) return false;
+        throw error;
+      }
+    },
+
+    list: async function* (prefix = '') {
+      let ContinuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix || undefined,
+          ContinuationToken
+        }));
+        for (const object of page.Contents || []) {
+          yield { key: object.Key, size: object.Size, lastModified: object.LastModified };
+        }
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+    },
+
+    getUrl: (key) => `${baseUrl}/${encodeKey(key)}`,
+
+    keyFromUrl: (url) => {
+      if (typeof url !== 'string' || !url.startsWith(`${baseUrl}/`)) {
+        return null;
+      }
+      try {
+        return decodeURIComponent(url.slice(baseUrl.length + 1).split('?')[0]);
+      } catch (error) {
+        return null;
+      }
+    },
+
+    getSignedUrl: (key, { expiresIn = signedUrlSeconds } = {}) => {
+      return getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn });
+    }
+  };
+};
+
+module.exports = createS3Driver;
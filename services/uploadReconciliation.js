@@ -0,0 +1,156 @@
+/**
+ * Upload Reconciliation Service
+ * Compares the files in storage with the image references on properties,
+ * buildings and virtual tours and with listing attachments: reports orphaned
+ * files and references to missing files, and deletes orphans once they are
+ * older than a grace period
+ */
+
+const Property = require('../models/Property');
+const Building = require('../models/Building');
+const Attachment = require('../models/Attachment');
+const storageConfig = require('../config/storage');
+const { getStorage } = require('./storage');
+const { startPeriodicJob } = require('../utils/periodicJob');
+
+// Documents whose `images` point into storage. Soft-deleted properties keep
+// their files until they are purged, so they count as references too.
+const REFERENCING_MODELS = [Property, Building];
+
+let timer = null;
+
+/**
+ * Storage keys referenced by documents
+ * @param {Object} storage - Storage driver
+ * @returns {Promise<Map<string, Object[]>>} Key -> [{ model, id }] referencing it
+ */
+const collectReferences = async (storage) => {
+  const references = new Map();
+
+  const addReference = (key, model, id) => {
+    if (!key) return;
+    if (!references.has(key)) {
+      references.set(key, []);
+    }
+    references.get(key).push({ model, id });
+  };
+
+  const addImage = (image, model, id) => {
+    addReference(storage.keyFromUrl(image.url), model, id);
+    (image.variants || []).forEach(variant => addReference(storage.keyFromUrl(variant.url), model, id));
+  };
+
+  for (const Model of REFERENCING_MODELS) {
+    const cursor = Model.find({ 'images.0': { $exists: true } }).select('images').lean().cursor();
+    for await (const doc of cursor) {
+      doc.images.forEach(image => addImage(image, Model.modelName, doc._id));
+    }
+  }
+
+  // Virtual tour scenes have their own images
+  const tours = Property.find({ 'virtualTour.scenes.0': { $exists: true } }).select('virtualTour.scenes.image').lean().cursor();
+  for await (const doc of tours) {
+    doc.virtualTour.scenes.forEach(scene => addImage(scene.image, Property.modelName, doc._id));
+  }
+
+  // Attachments store their key directly
+  const attachments = Attachment.find().select('key').lean().cursor();
+  for await (const attachment of attachments) {
+    addReference(attachment.key, Attachment.modelName, attachment._id);
+  }
+
+  return references;
+};
+
+// Whether any document references a key, checked right before deleting it
+const isReferenced = async (storage, key) => {
+  const url = storage.getUrl(key);
+  const filter = { $or: [{ 'images.url': url }, { 'images.variants.url': url }] };
+  for (const Model of REFERENCING_MODELS) {
+    if (await Model.exists(filter)) return true;
+  }
+  if (await Property.exists({ $or: [{ 'virtualTour.scenes.image.url': url }, { 'virtualTour.scenes.image.variants.url': url }] })) {
+    return true;
+  }
+  return Boolean(await Attachment.exists({ key }));
+};
+
+/**
+ * Reconcile storage with the database
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Report without deleting
+ * @param {number} [options.graceHours] - Only delete orphans older than this
+ * @param {Date} [options.now=new Date()]
+ * @returns {Promise<Object>} { scanned, orphans, missing, deleted } where
+ *   orphans are { key, size, lastModified, deletable } and missing are
+ *   { key, references }
+ */
+const reconcileUploads = async ({ dryRun = false, graceHours = storageConfig.orphanGraceHours, now = new Date() } = {}) => {
+  const storage = getStorage();
+  const references = await collectReferences(storage);
+  const cutoff = new Date(now.getTime() - graceHours * 60 * 60 * 1000);
+
+  const found = new Set();
+  const orphans = [];
+  let scanned = 0;
+
+  for await (const file of storage.list()) {
+    // Dotfiles such as .gitkeep are not uploads
+    if (file.key.split('/').some(part => part.startsWith('.'))) continue;
+
+    scanned += 1;
+    found.add(file.key);
+    if (!references.has(file.key)) {
+      orphans.push({ ...file, deletable: file.lastModified < cutoff });
+    }
+  }
+
+  const missing = [...references.entries()]
+    .filter(([key]) => !found.has(key))
+    .map(([key, referencedBy]) => ({ key, references: referencedBy }));
+
+  let deleted = 0;
+  if (!dryRun) {
+    for (const orphan of orphans.filter(item => item.deletable)) {
+      // Uploads finishing right now are referenced by then; check again
+      if (await isReferenced(storage, orphan.key)) continue;
+      try {
+        if (await storage.remove(orphan.key)) {
+          deleted += 1;
+        }
+      } catch (error) {
+        console.error(`Error deleting orphaned upload ${orphan.key}:`, error);
+      }
+    }
+  }
+
+  return { scanned, orphans, missing, deleted };
+};
+
+/**
+ * Run reconciliation and return counts for the job log
+ */
+const runReconciliationCycle = async () => {
+  const result = await reconcileUploads();
+  return {
+    orphans: result.orphans.length,
+    missing: result.missing.length,
+    deleted: result.deleted
+  };
+};
+
+/**
+ * Start the periodic cleanup, if enabled with UPLOAD_ORPHAN_CHECK_HOURS
+ */
+const startReconciliationJob = () => {
+  if (!timer && storageConfig.orphanCheckHours > 0) {
+    timer = startPeriodicJob('Upload reconciliation', runReconciliationCycle, storageConfig.orphanCheckHours * 60);
+  }
+};
+
+module.exports = {
+  collectReferences,
+  reconcileUploads,
+  runReconciliationCycle,
+  startReconciliationJob
+};
@@ -0,0 +1,144 @@
+/**
+ * Virtual Tours Service
+ * Rules for listing tours: ordered scenes (panoramas or regular photos)
+ * tagged with a room, hotspots linking scenes, and pins placing scenes on a
+ * floor plan attachment
+ */
+
+const Attachment = require('../models/Attachment');
+const { getAttachmentUrl } = require('./attachments');
+
+const MAX_SCENES = 50;
+const MAX_HOTSPOTS = 20;
+
+// Floor plans scenes can be pinned on; PDFs cannot be drawn on
+const FLOOR_PLAN_FORMATS = ['jpeg', 'png', 'webp'];
+
+const hasNumber = value => typeof value === 'number' && !Number.isNaN(value);
+
+/**
+ * Check the links inside a tour that the schema cannot: hotspot targets,
+ * hotspot positions for the scene kind, and floor-plan pins
+ * @param {Object} tour - Property.virtualTour
+ * @returns {Object[]} Errors as { scene, field, message }; empty when valid
+ */
+const validateTour = (tour) => {
+  const scenes = (tour && tour.scenes) || [];
+  const sceneIds = new Set(scenes.map(scene => String(scene._id)));
+  const errors = [];
+
+  if (scenes.length > MAX_SCENES) {
+    errors.push({ scene: null, field: 'scenes', message: `A tour can have at most ${MAX_SCENES} scenes` });
+  }
+
+  scenes.forEach(scene => {
+    const hotspots = scene.hotspots || [];
+
+    if (hotspots.length > MAX_HOTSPOTS) {
+      errors.push({ scene: scene._id, field: 'hotspots', message: `A scene can have at most ${MAX_HOTSPOTS} hotspots` });
+    }
+
+    hotspots.forEach((hotspot, index) => {
+      const field = `hotspots.${index}`;
+      if (String(hotspot.targetScene) === String(scene._id)) {
+        errors.push({ scene: scene._id, field, message: 'A hotspot cannot link a scene to itself' });
+      } else if (!sceneIds.has(String(hotspot.targetScene))) {
+        errors.push({ scene: scene._id, field, message: 'Hotspot links to a scene that is not part of this tour' });
+      }
+
+      const positioned = scene.kind === 'panorama'
+        ? hasNumber(hotspot.yaw) && hasNumber(hotspot.pitch)
+        : hasNumber(hotspot.x) && hasNumber(hotspot.y);
+      if (!positioned) {
+        errors.push({
+          scene: scene._id,
+          field,
+          message: scene.kind === 'panorama' ? 'Hotspots on panoramas need a yaw and pitch' : 'Hotspots on photos need x and y'
+        });
+      }
+    });
+
+    const pin = scene.floorPlanPin;
+    if (pin && (hasNumber(pin.x) || hasNumber(pin.y))) {
+      if (!tour.floorPlan) {
+        errors.push({ scene: scene._id, field: 'floorPlanPin', message: 'Choose a floor plan before pinning scenes on it' });
+      } else if (!hasNumber(pin.x) || !hasNumber(pin.y)) {
+        errors.push({ scene: scene._id, field: 'floorPlanPin', message: 'Floor-plan pins need x and y' });
+      }
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Remove the hotspots pointing at a scene, before the scene is deleted
+ * @param {Object} tour - Property.virtualTour (document)
+ * @param {string} sceneId - Scene being removed
+ */
+const removeLinksTo = (tour, sceneId) => {
+  tour.scenes.forEach(scene => {
+    const links = scene.hotspots.filter(hotspot => String(hotspot.targetScene) === String(sceneId));
+    links.forEach(hotspot => scene.hotspots.pull(hotspot._id));
+  });
+};
+
+/**
+ * Scene images in the shape of image subdocuments, for file cleanup
+ * @param {Object} [tour] - Property.virtualTour
+ * @returns {Object[]} { url, variants }
+ */
+const tourImages = (tour) => {
+  return ((tour && tour.scenes) || []).map(scene => scene.image).filter(Boolean);
+};
+
+/**
+ * Load an attachment that can serve as the tour's floor plan
+ * @param {string} propertyId - Listing the tour belongs to
+ * @param {string} attachmentId - Attachment to use
+ * @returns {Promise<Object>} { attachment } or { error }
+ */
+const findFloorPlan = async (propertyId, attachmentId) => {
+  const attachment = await Attachment.findOne({ _id: attachmentId, property: propertyId });
+
+  if (!attachment) {
+    return { error: 'Floor plan not found among the listing attachments' };
+  }
+  if (attachment.type !== 'floor_plan' || !FLOOR_PLAN_FORMATS.includes(attachment.format)) {
+    return { error: 'The floor plan must be a floor plan attachment in JPEG, PNG or WebP' };
+  }
+  if (attachment.visibility !== 'public') {
+    return { error: 'Tours are public, so their floor plan must be a public attachment' };
+  }
+
+  return { attachment };
+};
+
+/**
+ * Tour as sent to viewers, with a signed URL for the floor plan
+ * @param {Object} tour - Property.virtualTour (document)
+ * @returns {Promise<Object>}
+ */
+const serializeTour = async (tour) => {
+  const data = tour.toObject ? tour.toObject() : { ...tour };
+  data.floorPlanUrl = null;
+
+  if (data.floorPlan) {
+    const attachment = await Attachment.findById(data.floorPlan);
+    if (attachment && attachment.visibility === 'public') {
+      data.floorPlanUrl = await getAttachmentUrl(attachment);
+    }
+  }
+
+  return data;
+};
+
+module.exports = {
+  MAX_SCENES,
+  MAX_HOTSPOTS,
+  validateTour,
+  removeLinksTo,
+  tourImages,
+  findFloorPlan,
+  serializeTour
+};
@@ -0,0 +1,56 @@
+// utils/address.js
+
+const ADDRESS_ABBREVIATIONS = {
+  street: 'st',
+  avenue: 'ave',
+  road: 'rd',
+  boulevard: 'blvd',
+  drive: 'dr',
+  lane: 'ln',
+  court: 'ct',
+  place: 'pl',
+  terrace: 'ter',
+  highway: 'hwy',
+  parkway: 'pkwy',
+  north: 'n',
+  south: 's',
+  east: 'e',
+  west: 'w',
+  apartment: 'unit',
+  apt: 'unit',
+  suite: 'unit',
+  ste: 'unit',
+  flat: 'unit'
+};
+
+/**
+ * Normalize an address to a comparable key, e.g.
+ * '12 North Main Street, Apt #4' -> '12 n main st unit 4|austin|78701'
+ * @param {Object} address - Property address subdocument
+ * @param {string} [unitNumber] - Unit within a building, appended to the street
+ * @returns {string|undefined} Normalized key, or undefined if street/city are missing
+ */
+function normalizeAddress(address, unitNumber) {
+  if (!address || !address.street || !address.city) {
+    return undefined;
+  }
+
+  const normalizePart = (value) => String(value || '')
+    .toLowerCase()
+    .replace(/#/g, ' unit ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => ADDRESS_ABBREVIATIONS[word] || word)
+    // 'unit unit 4' when both 'Apt' and '#' were used
+    .filter((word, index, words) => !(word === 'unit' && words[index - 1] === 'unit'))
+    .join(' ');
+
+  const zip = String(address.zipCode || '').trim().slice(0, 5);
+  const street = unitNumber ? `${address.street} unit ${unitNumber}` : address.street;
+  return [normalizePart(street), normalizePart(address.city), zip].join('|');
+}
+
+module.exports = {
+  normalizeAddress
+};
@@ -0,0 +1,105 @@
+// utils/cursorPagination.js
+const mongoose = require('mongoose');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+// Cursors carry the sort they were made for, so one cannot be replayed
+// against a different ordering
+const sortSignature = sort => Object.entries(sort).map(([field, direction]) => `${field}:${direction}`).join(',');
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+/**
+ * Encode the position after a document as an opaque cursor
+ * @param {Object} doc - Last document of the page
+ * @param {Object} sort - $sort specification ending with _id
+ * @returns {string}
+ */
+const encodeCursor = (doc, sort) => {
+  const values = Object.keys(sort).map(field => {
+    const value = getPath(doc, field);
+    return value === undefined ? null : value;
+  });
+  const payload = EJSON.stringify({ s: sortSignature(sort), v: values }, { relaxed: false });
+  return Buffer.from(payload).toString('base64url');
+};
+
+/**
+ * Decode a cursor made by encodeCursor for the same sort
+ * @param {string} cursor
+ * @param {Object} sort - $sort specification the cursor must match
+ * @returns {Array|null} Sort values, or null when the cursor is invalid
+ */
+const decodeCursor = (cursor, sort) => {
+  try {
+    const payload = EJSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!payload || payload.s !== sortSignature(sort) || !Array.isArray(payload.v) ||
+        payload.v.length !== Object.keys(sort).length) {
+      return null;
+    }
+    return payload.v;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Condition for "sorts after value" on one field. Missing values sort before
+// everything, so they come last in descending order.
+const after = (field, value, direction) => {
+  if (value === null) {
+    return direction === 1 ? { [field]: { $ne: null } } : null;
+  }
+  if (direction === 1) {
+    return { [field]: { $gt: value } };
+  }
+  return { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+/**
+ * Query condition matching the documents that come after a cursor position.
+ * For sort (a, b, _id) that is a > x, or a = x and b > y, or a = x, b = y and
+ * _id > z (with the comparisons flipped for descending fields).
+ * @param {Object} sort - $sort specification ending with _id
+ * @param {Array} values - Decoded cursor values
+ * @returns {Object} Condition to combine with the search query
+ */
+const cursorFilter = (sort, values) => {
+  const fields = Object.keys(sort);
+  const branches = [];
+
+  fields.forEach((field, index) => {
+    const condition = after(field, values[index], sort[field]);
+    if (!condition) return;
+
+    const equalBefore = {};
+    fields.slice(0, index).forEach((previous, previousIndex) => {
+      equalBefore[previous] = values[previousIndex];
+    });
+    branches.push(Object.keys(equalBefore).length > 0 ? { $and: [equalBefore, condition] } : condition);
+  });
+
+  return branches.length > 0 ? { $or: branches } : { _id: null };
+};
+
+/**
+ * Trim a page fetched with limit + 1 documents and work out the next cursor
+ * @param {Object[]} docs - Up to limit + 1 documents
+ * @param {number} limit - Page size
+ * @param {Object} sort - $sort specification used for the query
+ * @returns {Object} { results, nextCursor } (nextCursor is null on the last page)
+ */
+const paginateResults = (docs, limit, sort) => {
+  const hasMore = docs.length > limit;
+  const results = hasMore ? docs.slice(0, limit) : docs;
+  return {
+    results,
+    nextCursor: hasMore ? encodeCursor(results[results.length - 1], sort) : null
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  paginateResults
+};
@@ -0,0 +1,32 @@
+// utils/periodicJob.js
+
+/**
+ * Run a background job once now and then every `minutes`. Errors are logged
+ * and never stop the schedule, and the timer never keeps the process alive.
+ * @param {string} name - Job name used in log lines
+ * @param {Function} job - Async function returning an object of counts
+ * @param {number} minutes - Interval between runs
+ * @returns {NodeJS.Timeout} The interval timer
+ */
+function startPeriodicJob(name, job, minutes) {
+  const run = async () => {
+    try {
+      const result = await job();
+      // Only log runs that did something
+      if (result && Object.values(result).some(Boolean)) {
+        console.log(`${name}:`, result);
+      }
+    } catch (error) {
+      console.error(`${name} failed:`, error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, minutes * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  startPeriodicJob
+};
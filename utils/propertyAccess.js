@@ -0,0 +1,36 @@
+// utils/propertyAccess.js
+const Property = require('../models/Property');
+const { visibleNowFilter } = require('../services/listingScheduler');
+
+/**
+ * Whether the signed-in user is the listing's landlord
+ * @param {Object} property - Property with `landlord`
+ * @param {Object} [user] - Token payload ({ userId, role })
+ * @returns {boolean}
+ */
+const isOwner = (property, user) => Boolean(user) && property.landlord.toString() === user.userId;
+
+/**
+ * Load a listing the viewer may see: live listings for everyone, any
+ * non-deleted listing for its landlord and admins. Sends 404 otherwise.
+ * @param {Object} req - Request with `params.id` and optional `user`
+ * @param {Object} res - Response, used for the 404
+ * @param {string} [fields='landlord status'] - Fields to select
+ * @returns {Promise<Object|null>} Property document, or null when handled
+ */
+const findViewableProperty = async (req, res, fields = 'landlord status') => {
+  const property = await Property.findOne({ _id: req.params.id, deletedAt: null }).select(fields);
+  const privileged = property && (isOwner(property, req.user) || (req.user && req.user.role === 'admin'));
+
+  if (!property || (!privileged && !await Property.exists({ _id: property._id, status: 'active', ...visibleNowFilter() }))) {
+    res.status(404).json({ success: false, message: 'Property not found' });
+    return null;
+  }
+
+  return property;
+};
+
+module.exports = {
+  isOwner,
+  findViewableProperty
+};
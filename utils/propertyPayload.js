@@ -0,0 +1,151 @@
+// utils/propertyPayload.js
+
+/**
+ * Top-level Property fields that landlords are never allowed to write
+ * directly. They are owned by the server (ownership, counters, AI output) or
+ * have their own endpoints (virtual tour).
+ */
+const PROTECTED_FIELDS = [
+  '_id',
+  '__v',
+  'landlord',
+  'analytics',
+  'aiAnalysis',
+  'views',
+  'inquiries',
+  'saved',
+  'messages',
+  'lastMessageAt',
+  'deletedAt',
+  'statusHistory',
+  'addressKey',
+  'duplicateCheck',
+  'photoReview',
+  'virtualTour',
+  'expiresAt',
+  'expiredAt',
+  'expirationRemindersSent',
+  'activatedAt',
+  'createdAt',
+  'updatedAt'
+];
+
+/**
+ * Fields changed only through their own endpoints: images through the image
+ * routes and uploads, status through the lifecycle transitions
+ */
+const MANAGED_FIELDS = ['images', 'status'];
+
+/**
+ * Read the property payload from a request. Multipart requests send the
+ * payload as a JSON string in the `propertyData` field, JSON requests send
+ * it as the body itself.
+ * @param {import('express').Request} req - Incoming request
+ * @returns {Object} Parsed property payload
+ * @throws {SyntaxError} If `propertyData` is not valid JSON
+ */
+function parsePropertyPayload(req) {
+  const body = req.body || {};
+
+  if (typeof body.propertyData === 'string') {
+    return JSON.parse(body.propertyData || '{}');
+  }
+
+  if (body.propertyData && typeof body.propertyData === 'object') {
+    return body.propertyData;
+  }
+
+  return { ...body };
+}
+
+/**
+ * List the protected fields present in a payload. Dotted keys such as
+ * `photoReview.status` are matched by their first segment, since they are
+ * written as paths by flattenUpdates.
+ * @param {Object} payload - Property payload
+ * @returns {string[]} Names of protected fields found in the payload
+ */
+function findProtectedFields(payload) {
+  const roots = new Set(Object.keys(payload).map(key => key.split('.')[0]));
+  return PROTECTED_FIELDS.filter(field => roots.has(field));
+}
+
+/**
+ * List the keys of a payload that write one of the given fields, either the
+ * field itself or a dotted path below it (e.g. `images.0.url`)
+ * @param {Object} payload - Property payload
+ * @param {string[]} fields - Top-level field names
+ * @returns {string[]} Matching keys as given in the payload
+ */
+function findKeysUnder(payload, fields) {
+  return Object.keys(payload).filter(key => fields.includes(key.split('.')[0]));
+}
+
+/**
+ * Flatten a nested payload into dotted paths so that a partial update of a
+ * nested object (e.g. `{ address: { city } }`) only touches the given keys
+ * instead of replacing the whole object. Arrays and dates are kept as leaves.
+ * @param {Object} payload - Nested payload
+ * @param {string} [prefix=''] - Path prefix used while recursing
+ * @returns {Object} Map of dotted path to value
+ */
+function flattenUpdates(payload, prefix = '') {
+  return Object.entries(payload).reduce((updates, [key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+      Object.assign(updates, flattenUpdates(value, path));
+    } else {
+      updates[path] = value;
+    }
+
+    return updates;
+  }, {});
+}
+
+/**
+ * Replace empty strings with undefined so the field is unset. Form fields
+ * that were left blank are sent as '' which fails enum validation and
+ * number casting on partially filled drafts.
+ * @param {*} value - Payload or payload fragment
+ * @returns {*} Copy of the value with blank strings cleared
+ */
+function clearBlankFields(value) {
+  if (value === '') return undefined;
+  if (Array.isArray(value)) return value.filter(item => item !== '').map(clearBlankFields);
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clearBlankFields(item)]));
+  }
+  return value;
+}
+
+/**
+ * Normalize a list sent either as an array or as a JSON/comma separated
+ * string (multipart form fields are always strings).
+ * @param {string|string[]|undefined} value - Raw list value
+ * @returns {string[]} List of non-empty strings
+ */
+function parseList(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.map(String).filter(Boolean);
+
+  try {
+    const parsed = JSON.parse(value);
+    if (Array.isArray(parsed)) return parsed.map(String).filter(Boolean);
+  } catch (error) {
+    // Not JSON, fall through to comma separated parsing
+  }
+
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+module.exports = {
+  PROTECTED_FIELDS,
+  MANAGED_FIELDS,
+  parsePropertyPayload,
+  findProtectedFields,
+  findKeysUnder,
+  flattenUpdates,
+  clearBlankFields,
+  parseList
+};
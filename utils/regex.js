@@ -0,0 +1,14 @@
+// utils/regex.js
+
+/**
+ * Escape text so it matches literally inside a RegExp
+ * @param {string} text - User input
+ * @returns {string} Pattern source matching the text as-is
+ */
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  escapeRegex
+};
@@ -0,0 +1,65 @@
+// utils/uploadFiles.js
+const fs = require('fs');
+const path = require('path');
+const { getStorage } = require('../services/storage');
+
+const UPLOADS_ROOT = path.join(__dirname, '..', 'uploads');
+
+/**
+ * Delete uploaded files, ignoring files that are already gone
+ * @param {string[]} filePaths - Absolute or relative file paths
+ * @returns {Promise<number>} Number of files actually removed
+ */
+async function removeFiles(filePaths) {
+  let removed = 0;
+
+  for (const filePath of filePaths.filter(Boolean)) {
+    try {
+      await fs.promises.unlink(filePath);
+      removed += 1;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error deleting file: ${filePath}`, error);
+      }
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Delete the stored files behind a list of image subdocuments or URLs,
+ * including their resized variants. URLs of other hosts are ignored.
+ * @param {Array<Object|string>} images - Image subdocuments or URLs
+ * @returns {Promise<number>} Number of files actually removed
+ */
+async function removeImageFiles(images) {
+  const storage = getStorage();
+  const keys = images
+    .flatMap(image => {
+      if (typeof image === 'string') return [image];
+      if (!image) return [];
+      return [image.url, ...(image.variants || []).map(variant => variant.url)];
+    })
+    .map(url => storage.keyFromUrl(url))
+    .filter(Boolean);
+
+  let removed = 0;
+  for (const key of keys) {
+    try {
+      if (await storage.remove(key)) {
+        removed += 1;
+      }
+    } catch (error) {
+      console.error(`Error deleting stored file: ${key}`, error);
+    }
+  }
+
+  return removed;
+}
+
+module.exports = {
+  UPLOADS_ROOT,
+  removeFiles,
+  removeImageFiles
+};